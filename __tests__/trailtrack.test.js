@@ -64,16 +64,1620 @@ describe('TrailTrack core functionality', () => {
     expect(track.db.put).toHaveBeenCalledWith('routes', {
       id: '123',
       name: ' Test Route ',
+      type: 'planned',
       points: [
         [10, 20],
         [11, 21]
       ],
       distance: 42,
       elevationGain: 5,
+      elevationLoss: 0,
       created: '2024-01-01T00:00:00.000Z'
     });
   });
 
+  test('saveRoute keeps elevation as the third point coordinate', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.db = {
+      put: jest.fn().mockResolvedValue()
+    };
+
+    await track.saveRoute({
+      id: '1',
+      name: 'Climb',
+      points: [
+        [10, 20, '100.5'],
+        { lat: 11, lng: 21, alt: 120 },
+        [12, 22, null]
+      ]
+    });
+
+    expect(track.db.put.mock.calls[0][1].points).toEqual([
+      [10, 20, 100.5],
+      [11, 21, 120],
+      [12, 22]
+    ]);
+  });
+
+  test('saveRoute persists recorded fixes for activities', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.db = {
+      put: jest.fn().mockResolvedValue()
+    };
+
+    const fix = TrailTrack.createFix({
+      timestamp: 1700000000000,
+      coords: { latitude: 10, longitude: 20, accuracy: 5, speed: 1.5, heading: null, altitude: 100 }
+    });
+
+    await track.saveRoute({
+      id: '1',
+      name: 'Morning walk',
+      type: 'activity',
+      points: [[10, 20, 100], [10.001, 20]],
+      fixes: [fix, { time: '2023-11-14T22:13:30.000Z', accuracy: '8' }]
+    });
+
+    const saved = track.db.put.mock.calls[0][1];
+    expect(saved.type).toBe('activity');
+    expect(saved.fixes).toEqual([
+      { time: 1700000000000, accuracy: 5, speed: 1.5, heading: null, altitude: 100, altitudeAccuracy: null },
+      { time: 1700000010000, accuracy: 8, speed: null, heading: null, altitude: null, altitudeAccuracy: null }
+    ]);
+    expect(TrailTrack.getRouteDuration(saved)).toBe(10000);
+  });
+
+  test('calculateActivityStats excludes stationary time from moving time', () => {
+    const points = [[0, 0], [0, 0.001], [0, 0.001], [0, 0.002]];
+    const fixes = [
+      { time: 0, speed: null },
+      { time: 60000, speed: null }, // ~111 m in 60 s
+      { time: 120000, speed: null }, // standing still for 60 s
+      { time: 150000, speed: 4 } // ~111 m in 30 s
+    ];
+
+    const stats = TrailTrack.calculateActivityStats(points, fixes);
+
+    expect(stats.elapsedTime).toBe(150000);
+    expect(stats.movingTime).toBe(90000);
+    expect(stats.averageSpeed).toBeCloseTo(222.4 / 90, 1);
+    expect(stats.maxSpeed).toBe(4);
+    expect(stats.currentSpeed).toBe(4);
+    expect(TrailTrack.formatPace(1000 / 360)).toBe('6:00 /km');
+  });
+
+  test('filterTrackedFix drops inaccurate, stationary and impossible fixes', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.trackFilters = { maxAccuracy: 20, minDistance: 5, maxSpeed: 10, smoothing: false };
+    track.currentRoute = { points: [], fixes: [] };
+    const accept = (latlng, fix) => {
+      const result = track.filterTrackedFix(latlng, fix);
+      if (result) {
+        track.currentRoute.points.push([result.lat, result.lng]);
+        track.currentRoute.fixes.push(fix);
+      }
+      return result;
+    };
+
+    expect(accept([0, 0], { time: 0, accuracy: 50 })).toBeNull();
+    expect(accept([0, 0], { time: 1000, accuracy: 5 })).toEqual({ lat: 0, lng: 0 });
+    // ~1 m away: standing still
+    expect(accept([0, 0.00001], { time: 2000, accuracy: 5 })).toBeNull();
+    // ~1.1 km in 2 s
+    expect(accept([0, 0.01], { time: 3000, accuracy: 5 })).toBeNull();
+    // ~11 m in 3 s
+    expect(accept([0, 0.0001], { time: 4000, accuracy: 5 })).toEqual({ lat: 0, lng: 0.0001 });
+    expect(track.currentRoute.points).toHaveLength(2);
+  });
+
+  test('filterTrackedFix keeps rejected fixes out of smoothing and replaces a proven outlier', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.trackFilters = { maxAccuracy: 20, minDistance: 5, maxSpeed: 10, smoothing: true };
+    track.currentRoute = { points: [[0, 0]], fixes: [{ time: 0, accuracy: 5 }] };
+    track.trackFilterState = { kalman: TrailTrack.kalmanStep(null, { lat: 0, lng: 0, accuracy: 5, time: 0 }), rejectedJumps: 0 };
+
+    // ~1.1 km away every second: impossible from the last point
+    for (let i = 1; i <= 5; i++) {
+      expect(track.filterTrackedFix([0, 0.01], { time: i * 1000, accuracy: 5 })).toBeNull();
+      expect(track.trackFilterState.kalman.lng).toBe(0);
+    }
+
+    expect(track.filterTrackedFix([0, 0.01], { time: 6000, accuracy: 5 })).toEqual({ lat: 0, lng: 0.01, replacesLast: true });
+    expect(track.trackFilterState).toMatchObject({ rejectedJumps: 0, kalman: { lat: 0, lng: 0.01 } });
+  });
+
+  test('kalmanStep weights fixes by their accuracy', () => {
+    let state = TrailTrack.kalmanStep(null, { lat: 0, lng: 0, accuracy: 5, time: 0 });
+    state = TrailTrack.kalmanStep(state, { lat: 0.001, lng: 0, accuracy: 50, time: 1000 });
+    expect(state.lat).toBeGreaterThan(0);
+    expect(state.lat).toBeLessThan(0.0002);
+
+    const precise = TrailTrack.kalmanStep(
+      TrailTrack.kalmanStep(null, { lat: 0, lng: 0, accuracy: 5, time: 0 }),
+      { lat: 0.001, lng: 0, accuracy: 1, time: 1000 }
+    );
+    expect(precise.lat).toBeGreaterThan(0.0009);
+  });
+
+  test('route edit operations update geometry and cancel restores it', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.map = null;
+    track.showToast = jest.fn();
+    const route = { id: '1', points: [[0, 0, 10], [0, 0.01, 20]], fixes: [] };
+    track.routeEdit = {
+      route,
+      originalPoints: route.points.map(point => [...point]),
+      originalFixes: [],
+      vertexMarkers: [],
+      midpointMarkers: []
+    };
+
+    track.insertRouteVertex(1, { lat: 0.005, lng: 0.005 });
+    track.moveRouteVertex(2, [0, 0.02]);
+    expect(route.points).toEqual([[0, 0, 10], [0.005, 0.005], [0, 0.02]]);
+    expect(route.cumulativeDistances).toHaveLength(3);
+
+    track.deleteRouteVertex(1);
+    expect(route.points).toEqual([[0, 0, 10], [0, 0.02]]);
+    expect(route.distance).toBeCloseTo(2224, -1);
+
+    track.deleteRouteVertex(0);
+    expect(route.points).toHaveLength(2);
+    expect(track.showToast).toHaveBeenCalledWith('Route needs at least 2 points', 'error');
+
+    track.cancelRouteEdit();
+    expect(route.points).toEqual([[0, 0, 10], [0, 0.01, 20]]);
+    expect(track.routeEdit).toBeNull();
+  });
+
+  test('undo and redo replay route edit and rename commands', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.map = null;
+    track.showToast = jest.fn();
+    const route = { id: '1', name: 'Loop', points: [[0, 0], [0, 0.01]], fixes: [] };
+    track.routeEdit = {
+      route,
+      originalPoints: route.points.map(point => [...point]),
+      originalFixes: [],
+      originalName: route.name,
+      vertexMarkers: [],
+      midpointMarkers: []
+    };
+
+    track.insertRouteVertex(1, [0.005, 0.005]);
+    track.moveRouteVertex(1, [0.006, 0.005]);
+    track.deleteRouteVertex(0);
+    route.name = 'Big Loop';
+    track.recordRename(route, 'Loop', 'Big Loop');
+    expect(route.points).toEqual([[0.006, 0.005], [0, 0.01]]);
+
+    track.undo();
+    track.undo();
+    expect(route.name).toBe('Loop');
+    expect(route.points).toEqual([[0, 0], [0.006, 0.005], [0, 0.01]]);
+
+    track.undo();
+    expect(route.points).toEqual([[0, 0], [0.005, 0.005], [0, 0.01]]);
+
+    track.redo();
+    track.redo();
+    expect(route.points).toEqual([[0.006, 0.005], [0, 0.01]]);
+    expect(track.redoStack).toHaveLength(1);
+
+    // A new change discards what could still be redone
+    track.insertRouteVertex(1, [0.003, 0.008]);
+    expect(track.redoStack).toHaveLength(0);
+    expect(track.undoStack.map(command => command.label)).toEqual([
+      'Insert point', 'Move point', 'Delete point', 'Insert point'
+    ]);
+  });
+
+  test('undo history keeps only the latest commands', () => {
+    const track = new TrailTrack({ autoInit: false });
+    for (let i = 0; i < TrailTrack.MAX_HISTORY + 50; i++) {
+      track.pushHistory({ label: `Add point ${i}`, undo: () => {}, redo: () => {} });
+    }
+
+    expect(track.undoStack).toHaveLength(TrailTrack.MAX_HISTORY);
+    expect(track.undoStack[0].label).toBe('Add point 50');
+  });
+
+  test('requestRoutedSegment builds engine URLs and parses the returned path', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.routingEngine = 'brouter';
+    track.routingBaseUrl = 'http://localhost:17777/';
+    track.routingProfile = 'cycling';
+
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        features: [{ geometry: { coordinates: [[10, 50, 200], [10.001, 50.001, 205], [10.002, 50.001, 210]] } }]
+      })
+    });
+
+    try {
+      const path = await track.requestRoutedSegment({ lat: 50, lng: 10 }, { lat: 50.001, lng: 10.002 });
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        'http://localhost:17777/brouter?lonlats=10,50|10.002,50.001&profile=trekking&alternativeidx=0&format=geojson'
+      );
+      expect(path).toEqual([[50, 10, 200], [50.001, 10.001, 205], [50.001, 10.002, 210]]);
+
+      global.fetch.mockRejectedValueOnce(new Error('network down'));
+      const fallback = await track.requestRoutedSegment({ lat: 50, lng: 10 }, { lat: 50.001, lng: 10.002 });
+      expect(fallback).toEqual([[50, 10], [50.001, 10.002]]);
+      expect(track.showToast).toHaveBeenCalledWith(expect.stringContaining('straight line'), 'warning');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('GraphHopper routing sends the API key and is skipped without one', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.routingEngine = 'graphhopper';
+    track.routingBaseUrl = '';
+    track.routingProfile = 'hiking';
+    track.routingApiKey = '';
+
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ paths: [{ points: { coordinates: [[10, 50], [10.002, 50.001]] } }] })
+    });
+
+    try {
+      const straight = await track.requestRoutedSegment({ lat: 50, lng: 10 }, { lat: 50.001, lng: 10.002 });
+      expect(straight).toEqual([[50, 10], [50.001, 10.002]]);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(track.showToast).toHaveBeenCalledWith(expect.stringContaining('API key'), 'warning');
+
+      track.routingApiKey = 'k&1';
+      await track.requestRoutedSegment({ lat: 50, lng: 10 }, { lat: 50.001, lng: 10.002 });
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        'https://graphhopper.com/api/1/route?point=50,10&point=50.001,10.002&profile=hike&points_encoded=false&elevation=true&key=k%261'
+      );
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('simplifyPoints drops points within tolerance and keeps corners', () => {
+    // Straight line north with a small wobble, then a sharp turn east
+    const points = [
+      [0, 0], [0.001, 0.00001], [0.002, 0], [0.003, -0.00001], [0.004, 0],
+      [0.004, 0.001], [0.004, 0.002]
+    ];
+
+    expect(TrailTrack.simplifyPoints(points, 5)).toEqual([0, 4, 6]);
+    expect(TrailTrack.simplifyPoints(points, 0.5)).toEqual([0, 1, 3, 4, 6]);
+    expect(TrailTrack.simplifyPoints(points, 0)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  test('applySimplification keeps fixes aligned and the original when asked', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    const store = () => ({ put: jest.fn().mockResolvedValue(), delete: jest.fn().mockResolvedValue() });
+    const stores = { routes: store(), originals: store() };
+    track.db = {
+      transaction: jest.fn(() => ({ objectStore: name => stores[name], done: Promise.resolve() })),
+      get: jest.fn(async (name, id) => ({ routeId: id, ...stores.originals.put.mock.calls[0][0] })),
+      put: jest.fn().mockResolvedValue()
+    };
+    const fixes = [0, 1, 2, 3, 4].map(i => ({ time: 1000 * i, accuracy: 5 }));
+    const route = {
+      id: '1',
+      name: 'Watch Track',
+      type: 'activity',
+      points: [[0, 0], [0.001, 0], [0.002, 0], [0.002, 0.001], [0.002, 0.002]],
+      fixes
+    };
+
+    track.applySimplification(route, route, { tolerance: 5, keepOriginal: true });
+    expect(route.points).toEqual([[0, 0], [0.002, 0], [0.002, 0.002]]);
+    expect(route.fixes.map(fix => fix.time)).toEqual([0, 2000, 4000]);
+    expect(route.original.points).toHaveLength(5);
+
+    // The original goes to its own store, written with the route
+    const sourceFixes = route.original.fixes;
+    await track.saveRoute(route);
+    expect(track.db.transaction).toHaveBeenCalledWith(['routes', 'originals'], 'readwrite');
+    const saved = stores.routes.put.mock.calls[0][0];
+    expect(saved.points).toHaveLength(3);
+    expect(saved).not.toHaveProperty('original');
+    expect(saved.originalPointCount).toBe(5);
+    const original = stores.originals.put.mock.calls[0][0];
+    expect(original.routeId).toBe('1');
+    expect(original.points).toHaveLength(5);
+    expect(original.fixes).toHaveLength(5);
+    expect(route).not.toHaveProperty('original');
+    expect(route.originalPointCount).toBe(5);
+
+    const loaded = await track.loadRouteOriginal(route);
+    expect(loaded.points).toHaveLength(5);
+    expect(loaded.fixes.map(fix => fix.time)).toEqual(sourceFixes.map(fix => fix.time));
+
+    // Simplifying without keeping it drops the stored original
+    track.applySimplification(route, loaded, { tolerance: 5, keepOriginal: false });
+    expect(route.original).toBeNull();
+    await track.saveRoute(route);
+    expect(stores.originals.delete).toHaveBeenCalledWith('1');
+    expect(route).not.toHaveProperty('originalPointCount');
+
+    // Routes without an original are saved as before
+    await track.saveRoute(route);
+    expect(track.db.put).toHaveBeenCalledWith('routes', expect.not.objectContaining({ originalPointCount: expect.anything() }));
+  });
+
+  test('splitRoute saves two parts sharing an interpolated split point', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.db = { put: jest.fn().mockResolvedValue() };
+    track.routes = [{
+      id: '1',
+      name: 'Ridge',
+      type: 'activity',
+      points: [[0, 0, 100], [0.002, 0, 120], [0.004, 0, 100]],
+      fixes: [{ time: 0 }, { time: 200000 }, { time: 400000 }]
+    }];
+
+    const parts = await track.splitRoute('1', { lat: 0.001, lng: 0.0001 });
+
+    expect(parts.map(part => part.name)).toEqual(['Ridge (1)', 'Ridge (2)']);
+    expect(parts[0].points).toEqual([[0, 0, 100], [0.001, 0, 110]]);
+    expect(parts[1].points).toEqual([[0.001, 0, 110], [0.002, 0, 120], [0.004, 0, 100]]);
+    expect(parts[0].fixes[1].time).toBe(100000);
+    expect(parts[1].type).toBe('activity');
+    expect(parts[0].distance + parts[1].distance).toBeCloseTo(track.calculateDistance(track.routes[0].points));
+    expect(track.routes).toHaveLength(3);
+    expect(track.db.put).toHaveBeenCalledTimes(2);
+
+    // Clicks far from the route are ignored
+    expect(await track.splitRoute('1', { lat: 0.001, lng: 0.01 })).toBeNull();
+  });
+
+  test('joinRoutes appends end-to-start and reverseRoute flips direction', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.db = { put: jest.fn().mockResolvedValue() };
+    track.routes = [
+      { id: 'a', name: 'Day 1', type: 'planned', points: [[0, 0], [0.01, 0]] },
+      { id: 'b', name: 'Day 2', type: 'planned', points: [[0.01, 0], [0.02, 0]] },
+      { id: 'c', name: 'Day 3', type: 'planned', points: [[0.03, 0], [0.04, 0]] }
+    ];
+
+    const touching = await track.joinRoutes('a', 'b');
+    expect(touching.name).toBe('Day 1 + Day 2');
+    expect(touching.points).toEqual([[0, 0], [0.01, 0], [0.02, 0]]);
+
+    track.requestRoutedSegment = jest.fn().mockResolvedValue([[0.02, 0], [0.025, 0.001], [0.03, 0]]);
+    const connected = await track.joinRoutes(touching.id, 'c', { routeConnector: true });
+    expect(connected.points).toEqual([[0, 0], [0.01, 0], [0.02, 0], [0.025, 0.001], [0.03, 0], [0.04, 0]]);
+
+    await track.reverseRoute('c');
+    expect(track.routes.find(route => route.id === 'c').points).toEqual([[0.04, 0], [0.03, 0]]);
+  });
+
+  test('split and join carry waypoints over and tolerate activities without fixes', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.db = { put: jest.fn().mockResolvedValue() };
+    track.routes = [
+      { id: 'a', name: 'Up', type: 'activity', points: [[0, 0], [0.01, 0]] },
+      { id: 'b', name: 'Down', type: 'activity', points: [[0.01, 0], [0.02, 0]], fixes: [{ time: 0 }, { time: 1000 }] }
+    ];
+    track.waypoints = [
+      { id: 'w1', routeId: 'a', name: 'Spring', type: 'water', lat: 0.002, lng: 0 },
+      { id: 'w2', routeId: 'b', name: 'Hut', type: 'shelter', lat: 0.018, lng: 0 }
+    ];
+
+    const joined = await track.joinRoutes('a', 'b');
+    expect(joined.points).toHaveLength(3);
+    expect(track.getRouteWaypoints(joined.id).map(w => w.name)).toEqual(['Spring', 'Hut']);
+    expect(track.getRouteWaypoints('a').map(w => w.id)).toEqual(['w1']);
+
+    const [start, end] = await track.splitRoute(joined.id, { lat: 0.01, lng: 0 });
+    expect(track.getRouteWaypoints(start.id).map(w => w.name)).toEqual(['Spring']);
+    expect(track.getRouteWaypoints(end.id).map(w => w.name)).toEqual(['Hut']);
+    expect(new Set(track.waypoints.map(w => w.id)).size).toBe(track.waypoints.length);
+  });
+
+  test('importWaypoints gives every waypoint its own id across files', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.db = { put: jest.fn().mockResolvedValue() };
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    try {
+      await track.importWaypoints([{ name: 'A', lat: 0, lng: 0 }, { name: 'B', lat: 0, lng: 1 }], 'r1');
+      await track.importWaypoints([{ name: 'C', lat: 1, lng: 0 }], 'r2');
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(track.waypoints.map(w => w.name)).toEqual(['A', 'B', 'C']);
+    expect(new Set(track.waypoints.map(w => w.id)).size).toBe(3);
+  });
+
+  test('GPX waypoints round-trip with their type as <sym>', () => {
+    const exported = TrailTrack.addWaypointsToGpx(
+      '<?xml version="1.0"?><gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1"><trk><name>Loop</name></trk></gpx>',
+      [
+        { name: 'Spring', type: 'water', lat: 46.5, lng: 7.9, ele: 1820 },
+        { name: 'Hut', type: 'camp', lat: 46.51, lng: 7.91, ele: null }
+      ]
+    );
+
+    const gpxDoc = new DOMParser().parseFromString(exported, 'text/xml');
+    expect(gpxDoc.documentElement.firstElementChild.nodeName).toBe('wpt');
+    expect(exported).toContain('<sym>Drinking Water</sym>');
+
+    expect(TrailTrack.parseGpxWaypoints(gpxDoc)).toEqual([
+      { name: 'Spring', type: 'water', lat: 46.5, lng: 7.9, ele: 1820 },
+      { name: 'Hut', type: 'camp', lat: 46.51, lng: 7.91, ele: null }
+    ]);
+    expect(TrailTrack.waypointTypeFromGpx('Scenic Area', '')).toBe('viewpoint');
+    expect(TrailTrack.waypointTypeFromGpx('Restroom', 'toilet')).toBe('generic');
+  });
+
+  test('GPX route notes are written as <cmt> after the track name', () => {
+    const gpx = '<?xml version="1.0"?><gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1"><trk><name>Loop</name><desc>Easy</desc></trk></gpx>';
+    expect(TrailTrack.addTrackCommentToGpx(gpx, '')).toBe(gpx);
+
+    const exported = TrailTrack.addTrackCommentToGpx(gpx, 'Muddy after rain <2 days');
+    const trk = new DOMParser().parseFromString(exported, 'text/xml').querySelector('trk');
+    expect(Array.from(trk.children).map(node => node.nodeName)).toEqual(['name', 'cmt', 'desc']);
+    expect(trk.querySelector('cmt').textContent).toBe('Muddy after rain <2 days');
+  });
+
+  test('parseGeoJSONTracks keeps each track separate with its name and description', () => {
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { name: 'Day 1', desc: 'Valley to hut', coordTimes: ['2024-06-01T08:00:00Z', '2024-06-01T08:10:00Z'] },
+          geometry: { type: 'LineString', coordinates: [[7.9, 46.5, 1200], [7.91, 46.51, 1300]] }
+        },
+        {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'MultiLineString', coordinates: [[[8, 46.6], [8.01, 46.6]], [[8.02, 46.6], [8.03, 46.6]]] }
+        },
+        { type: 'Feature', properties: { name: 'Summit' }, geometry: { type: 'Point', coordinates: [8, 46.7] } }
+      ]
+    };
+
+    const tracks = TrailTrack.parseGeoJSONTracks(geojson, 'alps');
+
+    expect(tracks).toHaveLength(2);
+    expect(tracks[0]).toMatchObject({ name: 'Day 1', description: 'Valley to hut', isActivity: true });
+    expect(tracks[0].points).toEqual([[46.5, 7.9, 1200], [46.51, 7.91, 1300]]);
+    expect(tracks[0].fixes[1].time).toBe(Date.parse('2024-06-01T08:10:00Z'));
+    expect(tracks[1]).toMatchObject({ name: 'alps (2)', description: '', isActivity: false });
+    expect(tracks[1].points).toHaveLength(4);
+  });
+
+  test('parseGeoJSONTracks drops invalid coordinates and features left empty', () => {
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { name: 'Messy', coordTimes: ['2024-06-01T08:00:00Z', null, '2024-06-01T08:10:00Z', '2024-06-01T08:20:00Z'] },
+          geometry: { type: 'LineString', coordinates: [[7.9, 46.5], [], ['7.91', '46.51'], [7.92, 46.52, 'high']] }
+        },
+        { type: 'Feature', properties: { name: 'Empty' }, geometry: { type: 'LineString', coordinates: [[null, null], [200, 95]] } },
+        { type: 'Feature', properties: { name: 'Broken' }, geometry: { type: 'Point' } }
+      ]
+    };
+
+    const tracks = TrailTrack.parseGeoJSONTracks(geojson);
+
+    expect(tracks.map(track => track.name)).toEqual(['Messy']);
+    expect(tracks[0].points).toEqual([[46.5, 7.9], [46.52, 7.92]]);
+    expect(tracks[0].fixes.map(fix => fix.time)).toEqual([Date.parse('2024-06-01T08:00:00Z'), Date.parse('2024-06-01T08:20:00Z')]);
+    expect(TrailTrack.parseGeoJSONWaypoints(geojson)).toEqual([]);
+  });
+
+  test('KML export keeps name and colour and imports back as tracks and waypoints', () => {
+    const route = {
+      name: 'Ridge & Lakes',
+      description: 'Two-day loop',
+      color: '#3366CC',
+      points: [[46.5, 7.9, 1200], [46.51, 7.91]]
+    };
+    const kml = TrailTrack.buildKml(route, [{ name: 'Spring', type: 'water', lat: 46.505, lng: 7.905, ele: null }]);
+
+    const kmlDoc = new DOMParser().parseFromString(kml, 'text/xml');
+    expect(kmlDoc.getElementsByTagName('parsererror')).toHaveLength(0);
+    expect(kmlDoc.querySelector('Document > name').textContent).toBe('Ridge & Lakes');
+    expect(kmlDoc.querySelector('LineStyle > color').textContent).toBe('ffcc6633');
+    expect(kmlDoc.querySelector('LineString > coordinates').textContent).toBe('7.9,46.5,1200 7.91,46.51');
+
+    // What toGeoJSON.kml produces for such a document
+    const geojson = {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { name: 'Ridge & Lakes', description: 'Two-day loop', stroke: '#3366cc' },
+          geometry: { type: 'GeometryCollection', geometries: [
+            { type: 'LineString', coordinates: [[7.9, 46.5], [7.91, 46.51]] },
+            { type: 'LineString', coordinates: [[7.92, 46.52], [7.93, 46.53]] }
+          ] }
+        },
+        { type: 'Feature', properties: { name: 'Spring', type: 'water' }, geometry: { type: 'Point', coordinates: [7.905, 46.505] } }
+      ]
+    };
+    const [track] = TrailTrack.parseGeoJSONTracks(geojson, 'ridge');
+    expect(track).toMatchObject({ name: 'Ridge & Lakes', description: 'Two-day loop', color: '#3366cc' });
+    expect(track.points).toHaveLength(4);
+    expect(TrailTrack.parseGeoJSONWaypoints(geojson)).toEqual([
+      { name: 'Spring', type: 'water', lat: 46.505, lng: 7.905, ele: null }
+    ]);
+  });
+
+  test('GeoJSON export round-trips routes, times and waypoints', () => {
+    const route = {
+      name: 'Morning Ride',
+      description: 'Commute',
+      type: 'activity',
+      points: [[46.5, 7.9, 1200], [46.51, 7.91, 1210]],
+      fixes: [{ time: Date.parse('2024-06-01T07:00:00Z') }, { time: Date.parse('2024-06-01T07:05:00Z') }],
+      distance: 1350,
+      created: '2024-06-01T08:00:00.000Z'
+    };
+    const geojson = JSON.parse(JSON.stringify(TrailTrack.buildFeatureCollection(
+      [route],
+      [{ name: 'Cafe', type: 'generic', lat: 46.505, lng: 7.905, ele: null, routeId: 'r1' }]
+    )));
+
+    expect(geojson.features.map(feature => feature.geometry.type)).toEqual(['LineString', 'Point']);
+    expect(geojson.features[0].properties).toMatchObject({ name: 'Morning Ride', description: 'Commute', routeType: 'activity' });
+
+    const [track] = TrailTrack.parseGeoJSONTracks(geojson, 'export');
+    expect(track).toMatchObject({ name: 'Morning Ride', description: 'Commute', isActivity: true });
+    expect(track.points).toEqual(route.points);
+    expect(track.fixes.map(fix => fix.time)).toEqual(route.fixes.map(fix => fix.time));
+    expect(TrailTrack.parseGeoJSONWaypoints(geojson)).toEqual([
+      { name: 'Cafe', type: 'generic', lat: 46.505, lng: 7.905, ele: null }
+    ]);
+
+    const bare = TrailTrack.toFeatureCollection({ type: 'LineString', coordinates: [[7.9, 46.5], [7.91, 46.51]] });
+    expect(TrailTrack.parseGeoJSONTracks(bare, 'line')[0].name).toBe('line');
+    expect(() => TrailTrack.toFeatureCollection({ routes: [] })).toThrow('Not a GeoJSON object');
+  });
+
+  test('parseTcx reads positions, times, heart rate and cadence', () => {
+    const tcx = `<?xml version="1.0" encoding="UTF-8"?>
+      <TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+        xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+        <Activities>
+          <Activity Sport="Biking">
+            <Id>2024-06-01T07:00:00Z</Id>
+            <Lap StartTime="2024-06-01T07:00:00Z"><Track>
+              <Trackpoint>
+                <Time>2024-06-01T07:00:00Z</Time>
+                <Position><LatitudeDegrees>46.5</LatitudeDegrees><LongitudeDegrees>7.9</LongitudeDegrees></Position>
+                <AltitudeMeters>1200.5</AltitudeMeters>
+                <HeartRateBpm><Value>120</Value></HeartRateBpm>
+                <Cadence>80</Cadence>
+                <Extensions><ns3:TPX><ns3:Speed>5.5</ns3:Speed></ns3:TPX></Extensions>
+              </Trackpoint>
+              <Trackpoint><Time>2024-06-01T07:00:05Z</Time><HeartRateBpm><Value>125</Value></HeartRateBpm></Trackpoint>
+              <Trackpoint>
+                <Time>2024-06-01T07:00:10Z</Time>
+                <Position><LatitudeDegrees>46.5005</LatitudeDegrees><LongitudeDegrees>7.9</LongitudeDegrees></Position>
+                <HeartRateBpm><Value>130</Value></HeartRateBpm>
+                <Cadence>0</Cadence>
+              </Trackpoint>
+            </Track></Lap>
+            <Creator><Name>Edge 530</Name></Creator>
+          </Activity>
+        </Activities>
+      </TrainingCenterDatabase>`;
+
+    const [track] = TrailTrack.parseTcx(new DOMParser().parseFromString(tcx, 'text/xml'), 'ride');
+
+    expect(track).toMatchObject({ name: 'ride', description: 'Biking', isActivity: true });
+    expect(track.points).toEqual([[46.5, 7.9, 1200.5], [46.5005, 7.9]]);
+    expect(track.fixes[0]).toMatchObject({ time: Date.parse('2024-06-01T07:00:00Z'), speed: 5.5, heartRate: 120, cadence: 80 });
+
+    const stats = TrailTrack.calculateActivityStats(track.points, track.fixes);
+    expect(stats).toMatchObject({ averageHeartRate: 125, maxHeartRate: 130, averageCadence: 80 });
+  });
+
+  test('parseFit decodes record messages including compressed timestamps', () => {
+    const bytes = [];
+    const u8 = (value) => bytes.push(value & 0xFF);
+    const u16 = (value) => { u8(value); u8(value >> 8); };
+    const u32 = (value) => { u16(value & 0xFFFF); u16(value >>> 16); };
+    const semicircles = (degrees) => Math.round(degrees * 2 ** 31 / 180);
+
+    // Definition: local type 0 -> record (20) with timestamp, lat, lng, altitude, heart rate, cadence
+    u8(0x40); u8(0); u8(0); u16(20); u8(6);
+    [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84], [3, 1, 0x02], [4, 1, 0x02]]
+      .forEach(([number, size, baseType]) => { u8(number); u8(size); u8(baseType); });
+    const fitTime = 1086000000;
+    u8(0x00); u32(fitTime); u32(semicircles(46.5)); u32(semicircles(7.9)); u16((1200 + 500) * 5); u8(120); u8(85);
+    // Compressed timestamp header: local type 0, 5-bit offset
+    u8(0x80 | ((fitTime + 4) & 0x1F)); u32(0); u32(semicircles(46.5005)); u32(semicircles(7.9)); u16(0xFFFF); u8(0xFF); u8(90);
+
+    const header = [14, 0x10, 0, 0, ...[0, 8, 16, 24].map(shift => (bytes.length >> shift) & 0xFF), 46, 70, 73, 84, 0, 0];
+    const buffer = new Uint8Array([...header, ...bytes, 0, 0]).buffer;
+
+    const [track] = TrailTrack.parseFit(buffer, 'morning');
+
+    expect(track.name).toBe('morning');
+    expect(track.isActivity).toBe(true);
+    expect(track.points[0][0]).toBeCloseTo(46.5, 6);
+    expect(track.points[0][2]).toBe(1200);
+    expect(track.points[1]).toHaveLength(2);
+    expect(track.fixes[0]).toMatchObject({ time: (fitTime + 631065600) * 1000, heartRate: 120, cadence: 85 });
+    expect(track.fixes[1].time - track.fixes[0].time).toBe(4000);
+    expect(track.fixes[1].heartRate).toBeUndefined();
+    expect(() => TrailTrack.parseFit(new ArrayBuffer(16))).toThrow('.FIT');
+  });
+
+  test('showImportDialog resolves with the checked tracks', async () => {
+    document.body.innerHTML = `
+      <div id="import-dialog-overlay" class="hidden">
+        <h3 id="import-dialog-title"></h3>
+        <button id="import-dialog-toggle-all"></button>
+        <div id="import-dialog-list"></div>
+        <button id="import-dialog-cancel"></button>
+        <button id="import-dialog-confirm"></button>
+      </div>
+    `;
+    const track = new TrailTrack({ autoInit: false });
+    const tracks = ['A', 'B', 'C'].map(name => ({ name, fileName: `${name}.gpx`, points: [[0, 0], [0, 0.01]], isActivity: false }));
+
+    const result = track.showImportDialog(tracks, 3);
+    const checkboxes = document.querySelectorAll('#import-dialog-list input[type="checkbox"]');
+    expect(checkboxes).toHaveLength(3);
+    expect(document.getElementById('import-dialog-title').textContent).toBe('Import 3 tracks from 3 files');
+
+    checkboxes[1].checked = false;
+    checkboxes[1].dispatchEvent(new Event('change', { bubbles: true }));
+    expect(document.getElementById('import-dialog-confirm').textContent).toBe('Import 2');
+    document.getElementById('import-dialog-confirm').click();
+
+    expect((await result).map(selected => selected.name)).toEqual(['A', 'C']);
+    expect(document.getElementById('import-dialog-overlay').classList.contains('hidden')).toBe(true);
+  });
+
+  test('deleteRoute removes the waypoints attached to it', async () => {
+    document.body.innerHTML = '<div id="routes-list"></div>';
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.showConfirmDialog = jest.fn().mockResolvedValue(true);
+    track.db = {
+      delete: jest.fn().mockResolvedValue(),
+      getAllFromIndex: jest.fn().mockResolvedValue([{ id: 'p1', routeId: 'r1' }])
+    };
+    track.routes = [{ id: 'r1', name: 'Loop', points: [], distance: 0, created: new Date().toISOString() }];
+    track.waypoints = [
+      { id: 'w1', routeId: 'r1', name: 'Spring', type: 'water', lat: 0, lng: 0 },
+      { id: 'w2', routeId: null, name: 'Car park', type: 'generic', lat: 0, lng: 0 }
+    ];
+
+    await track.deleteRoute('r1');
+
+    expect(track.waypoints.map(waypoint => waypoint.id)).toEqual(['w2']);
+    expect(track.db.delete).toHaveBeenCalledWith('waypoints', 'w1');
+    expect(track.db.delete).not.toHaveBeenCalledWith('waypoints', 'w2');
+    expect(track.db.delete).toHaveBeenCalledWith('photos', 'p1');
+  });
+
+  const createFakeDB = (existingStores = {}) => {
+    const stores = {};
+    const makeStore = (records = [], keyPath = 'id') => {
+      const indexes = [];
+      return {
+        records,
+        indexes,
+        indexNames: { contains: name => indexes.includes(name) },
+        createIndex: jest.fn(name => indexes.push(name)),
+        getAll: jest.fn(async () => records.slice()),
+        put: jest.fn(async record => {
+          const index = records.findIndex(existing => existing[keyPath] === record[keyPath]);
+          if (index === -1) records.push(record); else records[index] = record;
+        })
+      };
+    };
+    Object.entries(existingStores).forEach(([name, records]) => {
+      stores[name] = makeStore(records);
+    });
+    const db = {
+      stores,
+      objectStoreNames: { contains: name => name in stores },
+      createObjectStore: jest.fn((name, { keyPath } = {}) => {
+        stores[name] = makeStore([], keyPath);
+        return stores[name];
+      })
+    };
+    const transaction = { objectStore: name => stores[name] };
+    return { db, transaction };
+  };
+
+  test('planRestore adds missing photos and copies them for a kept-both route', () => {
+    const track = new TrailTrack({ autoInit: false });
+    const route = { id: 'r1', name: 'Here', type: 'planned', points: [[0, 0]], distance: 0, elevationGain: 0, elevationLoss: 0, created: '2024-01-01T00:00:00.000Z' };
+    track.routes = [route];
+    track.waypoints = [];
+    const photo = (id) => ({ id, routeId: 'r1', name: `${id}.jpg`, type: 'image/jpeg', lat: null, lng: null, takenAt: null, created: '2024-01-01T00:00:00.000Z', data: 'data:image/jpeg;base64,AAEC' });
+    const backup = TrailTrack.parseBackup(TrailTrack.buildBackup([{ ...route, name: 'Backup' }], [], {}, [photo('p1'), photo('p2')]));
+
+    const merge = track.planRestore(backup, { mode: 'merge', duplicates: 'skip' }, ['p1']);
+    expect(merge.photosToSave.map(p => p.id)).toEqual(['p2']);
+
+    const keepBoth = track.planRestore(backup, { mode: 'merge', duplicates: 'keep-both' }, ['p1']);
+    const copiedRouteId = keepBoth.routesToSave[0].id;
+    expect(keepBoth.photosToSave).toHaveLength(2);
+    expect(keepBoth.photosToSave.every(p => p.routeId === copiedRouteId && !['p1', 'p2'].includes(p.id))).toBe(true);
+
+    const replace = track.planRestore(backup, { mode: 'replace' }, ['p1', 'p3']);
+    expect(replace.photoIdsToDelete).toEqual(['p3']);
+
+    const blob = TrailTrack.dataUrlToBlob(photo('p1').data);
+    expect(blob.type).toBe('image/jpeg');
+    expect(blob.size).toBe(3);
+  });
+
+  test('runMigrations builds a fresh database through every version', async () => {
+    const { db, transaction } = createFakeDB();
+
+    const applied = await TrailTrack.runMigrations(db, transaction, 0);
+
+    expect(applied).toEqual(TrailTrack.DB_MIGRATIONS.map(migration => migration.version));
+    expect(TrailTrack.DB_VERSION).toBe(applied[applied.length - 1]);
+    expect(Object.keys(db.stores).sort()).toEqual(['drafts', 'originals', 'photos', 'regions', 'routes', 'tiles', 'waypoints']);
+    expect(db.stores.routes.indexes).toEqual(['created', 'distance', 'type', 'activityType', 'tags']);
+    expect(db.stores.waypoints.indexes).toEqual(['routeId']);
+    expect(db.stores.tiles.indexes).toEqual(['regions']);
+  });
+
+  test('getTileUrlsForBounds lists every tile in the zoom range', () => {
+    const bounds = { south: 47.0, west: 7.0, north: 47.1, east: 7.1 };
+    const urls = TrailTrack.getTileUrlsForBounds(bounds, 10, 11, 'https://t/{z}/{x}/{y}.png');
+
+    expect(urls).toEqual([
+      'https://t/10/531/359.png',
+      'https://t/10/531/360.png',
+      'https://t/10/532/359.png',
+      'https://t/10/532/360.png',
+      'https://t/11/1063/719.png',
+      'https://t/11/1063/720.png',
+      'https://t/11/1064/719.png',
+      'https://t/11/1064/720.png'
+    ]);
+    expect(TrailTrack.formatBytes(512)).toBe('512 B');
+    expect(TrailTrack.formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+
+  test('getTileUrlsAlongRoute covers a buffer along the line, not its whole bounding box', () => {
+    const template = '{z}/{x}/{y}';
+    const points = [[47.0, 7.0], [47.3, 7.4]];
+
+    const samples = TrailTrack.sampleRoutePoints(points, 1000);
+    const gaps = samples.slice(1).map((point, i) => TrailTrack.haversineDistance(
+      { lat: samples[i][0], lng: samples[i][1] },
+      { lat: point[0], lng: point[1] }
+    ));
+    expect(samples[0]).toEqual([47.0, 7.0]);
+    expect(samples[samples.length - 1]).toEqual([47.3, 7.4]);
+    expect(Math.max(...gaps)).toBeLessThanOrEqual(1000);
+
+    const corridor = TrailTrack.getTileUrlsAlongRoute(points, 500, 14, 14, template);
+    const bounds = TrailTrack.bufferedBounds(points, 500);
+    const box = TrailTrack.getTileUrlsForBounds(bounds, 14, 14, template);
+    const endTile = (lat, lng) => {
+      const tile = TrailTrack.latLngToTilePixel(lat, lng, 14);
+      return `14/${tile.x}/${tile.y}`;
+    };
+
+    expect(new Set(corridor).size).toBe(corridor.length);
+    expect(corridor).toEqual(expect.arrayContaining([endTile(47.0, 7.0), endTile(47.3, 7.4), endTile(47.15, 7.2)]));
+    expect(corridor.every(url => box.includes(url))).toBe(true);
+    expect(corridor.length).toBeLessThan(box.length / 4);
+
+    // A dense watch track is sampled by distance, not by vertex
+    const dense = Array.from({ length: 5001 }, (_, i) => [47.0 + i * 0.00001, 7.0]);
+    const denseSamples = TrailTrack.sampleRoutePoints(dense, 500);
+    expect(denseSamples.length).toBeLessThan(15);
+    expect(denseSamples[denseSamples.length - 1]).toEqual(dense[dense.length - 1]);
+  });
+
+  test('downloadRouteForOffline registers the corridor as a region for the route', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.elevationTileUrl = '';
+    track.routes = [{ id: 'r1', name: 'Ridge walk', points: [[47.0, 7.0], [47.05, 7.05]] }];
+    track.regions = [{ id: 'old', tileCount: 10, bytes: 10 * 30 * 1024 }];
+    track.downloadRegion = jest.fn().mockResolvedValue(null);
+    let summary;
+    const getCorridorTiles = jest.spyOn(track, 'getRouteCorridorTileUrls');
+    track.showRegionDialog = jest.fn(async ({ name, corridor, describe }) => {
+      summary = describe(corridor);
+      describe(corridor);
+      describe({ bufferMeters: 200, minZoom: 13, maxZoom: 15 });
+      return { name: `${name} offline`, bufferMeters: 200, minZoom: 13, maxZoom: 15 };
+    });
+
+    await track.downloadRouteForOffline('r1');
+
+    const tiles = TrailTrack.getTileUrlsAlongRoute(track.routes[0].points, 200, 13, 15, TrailTrack.OFFLINE_TILE_URL);
+    expect(track.showRegionDialog.mock.calls[0][0].corridor).toEqual({ bufferMeters: 500, minZoom: 12, maxZoom: 16 });
+    expect(summary).toMatch(/tiles · about [\d.]+ (KB|MB) · zoom 12–16/);
+    expect(track.downloadRegion).toHaveBeenCalledWith({
+      name: 'Ridge walk offline',
+      bounds: TrailTrack.bufferedBounds(track.routes[0].points, 200),
+      minZoom: 13,
+      maxZoom: 15,
+      tiles,
+      routeId: 'r1'
+    });
+    // Each buffer and zoom setting is counted once, and reused for the download
+    expect(getCorridorTiles).toHaveBeenCalledTimes(2);
+    expect(localStorage.getItem('offlineCorridorBuffer')).toBe('200');
+    localStorage.removeItem('offlineCorridorBuffer');
+  });
+
+  const mockTileCache = (cachedUrls = []) => {
+    const stored = new Set(cachedUrls);
+    return {
+      match: jest.fn(async url => (stored.has(url) ? { blob: async () => ({ size: 50 }) } : undefined)),
+      put: jest.fn(async url => { stored.add(url); }),
+      delete: jest.fn(async url => stored.delete(url)),
+      stored
+    };
+  };
+
+  // Tile ownership records behind the transactions used by addTileOwner/removeTileOwner
+  const mockTileDB = (records = []) => {
+    const tiles = new Map(records.map(record => [record.key, record]));
+    const store = {
+      get: jest.fn(async key => tiles.get(key)),
+      put: jest.fn(async record => { tiles.set(record.key, record); }),
+      delete: jest.fn(async key => { tiles.delete(key); })
+    };
+    return {
+      tiles,
+      store,
+      transaction: jest.fn(() => ({ objectStore: () => store, done: Promise.resolve() })),
+      getAllFromIndex: jest.fn(async (storeName, index, regionId) =>
+        Array.from(tiles.values()).filter(tile => tile.regions.includes(regionId))),
+      put: jest.fn().mockResolvedValue(),
+      delete: jest.fn().mockResolvedValue()
+    };
+  };
+
+  test('runTileDownloadQueue limits requests per server and retries overloaded ones', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.tileDownload = { name: 'Test', total: 8, succeeded: 0, failed: 0, skipped: 0, paused: false, cancelled: false, resumed: Promise.resolve(), stopped: new Promise(() => {}) };
+    const tiles = [
+      ...[1, 2, 3, 4, 5].map(i => `https://tile.openstreetmap.org/10/${i}/1.png`),
+      'https://tiles.example.com/10/1/1.png',
+      'https://tiles.example.com/10/2/1.png',
+      'https://tiles.example.com/10/3/1.png'
+    ];
+    const cache = mockTileCache([tiles[5]]);
+    const attempts = {};
+    const inFlight = {};
+    const maxInFlight = {};
+    const originalDelay = TrailTrack.TILE_DOWNLOAD.retryBaseDelay;
+    TrailTrack.TILE_DOWNLOAD.retryBaseDelay = 0;
+    global.caches = { open: jest.fn().mockResolvedValue(cache) };
+    global.fetch = jest.fn(async url => {
+      const host = new URL(url).host;
+      inFlight[host] = (inFlight[host] || 0) + 1;
+      maxInFlight[host] = Math.max(maxInFlight[host] || 0, inFlight[host]);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      inFlight[host]--;
+      attempts[url] = (attempts[url] || 0) + 1;
+      if (url === tiles[1] && attempts[url] < 3) return { ok: false, status: 503 };
+      if (url === tiles[2]) return { ok: false, status: 404 };
+      if (url === tiles[3]) throw new TypeError('Failed to fetch');
+      return { ok: true, status: 200, clone() { return this; }, blob: async () => ({ size: 100 }) };
+    });
+
+    let results;
+    try {
+      results = await track.runTileDownloadQueue(tiles);
+    } finally {
+      TrailTrack.TILE_DOWNLOAD.retryBaseDelay = originalDelay;
+      delete global.caches;
+      delete global.fetch;
+    }
+
+    expect(maxInFlight['tile.openstreetmap.org']).toBe(2);
+    expect(maxInFlight['tiles.example.com']).toBe(2);
+    expect(attempts[tiles[1]]).toBe(3);
+    expect(attempts[tiles[2]]).toBe(1);
+    expect(attempts[tiles[3]]).toBe(TrailTrack.TILE_DOWNLOAD.maxRetries + 1);
+    expect(attempts[tiles[5]]).toBeUndefined();
+    expect(results.get(tiles[1])).toEqual({ status: 'succeeded', bytes: 100 });
+    expect(results.get(tiles[5])).toEqual({ status: 'skipped', bytes: 50 });
+    expect(track.tileDownload).toMatchObject({ succeeded: 5, failed: 2, skipped: 1 });
+    expect(TrailTrack.getTileServerLimitIssues(Array(2501).fill(tiles[0]))[0]).toMatch(/tile\.openstreetmap\.org is over its limit of 2,500/);
+    expect(TrailTrack.getTileServerLimitIssues(Array(2501).fill(tiles[6]))).toEqual([]);
+  });
+
+  test('cancelling a tile download ends a retry backoff at once', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    const download = { paused: false, cancelled: false, resumed: Promise.resolve() };
+    download.stopped = new Promise(resolve => { download.stop = resolve; });
+    track.tileDownload = download;
+    const originalDelay = TrailTrack.TILE_DOWNLOAD.retryBaseDelay;
+    TrailTrack.TILE_DOWNLOAD.retryBaseDelay = 60000;
+    const fetchTile = jest.fn(async () => ({ ok: false, status: 503 }));
+    global.fetch = fetchTile;
+
+    let result;
+    try {
+      const pending = track.fetchTileWithRetry(mockTileCache(), 'https://tiles.example.com/10/1/1.png', download);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      track.cancelTileDownload();
+      result = await pending;
+    } finally {
+      TrailTrack.TILE_DOWNLOAD.retryBaseDelay = originalDelay;
+      delete global.fetch;
+    }
+
+    expect(result).toEqual({ status: 'failed', bytes: 0 });
+    expect(fetchTile).toHaveBeenCalledTimes(1);
+  });
+
+  test('a paused tile download waits, and cancelling it removes the region and its tiles', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.regions = [];
+    track.showToast = jest.fn();
+    track.db = mockTileDB([{ key: 'https://tiles.example.com/10/1/1.png', bytes: 50, regions: ['other'] }]);
+    const tiles = [1, 2, 3, 4, 5, 6].map(i => `https://tiles.example.com/10/${i}/1.png`);
+    const cache = mockTileCache([tiles[0]]);
+    global.caches = { open: jest.fn().mockResolvedValue(cache) };
+    global.fetch = jest.fn(async () => {
+      if (global.fetch.mock.calls.length === 2) track.pauseTileDownload();
+      return { ok: true, status: 200, clone() { return this; }, blob: async () => ({ size: 100 }) };
+    });
+
+    let region;
+    try {
+      const pending = track.downloadRegion({ name: 'Valley', bounds: {}, minZoom: 10, maxZoom: 10, tiles });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(track.tileDownload.paused).toBe(true);
+      expect(global.fetch.mock.calls.length).toBeLessThan(tiles.length);
+      const fetchedWhilePaused = global.fetch.mock.calls.length;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(global.fetch.mock.calls.length).toBe(fetchedWhilePaused);
+
+      // The region is stored first and owns each tile as it arrives
+      const regionId = track.db.put.mock.calls[0][1].id;
+      expect(track.db.put.mock.calls[0][0]).toBe('regions');
+      expect(Array.from(track.db.tiles.values()).filter(tile => tile.regions.includes(regionId))).toHaveLength(fetchedWhilePaused + 1);
+
+      track.cancelTileDownload();
+      region = await pending;
+      expect(track.db.delete).toHaveBeenCalledWith('regions', regionId);
+    } finally {
+      delete global.caches;
+      delete global.fetch;
+    }
+
+    expect(region).toBeNull();
+    expect(track.tileDownload).toBeNull();
+    expect(track.regions).toEqual([]);
+    expect(Array.from(track.db.tiles.values())).toEqual([{ key: tiles[0], bytes: 50, regions: ['other'] }]);
+    expect(Array.from(cache.stored)).toEqual([tiles[0]]);
+    expect(track.showToast).toHaveBeenCalledWith('Offline download cancelled', 'info');
+  });
+
+  test('deleteRegion removes only tiles no other region uses', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.regions = [
+      { id: 'a', name: 'Valley', bounds: {}, minZoom: 10, maxZoom: 12, tileCount: 3, bytes: 300, created: '2024-01-01T00:00:00.000Z' },
+      { id: 'b', name: 'Ridge', bounds: {}, minZoom: 10, maxZoom: 12, tileCount: 1, bytes: 100, created: '2024-01-02T00:00:00.000Z' }
+    ];
+    track.showConfirmDialog = jest.fn().mockResolvedValue(true);
+    track.showToast = jest.fn();
+    track.db = mockTileDB([
+      { key: 'tile-shared', bytes: 100, regions: ['a', 'b'] },
+      { key: 'tile-own', bytes: 100, regions: ['a'] },
+      { key: 'tile-downloading', bytes: 100, regions: ['a'] }
+    ]);
+    // A running download counted this tile as already cached
+    track.tileDownload = { tiles: new Set(['tile-downloading']) };
+    const cache = { delete: jest.fn().mockResolvedValue(true) };
+    global.caches = { open: jest.fn().mockResolvedValue(cache) };
+
+    try {
+      await track.deleteRegion('a');
+    } finally {
+      delete global.caches;
+    }
+
+    expect(track.db.transaction).toHaveBeenCalledWith('tiles', 'readwrite');
+    expect(Array.from(track.db.tiles.values())).toEqual([{ key: 'tile-shared', bytes: 100, regions: ['b'] }]);
+    expect(track.db.delete).toHaveBeenCalledWith('regions', 'a');
+    expect(cache.delete).toHaveBeenCalledTimes(1);
+    expect(cache.delete).toHaveBeenCalledWith('tile-own');
+    expect(track.regions.map(region => region.id)).toEqual(['b']);
+  });
+
+  test('addTileOwner adds a region to a tile once', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.db = mockTileDB([{ key: 'tile', bytes: 100, regions: ['a'] }]);
+
+    await track.addTileOwner('tile', 100, 'b');
+    await track.addTileOwner('tile', 100, 'b');
+    await track.addTileOwner('new-tile', 50, 'b');
+
+    expect(track.db.tiles.get('tile').regions).toEqual(['a', 'b']);
+    expect(track.db.tiles.get('new-tile')).toEqual({ key: 'new-tile', bytes: 50, regions: ['b'] });
+    expect(track.db.transaction).toHaveBeenCalledTimes(3);
+  });
+
+  test('runMigrations upgrades an existing database without losing routes', async () => {
+    const oldRoute = { id: 'r1', name: 'Old loop', points: [[1, 2]], distance: '250', created: '2023-06-01T00:00:00.000Z' };
+    const { db, transaction } = createFakeDB({ routes: [oldRoute], tiles: [], waypoints: [] });
+
+    const applied = await TrailTrack.runMigrations(db, transaction, 2, 4);
+
+    expect(applied).toEqual([3, 4]);
+    expect(db.createObjectStore).not.toHaveBeenCalledWith('waypoints', expect.anything());
+    expect(db.stores.routes.records).toEqual([{
+      id: 'r1',
+      name: 'Old loop',
+      type: 'planned',
+      points: [[1, 2]],
+      distance: 250,
+      elevationGain: 0,
+      elevationLoss: 0,
+      created: '2023-06-01T00:00:00.000Z'
+    }]);
+  });
+
+  test('the v8 migration moves route originals to their own store', async () => {
+    const simplified = { id: 'r1', name: 'Watch', points: [[0, 0], [0, 2]], original: { points: [[0, 0], [0, 1], [0, 2]] } };
+    const plain = { id: 'r2', name: 'Plain', points: [[1, 1], [1, 2]] };
+    const { db, transaction } = createFakeDB({ routes: [simplified, plain], tiles: [], waypoints: [] });
+
+    await TrailTrack.runMigrations(db, transaction, 7, 8);
+
+    expect(db.stores.routes.records).toEqual([
+      { id: 'r1', name: 'Watch', points: [[0, 0], [0, 2]], originalPointCount: 3 },
+      plain
+    ]);
+    expect(db.stores.originals.records).toEqual([{ routeId: 'r1', points: [[0, 0], [0, 1], [0, 2]] }]);
+  });
+
+  test('serializeRoute keeps unknown plain fields and drops map objects', () => {
+    class FakeLayer { constructor() { this.map = {}; } }
+    const serialized = TrailTrack.serializeRoute({
+      id: 1,
+      name: 'Loop',
+      points: [[0, 0], [0, 0.01]],
+      surface: 'gravel',
+      difficulty: { grade: 3, scale: 'SAC' },
+      polyline: new FakeLayer(),
+      markers: [new FakeLayer()],
+      cumulativeDistances: [0, 1112],
+      startMarker: new FakeLayer(),
+      onClick: () => {},
+      description: '',
+      activityType: 'unknown'
+    });
+
+    expect(serialized).toMatchObject({ id: '1', surface: 'gravel', difficulty: { grade: 3, scale: 'SAC' } });
+    ['polyline', 'markers', 'cumulativeDistances', 'startMarker', 'onClick', 'description', 'activityType', 'fixes', 'stats']
+      .forEach(key => expect(serialized).not.toHaveProperty(key));
+  });
+
+  test('the v3 migration does not depend on the current serializeRoute', async () => {
+    const { db, transaction } = createFakeDB({ routes: [{ id: '7', name: 'Old', points: [[1, 2]], distance: '12', created: '2023-01-01T00:00:00.000Z' }], tiles: [], waypoints: [] });
+    const serialize = jest.spyOn(TrailTrack, 'serializeRoute');
+
+    try {
+      await TrailTrack.runMigrations(db, transaction, 2, 3);
+      expect(serialize).not.toHaveBeenCalled();
+    } finally {
+      serialize.mockRestore();
+    }
+    expect(db.stores.routes.records[0]).toEqual({ id: '7', name: 'Old', type: 'planned', points: [[1, 2]], distance: 12, elevationGain: 0, elevationLoss: 0, created: '2023-01-01T00:00:00.000Z' });
+  });
+
+  test('library backups round-trip and reject other files', () => {
+    const route = {
+      id: 'r1', name: 'Ridge', type: 'planned', points: [[46, 7, 1200], [46.01, 7.01]],
+      distance: 1300, elevationGain: 0, elevationLoss: 0, created: '2024-05-01T08:00:00.000Z',
+      polyline: { leaflet: true }
+    };
+    const waypoint = { id: 'w1', routeId: 'r1', name: 'Hut', type: 'camp', lat: 46, lng: 7, ele: null, created: '2024-05-01T08:00:00.000Z' };
+
+    const backup = TrailTrack.buildBackup([route], [waypoint], { theme: 'dark' });
+    const parsed = TrailTrack.parseBackup(JSON.stringify(backup));
+
+    expect(backup.format).toBe('trailtrack-backup');
+    expect(backup.routes[0]).not.toHaveProperty('polyline');
+    expect(parsed.routes).toEqual([TrailTrack.serializeRoute(route)]);
+    expect(parsed.waypoints).toEqual([waypoint]);
+    expect(parsed.settings).toEqual({ theme: 'dark' });
+    expect(() => TrailTrack.parseBackup('{"type":"FeatureCollection"}')).toThrow();
+    expect(() => TrailTrack.parseBackup({ ...backup, version: TrailTrack.BACKUP_VERSION + 1 })).toThrow();
+  });
+
+  test('exportLibraryBackup reads photos one at a time into a compact backup file', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.routes = [{ id: 'r1', name: 'Loop', type: 'planned', points: [[46, 7]], distance: 0, elevationGain: 0, elevationLoss: 0, created: '2024-05-01T08:00:00.000Z' }];
+    track.waypoints = [];
+    track.showToast = jest.fn();
+    const photo = id => ({ id, routeId: 'r1', name: `${id}.jpg`, type: 'image/jpeg', lat: null, lng: null, takenAt: null, created: '2024-05-01T08:00:00.000Z', blob: new Blob([id]) });
+    track.db = {
+      getAllKeys: jest.fn().mockResolvedValue(['p1', 'p2']),
+      get: jest.fn(async (store, id) => photo(id))
+    };
+    track.readFileAsDataUrl = jest.fn(async () => 'data:image/jpeg;base64,AAEC');
+    track.downloadFile = jest.fn();
+
+    await track.exportLibraryBackup();
+
+    const [file, filename] = track.downloadFile.mock.calls[0];
+    const text = await track.readFileAsText(file);
+    expect(filename).toMatch(/^trailtrack-backup-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(text).not.toContain('\n');
+    expect(track.db.get).toHaveBeenCalledTimes(2);
+    const backup = TrailTrack.parseBackup(text);
+    expect(backup.routes.map(route => route.id)).toEqual(['r1']);
+    expect(backup.photos.map(p => [p.id, p.data])).toEqual([['p1', 'data:image/jpeg;base64,AAEC'], ['p2', 'data:image/jpeg;base64,AAEC']]);
+  });
+
+  test('parseBackup validates points and applyRestore writes in one transaction', async () => {
+    const backup = TrailTrack.parseBackup({
+      format: 'trailtrack-backup',
+      version: 2,
+      routes: [
+        { id: 'r1', name: 'Ok', points: [[47, 7], ['x', 7], [null, null], [47.1, 7.1, 500]], fixes: [{ time: 1 }, { time: 2 }, { time: 3 }, { time: 4 }], original: { points: [[47, 7], [47.05, 7.05], ['x', 1], [47.1, 7.1]] } },
+        { id: 'r2', name: 'Junk', points: [[undefined, 1], [91, 0]] }
+      ],
+      photos: [{ id: 'p1', routeId: 'r1', data: 'data:image/jpeg;base64,!!!' }]
+    });
+    expect(backup.routes.map(route => route.id)).toEqual(['r1']);
+    expect(backup.routes[0].points).toEqual([[47, 7], [47.1, 7.1, 500]]);
+    expect(backup.routes[0].fixes.map(fix => fix.time)).toEqual([1, 4]);
+    expect(backup.routes[0].original).toEqual({ points: [[47, 7], [47.05, 7.05], [47.1, 7.1]] });
+    expect(backup.routes[0].originalPointCount).toBe(3);
+    expect(backup.photos).toEqual([]);
+
+    const track = new TrailTrack({ autoInit: false });
+    track.loadRoutes = jest.fn().mockResolvedValue();
+    track.loadWaypoints = jest.fn().mockResolvedValue();
+    const store = () => ({ put: jest.fn().mockResolvedValue(), delete: jest.fn().mockResolvedValue() });
+    const stores = { routes: store(), originals: store(), waypoints: store(), photos: store() };
+    track.db = {
+      transaction: jest.fn(() => ({ objectStore: name => stores[name], done: Promise.resolve() })),
+      put: jest.fn(),
+      delete: jest.fn()
+    };
+    const plan = track.planRestore(backup, { mode: 'replace' }, []);
+    plan.routeIdsToDelete = ['old'];
+
+    await track.applyRestore(plan);
+    expect(track.db.transaction).toHaveBeenCalledWith(['routes', 'originals', 'waypoints', 'photos'], 'readwrite');
+    expect(stores.routes.delete).toHaveBeenCalledWith('old');
+    expect(stores.originals.delete).toHaveBeenCalledWith('old');
+    expect(stores.routes.put).toHaveBeenCalledWith(expect.objectContaining({ id: 'r1', originalPointCount: 3 }));
+    expect(stores.routes.put.mock.calls[0][0]).not.toHaveProperty('original');
+    expect(stores.originals.put).toHaveBeenCalledWith({ routeId: 'r1', points: [[47, 7], [47.05, 7.05], [47.1, 7.1]] });
+    expect(track.db.put).not.toHaveBeenCalled();
+    expect(track.db.delete).not.toHaveBeenCalled();
+
+    // A record that can't be converted stops the restore before anything is written
+    track.db.transaction.mockClear();
+    plan.photosToSave = [{ id: 'p2', routeId: 'r1', data: 'data:image/jpeg;base64,%%%' }];
+    await expect(track.applyRestore(plan)).rejects.toThrow();
+    expect(track.db.transaction).not.toHaveBeenCalled();
+    expect(track.loadRoutes).toHaveBeenCalledTimes(2);
+  });
+
+  test('planRestore merges, keeps both copies or replaces the library', () => {
+    localStorage.clear();
+    localStorage.setItem('theme', 'light');
+    const track = new TrailTrack({ autoInit: false });
+    const makeRoute = (id, name) => ({
+      id, name, type: 'planned', points: [[0, 0], [0, 0.01]],
+      distance: 1113, elevationGain: 0, elevationLoss: 0, created: '2024-01-01T00:00:00.000Z'
+    });
+    track.routes = [makeRoute('a', 'Same'), makeRoute('b', 'Local name'), makeRoute('c', 'Only local')];
+    track.waypoints = [{ id: 'w1', routeId: 'b', name: 'Spring', type: 'water', lat: 0, lng: 0, ele: null, created: '2024-01-01T00:00:00.000Z' }];
+
+    const backup = TrailTrack.parseBackup(TrailTrack.buildBackup(
+      [makeRoute('a', 'Same'), makeRoute('b', 'Backup name'), makeRoute('d', 'Only in backup')],
+      track.waypoints,
+      { theme: 'dark', followPaths: 'true' }
+    ));
+
+    const skip = track.planRestore(backup, { mode: 'merge', duplicates: 'skip' });
+    expect(skip.routesToSave.map(route => route.id)).toEqual(['d']);
+    expect(skip.summary).toMatchObject({ routesAdded: 1, routesUnchanged: 1, routesSkipped: 1, routesDeleted: 0 });
+    expect(skip.settingsToSet).toEqual({ followPaths: 'true' });
+
+    const keepBoth = track.planRestore(backup, { mode: 'merge', duplicates: 'keep-both' });
+    const copy = keepBoth.routesToSave.find(route => route.name === 'Backup name');
+    expect(copy.id).not.toBe('b');
+    expect(keepBoth.waypointsToSave).toHaveLength(1);
+    expect(keepBoth.waypointsToSave[0].routeId).toBe(copy.id);
+    expect(keepBoth.waypointsToSave[0].id).not.toBe('w1');
+
+    const replace = track.planRestore(backup, { mode: 'replace' });
+    expect(replace.routesToSave.map(route => route.id)).toEqual(['b', 'd']);
+    expect(replace.routeIdsToDelete).toEqual(['c']);
+    expect(replace.settingsToSet).toEqual({ theme: 'dark', followPaths: 'true' });
+    localStorage.clear();
+  });
+
+  test('calculateElevationStats ignores changes below the hysteresis threshold', () => {
+    const points = [
+      [0, 0, 100],
+      [0, 0, 101],
+      [0, 0, 99],
+      [0, 0, 102],
+      [0, 0, 110],
+      [0, 0, 104],
+      [0, 0]
+    ];
+
+    const stats = TrailTrack.calculateElevationStats(points, 3);
+
+    expect(stats.gain).toBe(10);
+    expect(stats.loss).toBe(6);
+    expect(stats.min).toBe(99);
+    expect(stats.max).toBe(110);
+  });
+
+  test('decodeElevationPixel supports terrarium and mapbox encodings', () => {
+    expect(TrailTrack.decodeElevationPixel(128, 100, 128, 'terrarium')).toBeCloseTo(100.5);
+    expect(TrailTrack.decodeElevationPixel(1, 134, 160, 'mapbox')).toBeCloseTo(0);
+  });
+
+  test('fillMissingElevations looks up points without elevation from terrain tiles', async () => {
+    const track = new TrailTrack({ autoInit: false, elevationTileZoom: 0 });
+    const data = new Uint8ClampedArray(256 * 256 * 4);
+    // Every pixel encodes 250 m in terrarium format
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = 128;
+      data[i + 1] = 250;
+      data[i + 2] = 0;
+    }
+    track.fetchElevationTilePixels = jest.fn().mockResolvedValue({ width: 256, height: 256, data });
+
+    const points = [[10, 20], [11, 21, 300]];
+    const filled = await track.fillMissingElevations(points);
+
+    expect(filled).toBe(1);
+    expect(points).toEqual([[10, 20, 250], [11, 21, 300]]);
+    expect(track.fetchElevationTilePixels).toHaveBeenCalledWith(
+      'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/0/0/0.png'
+    );
+  });
+
+  test('fillMissingElevations loads a failing terrain tile once and times out hung requests', async () => {
+    const track = new TrailTrack({ autoInit: false, elevationTileZoom: 0 });
+    track.showToast = jest.fn();
+    const originalTimeout = TrailTrack.ELEVATION_TILE_TIMEOUT;
+    TrailTrack.ELEVATION_TILE_TIMEOUT = 10;
+    // The terrain server never answers; only the timeout ends the request
+    const fetchTile = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    global.fetch = fetchTile;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const points = [[10, 20], [11, 21], [12, 22]];
+    let filled;
+    try {
+      filled = await track.fillMissingElevations(points);
+    } finally {
+      TrailTrack.ELEVATION_TILE_TIMEOUT = originalTimeout;
+      warn.mockRestore();
+      delete global.fetch;
+    }
+
+    expect(filled).toBe(0);
+    expect(fetchTile).toHaveBeenCalledTimes(1);
+    expect(track.showToast).toHaveBeenCalledWith('Elevation data not available for part of this route', 'warning');
+  });
+
+  test('projectOntoRoute prefers the leg ahead on out-and-back routes', () => {
+    const track = new TrailTrack({ autoInit: false });
+    // Out 0.01° east and back along (almost) the same line
+    const route = { points: [[0, 0], [0, 0.01], [0.0001, 0]] };
+    track.rebuildCumulativeDistances(route);
+
+    const outbound = TrailTrack.projectOntoRoute([0, 0.005], route.points, route.cumulativeDistances, {
+      fromDistance: 0,
+      tolerance: 50
+    });
+    expect(outbound.segmentIndex).toBe(0);
+    expect(outbound.distanceAlong).toBeCloseTo(556, -1);
+    expect(outbound.distanceFromRoute).toBeLessThan(1);
+
+    const inbound = TrailTrack.projectOntoRoute([0, 0.005], route.points, route.cumulativeDistances, {
+      fromDistance: 1200,
+      tolerance: 50
+    });
+    expect(inbound.segmentIndex).toBe(1);
+    expect(inbound.distanceAlong).toBeGreaterThan(1600);
+  });
+
+  test('updateNavigation warns once when leaving the route', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    track.offRouteThreshold = 50;
+    const route = { points: [[0, 0], [0, 0.01]] };
+    track.rebuildCumulativeDistances(route);
+    track.navigation = {
+      route,
+      cumulativeDistances: route.cumulativeDistances,
+      distance: route.distance,
+      progressDistance: 0,
+      isOffRoute: false,
+      hasArrived: false,
+      marker: null
+    };
+
+    track.updateNavigation([0, 0.004]);
+    expect(track.navigation.isOffRoute).toBe(false);
+    expect(track.navigation.progressDistance).toBeCloseTo(445, -1);
+
+    // Roughly 110 m north of the line
+    track.updateNavigation([0.001, 0.005]);
+    track.updateNavigation([0.001, 0.0055]);
+    expect(track.navigation.isOffRoute).toBe(true);
+    expect(track.navigation.progressDistance).toBeCloseTo(445, -1);
+    expect(track.showToast).toHaveBeenCalledTimes(1);
+    expect(track.showToast.mock.calls[0][1]).toBe('warning');
+  });
+
+  test('printCueSheet escapes the route name in the print window', () => {
+    const track = new TrailTrack({ autoInit: false });
+    const printWindow = { document: { write: jest.fn(), close: jest.fn() }, focus: jest.fn(), print: jest.fn() };
+    const open = jest.spyOn(window, 'open').mockReturnValue(printWindow);
+
+    track.printCueSheet({ name: '<img src=x onerror=alert(1)>', distance: 1000 }, [
+      { distance: 0, instruction: 'Start', continueDistance: 1000 }
+    ]);
+    open.mockRestore();
+
+    const html = printWindow.document.write.mock.calls[0][0];
+    expect(html).not.toContain('<img');
+    expect(html).toContain('<h1>&lt;img src=x onerror=alert(1)&gt;</h1>');
+  });
+
+  test('stopping GPS tracking ends navigation unless tracking is restarting', () => {
+    document.body.innerHTML = '<span id="tracking-icon"></span><div id="navigation-panel"></div>';
+    const track = new TrailTrack({ autoInit: false });
+    track.showToast = jest.fn();
+    const startNavigation = () => {
+      track.isTracking = true;
+      track.navigation = { routeId: 'r1', route: { id: 'r1' }, marker: null };
+    };
+
+    startNavigation();
+    track.stopTracking({ restarting: true });
+    expect(track.navigation).not.toBeNull();
+
+    startNavigation();
+    track.stopTracking();
+    expect(track.navigation).toBeNull();
+    expect(document.getElementById('navigation-panel').classList.contains('hidden')).toBe(true);
+  });
+
+  test('generateCues derives turn instructions from bearing changes', () => {
+    const track = new TrailTrack({ autoInit: false });
+    const route = {
+      points: [
+        [0, 0],
+        [0.001, 0], // north
+        [0.002, 0.00005], // nearly straight on
+        [0.002, -0.001], // turn left (west)
+        [0.0023, -0.0015] // bear right (west-northwest)
+      ]
+    };
+
+    const cues = track.generateCues(route);
+
+    expect(cues.map(cue => cue.type)).toEqual(['start', 'turn-left', 'bear-right', 'arrive']);
+    expect(cues[0].instruction).toBe('Head north');
+    expect(cues[1].distance).toBeCloseTo(222, -1);
+    expect(cues[1].continueDistance).toBeCloseTo(117, -1);
+    expect(cues[cues.length - 1].distance).toBeCloseTo(track.calculateDistance(route.points));
+  });
+
+  test('saveRoute keeps activity type and normalised tags', async () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.db = { put: jest.fn().mockResolvedValue() };
+
+    await track.saveRoute({
+      id: 'r1', name: 'Ridge', points: [[0, 0]], created: '2024-01-01T00:00:00.000Z',
+      activityType: 'mtb', tags: ' Alps , alps,  winter  trip,'
+    });
+    await track.saveRoute({ id: 'r2', name: 'Plain', points: [[0, 0]], created: '2024-01-01T00:00:00.000Z', activityType: 'kayak', tags: [] });
+
+    expect(track.db.put.mock.calls[0][1]).toMatchObject({ activityType: 'mtb', tags: ['Alps', 'winter trip'] });
+    expect(track.db.put.mock.calls[1][1]).not.toHaveProperty('activityType');
+    expect(track.db.put.mock.calls[1][1]).not.toHaveProperty('tags');
+    expect(TrailTrack.activityTypeFromSport('Biking')).toBe('road-bike');
+    expect(TrailTrack.activityTypeFromSport('Other')).toBeNull();
+  });
+
+  test('route filters combine type, tag, distance and date with the search query', () => {
+    document.body.innerHTML = `
+      <div id="route-type-filters"></div>
+      <div id="route-tag-filters"></div>
+      <button id="clear-route-filters" class="hidden"></button>
+      <div id="routes-list"></div>
+    `;
+    const track = new TrailTrack({ autoInit: false });
+    track.routes = [
+      { id: '1', name: 'Alpine Hike', activityType: 'hike', tags: ['Alps'], distance: 12000, created: '2024-06-10T09:00:00.000Z' },
+      { id: '2', name: 'Alpine Ride', activityType: 'road-bike', tags: ['alps'], distance: 60000, created: '2024-06-12T09:00:00.000Z' },
+      { id: '3', name: 'Short Hike', activityType: 'hike', tags: [], distance: 3000, created: '2023-03-01T09:00:00.000Z' }
+    ];
+    const ids = () => track.getFilteredRoutes().map(route => route.id);
+
+    track.routeFilters.activityType = 'hike';
+    expect(ids()).toEqual(['1', '3']);
+
+    track.routeFilters.minDistance = 5000;
+    expect(ids()).toEqual(['1']);
+
+    track.clearRouteFilters();
+    track.routeFilters.tag = 'ALPS';
+    track.routeFilters.createdFrom = '2024-06-11';
+    expect(ids()).toEqual(['2']);
+
+    track.routeSearchQuery = 'hike';
+    expect(ids()).toEqual([]);
+
+    track.routeSearchQuery = '';
+    track.clearRouteFilters();
+    expect(document.querySelectorAll('#route-tag-filters button')).toHaveLength(1);
+    document.querySelector('#route-type-filters button').click();
+    expect(track.routeFilters.activityType).toBe('hike');
+    expect(document.getElementById('clear-route-filters').classList.contains('hidden')).toBe(false);
+  });
+
+  test('renderMarkdown formats a safe subset and search covers descriptions', () => {
+    const html = TrailTrack.renderMarkdown('**Steep** start, *great* views\n<script>alert(1)</script>\n\n- water at [hut](https://example.com/hut)\n- `km 4`');
+
+    expect(html).toContain('<strong>Steep</strong>');
+    expect(html).toContain('<em>great</em>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<li>water at <a href="https://example.com/hut" target="_blank" rel="noopener noreferrer" class="underline">hut</a></li>');
+    expect(html).toContain('<code>km 4</code>');
+    expect(TrailTrack.renderMarkdown('[x](javascript:alert(1))')).not.toContain('href');
+
+    const track = new TrailTrack({ autoInit: false });
+    track.routes = [
+      { id: '1', name: 'Loop', description: 'Passes the waterfall', created: '2024-01-01T00:00:00.000Z' },
+      { id: '2', name: 'Ridge', notes: 'Waterfall path closed', created: '2024-01-02T00:00:00.000Z' },
+      { id: '3', name: 'Valley', created: '2024-01-03T00:00:00.000Z' }
+    ];
+    track.routeSearchQuery = 'waterfall';
+    expect(track.getFilteredRoutes().map(route => route.id).sort()).toEqual(['1', '2']);
+  });
+
+  test('parseExif reads GPS position and capture time from a JPEG', () => {
+    const buffer = new ArrayBuffer(190);
+    const view = new DataView(buffer);
+    const tiff = 12;
+    const ascii = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+    const entry = (offset, tag, type, count, value) => {
+      view.setUint16(offset, tag);
+      view.setUint16(offset + 2, type);
+      view.setUint32(offset + 4, count);
+      view.setUint32(offset + 8, value);
+    };
+    const rationals = (offset, values) => values.forEach(([num, den], i) => {
+      view.setUint32(offset + i * 8, num);
+      view.setUint32(offset + i * 8 + 4, den);
+    });
+
+    view.setUint16(0, 0xFFD8);
+    view.setUint16(2, 0xFFE1);
+    view.setUint16(4, 186);
+    ascii(6, 'Exif');
+    ascii(tiff, 'MM');
+    view.setUint16(tiff + 2, 42);
+    view.setUint32(tiff + 4, 8);
+    // IFD0: pointers to the Exif and GPS IFDs
+    view.setUint16(tiff + 8, 2);
+    entry(tiff + 10, 0x8769, 4, 1, 38);
+    entry(tiff + 22, 0x8825, 4, 1, 76);
+    // Exif IFD: DateTimeOriginal
+    view.setUint16(tiff + 38, 1);
+    entry(tiff + 40, 0x9003, 2, 20, 56);
+    ascii(tiff + 56, '2024:07:14 10:30:00');
+    // GPS IFD: 46° 30' 0" N, 7° 45' 36" W
+    view.setUint16(tiff + 76, 4);
+    entry(tiff + 78, 1, 2, 2, 0);
+    ascii(tiff + 86, 'N');
+    entry(tiff + 90, 2, 5, 3, 130);
+    entry(tiff + 102, 3, 2, 2, 0);
+    ascii(tiff + 110, 'W');
+    entry(tiff + 114, 4, 5, 3, 154);
+    rationals(tiff + 130, [[46, 1], [30, 1], [0, 1]]);
+    rationals(tiff + 154, [[7, 1], [45, 1], [3600, 100]]);
+
+    const exif = TrailTrack.parseExif(buffer);
+
+    expect(exif.lat).toBeCloseTo(46.5);
+    expect(exif.lng).toBeCloseTo(-7.76);
+    expect(exif.takenAt).toBe(new Date(2024, 6, 14, 10, 30, 0).toISOString());
+    expect(TrailTrack.parseExif(new ArrayBuffer(8))).toEqual({ lat: null, lng: null, takenAt: null });
+  });
+
+  test('sortRoutes orders by name, distance, created date and last viewed', () => {
+    const routes = [
+      { id: 'a', name: 'route 10', distance: 5000, created: '2024-01-02T00:00:00.000Z' },
+      { id: 'b', name: 'Route 9', distance: 8000, created: '2024-01-03T00:00:00.000Z' },
+      { id: 'c', name: 'alpine', distance: 1000, created: '2024-01-01T00:00:00.000Z' }
+    ];
+    const lastViewed = TrailTrack.parseRouteLastViewed(JSON.stringify({ b: '2024-02-01T00:00:00.000Z', c: '2024-03-01T00:00:00.000Z', d: 5 }));
+    const order = sort => TrailTrack.sortRoutes(routes, sort, lastViewed).map(route => route.id);
+
+    expect(order('name')).toEqual(['c', 'b', 'a']);
+    expect(order('distance-desc')).toEqual(['b', 'a', 'c']);
+    expect(order('created-desc')).toEqual(['b', 'a', 'c']);
+    expect(order('created-asc')).toEqual(['c', 'a', 'b']);
+    expect(order('last-viewed')).toEqual(['c', 'b', 'a']);
+    expect(lastViewed).toEqual({ b: '2024-02-01T00:00:00.000Z', c: '2024-03-01T00:00:00.000Z' });
+    expect(TrailTrack.parseRouteLastViewed('not json')).toEqual({});
+    expect(TrailTrack.parseRouteLastViewed(null)).toEqual({});
+    expect(routes.map(route => route.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('area filter keeps routes crossing the map view or starting near the user', () => {
+    const track = new TrailTrack({ autoInit: false });
+    track.routes = [
+      // Both ends outside the view, but the straight leg crosses it
+      { id: 'crossing', name: 'Crossing', points: [[45.5, 5], [45.5, 9]], distance: 0, created: '2024-01-01T00:00:00.000Z' },
+      { id: 'inside', name: 'Inside', points: [[45.4, 7], [45.6, 7.1]], distance: 0, created: '2024-01-02T00:00:00.000Z' },
+      { id: 'away', name: 'Away', points: [[47, 7], [47.1, 7.1]], distance: 0, created: '2024-01-03T00:00:00.000Z' }
+    ];
+    const bounds = { getSouth: () => 45, getWest: () => 6.5, getNorth: () => 46, getEast: () => 7.5 };
+    track.map = { getBounds: () => bounds };
+    const ids = () => track.getFilteredRoutes().map(route => route.id).sort();
+
+    track.routeFilters.area = 'in-view';
+    expect(ids()).toEqual(['crossing', 'inside']);
+
+    track.routeFilters.area = 'near-me';
+    expect(ids()).toEqual([]);
+
+    track.currentLocation = [47.05, 7];
+    track.nearMeRadiusKm = 10;
+    expect(ids()).toEqual(['away']);
+
+    track.nearMeRadiusKm = 300;
+    expect(ids()).toEqual(['away', 'crossing', 'inside']);
+  });
+
+  test('route names from imported files are shown as text in the list and in toasts', () => {
+    document.body.innerHTML = '<div id="routes-list"></div><div id="toast-container"></div>';
+    const track = new TrailTrack({ autoInit: false });
+    const name = '<img src=x onerror="window.pwned = true">';
+    track.routes = [{ id: '"><b>1', name, distance: 1000, created: new Date('2024-01-01').toISOString() }];
+
+    track.renderRoutesList();
+    track.showToast(`Navigating: ${name}`, 'success');
+
+    expect(document.querySelector('img')).toBeNull();
+    expect(document.querySelector('b')).toBeNull();
+    expect(document.querySelector('#routes-list h3').textContent).toBe(name);
+    expect(document.querySelector('#toast-container span').textContent).toBe(`Navigating: ${name}`);
+  });
+
   test('renderRoutesList filters routes by search query', () => {
     document.body.innerHTML = `
       <div id="routes-list"></div>
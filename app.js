@@ -4,6 +4,12 @@ class TrailTrack {
     constructor(options = {}) {
         this.options = {
             autoInit: true,
+            // Terrain tiles used to look up elevation for hand-drawn routes
+            elevationTileUrl: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+            elevationTileEncoding: 'terrarium',
+            elevationTileZoom: 12,
+            // Adapters for "follow paths" drawing, keyed by engine name
+            routingAdapters: {},
             ...options
         };
         this.map = null;
@@ -17,10 +23,62 @@ class TrailTrack {
         this.hasSetInitialLocation = false;
         this.db = null;
         this.routeSearchQuery = '';
+        this.routeFilters = {
+            activityType: null,
+            tag: null,
+            minDistance: null, // meters
+            maxDistance: null, // meters
+            createdFrom: null, // YYYY-MM-DD
+            createdTo: null,
+            area: null // 'in-view' or 'near-me'
+        };
+        this.routeSort = TrailTrack.ROUTE_SORTS[localStorage.getItem('routeSort')] ? localStorage.getItem('routeSort') : 'created-desc';
+        this.routeLastViewed = TrailTrack.parseRouteLastViewed(localStorage.getItem('routeLastViewed'));
+        this.nearMeRadiusKm = parseFloat(localStorage.getItem('nearMeRadius') || '10');
+        this.nearMeFilterOrigin = null;
+        this.cueSheetRouteId = null;
         this.selectedRouteId = null;
+        this.elevationProfile = null;
+        this.elevationProfileRoute = null;
+        this.elevationHoverMarker = null;
+        this.elevationTileUrl = localStorage.getItem('elevationTileUrl') || this.options.elevationTileUrl;
+        this.elevationTileEncoding = localStorage.getItem('elevationTileEncoding') || this.options.elevationTileEncoding;
+        this.elevationTiles = new Map();
+        this.routingEngine = localStorage.getItem('routingEngine') || 'brouter';
+        this.routingBaseUrl = localStorage.getItem('routingBaseUrl') || '';
+        this.routingApiKey = localStorage.getItem('routingApiKey') || '';
+        this.routingProfile = localStorage.getItem('routingProfile') || 'hiking';
+        this.followPaths = localStorage.getItem('followPaths') === 'true';
+        this.routingQueue = Promise.resolve();
         this.batterySaveMode = localStorage.getItem('batterySaveMode') === 'true';
         this.gpsCheckInterval = parseInt(localStorage.getItem('gpsCheckInterval') || '5000', 10); // Default 5 seconds
         this.gpsIntervalTimer = null;
+        this.offRouteThreshold = parseInt(localStorage.getItem('offRouteThreshold') || '50', 10); // Default 50 meters
+        // Recording filters applied to GPS fixes before they become route points
+        this.trackFilters = {
+            maxAccuracy: parseFloat(localStorage.getItem('filterMaxAccuracy') || '30'), // meters
+            minDistance: parseFloat(localStorage.getItem('filterMinDistance') || '5'), // meters
+            maxSpeed: parseFloat(localStorage.getItem('filterMaxSpeed') || '30'), // m/s, ~108 km/h
+            smoothing: localStorage.getItem('filterSmoothing') === 'true'
+        };
+        this.trackFilterState = null;
+        this.navigation = null;
+        this.routeEdit = null;
+        this.routeSplit = null;
+        this.expandedRouteActionsId = null;
+        this.waypoints = [];
+        this.waypointLayer = null;
+        this.waypointPlacement = null;
+        this.photoLayer = null;
+        this.photoUrls = [];
+        this.regions = [];
+        this.shownRegionId = null;
+        this.regionOutline = null;
+        this.tileDownload = null;
+        // Undo/redo command history for route drawing and editing
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isReplayingHistory = false;
         this.deferredInstallPrompt = null;
         this.installButton = null;
         
@@ -38,6 +96,8 @@ class TrailTrack {
             // Silently handle any errors - map is already initialized
         });
         await this.loadRoutes();
+        await this.loadWaypoints();
+        await this.loadRegions();
         this.initTheme();
         this.initEventListeners();
         this.checkOnlineStatus();
@@ -91,20 +151,35 @@ class TrailTrack {
         }
     }
 
-    // Initialize IndexedDB
+    // Initialize IndexedDB, bringing older databases up to date one migration at a time
     async initDB() {
-        this.db = await idb.openDB('trailtrack', 1, {
-            upgrade(db) {
-                if (!db.objectStoreNames.contains('routes')) {
-                    db.createObjectStore('routes', { keyPath: 'id' });
-                }
-                if (!db.objectStoreNames.contains('tiles')) {
-                    db.createObjectStore('tiles', { keyPath: 'key' });
-                }
+        this.db = await idb.openDB('trailtrack', TrailTrack.DB_VERSION, {
+            upgrade(db, oldVersion, newVersion, transaction) {
+                return TrailTrack.runMigrations(db, transaction, oldVersion, newVersion);
+            },
+            blocked: () => {
+                this.showToast('Close other TrailTrack tabs to finish updating', 'warning');
+            },
+            blocking: () => {
+                // A newer version is opening in another tab; let it upgrade
+                this.db.close();
+                this.showToast('TrailTrack was updated in another tab. Reload to continue.', 'warning');
             }
         });
     }
 
+    // Run every migration newer than oldVersion, in order, inside the upgrade
+    // transaction. Resolves with the versions that were applied.
+    static async runMigrations(db, transaction, oldVersion, newVersion = TrailTrack.DB_VERSION) {
+        const pending = TrailTrack.DB_MIGRATIONS
+            .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+            .sort((a, b) => a.version - b.version);
+        for (const migration of pending) {
+            await migration.migrate(db, transaction);
+        }
+        return pending.map(migration => migration.version);
+    }
+
     // Initialize Map
     initMap() {
         const defaultCenter = [40.7128, -74.0060];
@@ -117,8 +192,9 @@ class TrailTrack {
             zoomControl: true
         });
 
-        // Add OpenStreetMap tile layer with offline support
-        this.tileLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        // Add OpenStreetMap tile layer with offline support. Offline regions save the
+        // same tile URLs, so the service worker can serve them from the cache
+        this.tileLayer = L.tileLayer(TrailTrack.OFFLINE_TILE_URL, {
             attribution: '© OpenStreetMap contributors',
             maxZoom: 19
         }).addTo(this.map);
@@ -128,11 +204,19 @@ class TrailTrack {
             this.cacheTile(e.tile.src);
         });
 
+        // Keep the "routes in view" list in step with the map
+        this.map.on('moveend', () => {
+            if (this.routeFilters.area === 'in-view') {
+                this.renderRoutesList();
+            }
+        });
+
         this.map.on('locationfound', (e) => {
             console.log('Location found event:', e.latlng);
             // Store location as [lat, lng] array for consistency
             this.currentLocation = [e.latlng.lat, e.latlng.lng];
             this.createOrUpdateLocationMarker(e.latlng);
+            this.refreshNearMeRoutes();
 
             if (!this.hasSetInitialLocation) {
                 this.map.setView(e.latlng, 16);
@@ -277,7 +361,7 @@ class TrailTrack {
         
         // If tracking is active, restart it with new mode
         if (this.isTracking) {
-            this.stopTracking();
+            this.stopTracking({ restarting: true });
             setTimeout(() => this.startTracking(), 100);
         }
         
@@ -304,7 +388,7 @@ class TrailTrack {
         
         // If tracking is active in battery save mode, restart it with new interval
         if (this.isTracking && this.batterySaveMode) {
-            this.stopTracking();
+            this.stopTracking({ restarting: true });
             setTimeout(() => this.startTracking(), 100);
         }
         
@@ -314,6 +398,171 @@ class TrailTrack {
         );
     }
 
+    // Update a recording filter (maxAccuracy, minDistance, maxSpeed or smoothing)
+    updateTrackFilter(name, value) {
+        const limits = {
+            maxAccuracy: [5, 200],
+            minDistance: [0, 100],
+            maxSpeed: [1, 100]
+        };
+        const storageKeys = {
+            maxAccuracy: 'filterMaxAccuracy',
+            minDistance: 'filterMinDistance',
+            maxSpeed: 'filterMaxSpeed',
+            smoothing: 'filterSmoothing'
+        };
+
+        if (!storageKeys[name]) {
+            return;
+        }
+
+        if (name === 'smoothing') {
+            this.trackFilters.smoothing = Boolean(value);
+        } else {
+            const [min, max] = limits[name];
+            const numericValue = Number.isFinite(Number(value)) ? Number(value) : min;
+            this.trackFilters[name] = Math.max(min, Math.min(max, numericValue));
+        }
+        localStorage.setItem(storageKeys[name], this.trackFilters[name].toString());
+
+        // Smoothing state from the old settings no longer applies
+        this.trackFilterState = null;
+        this.syncTrackFilterInputs();
+    }
+
+    syncTrackFilterInputs() {
+        const accuracyInput = document.getElementById('filter-accuracy-input');
+        if (accuracyInput) {
+            accuracyInput.value = this.trackFilters.maxAccuracy;
+        }
+        const distanceInput = document.getElementById('filter-distance-input');
+        if (distanceInput) {
+            distanceInput.value = this.trackFilters.minDistance;
+        }
+        const speedInput = document.getElementById('filter-speed-input');
+        if (speedInput) {
+            speedInput.value = Math.round(this.trackFilters.maxSpeed * 3.6); // Display in km/h
+        }
+        const smoothingToggle = document.getElementById('filter-smoothing-toggle');
+        if (smoothingToggle) {
+            smoothingToggle.checked = this.trackFilters.smoothing;
+        }
+    }
+
+    // Decide whether a tracked fix becomes a route point. Returns the
+    // (optionally smoothed) position to record, or null to drop the fix.
+    filterTrackedFix(latlng, fix) {
+        const position = TrailTrack.normalizeLatLng(latlng);
+        if (!position) {
+            return null;
+        }
+
+        const filters = this.trackFilters;
+        if (!this.trackFilterState) {
+            this.trackFilterState = { kalman: null, rejectedJumps: 0 };
+        }
+        const state = this.trackFilterState;
+
+        if (fix && Number.isFinite(fix.accuracy) && fix.accuracy > filters.maxAccuracy) {
+            return null;
+        }
+
+        // The smoothing estimate only moves for fixes that are kept
+        const measurement = {
+            lat: position.lat,
+            lng: position.lng,
+            accuracy: fix && Number.isFinite(fix.accuracy) ? fix.accuracy : filters.maxAccuracy,
+            time: fix && Number.isFinite(fix.time) ? fix.time : Date.now()
+        };
+        const smoothed = filters.smoothing ? TrailTrack.kalmanStep(state.kalman, measurement) : null;
+        const candidate = smoothed ? { lat: smoothed.lat, lng: smoothed.lng } : position;
+        const keep = () => {
+            state.rejectedJumps = 0;
+            if (smoothed) {
+                state.kalman = smoothed;
+            }
+            return candidate;
+        };
+
+        const points = this.currentRoute && Array.isArray(this.currentRoute.points) ? this.currentRoute.points : [];
+        const fixes = this.currentRoute && Array.isArray(this.currentRoute.fixes) ? this.currentRoute.fixes : [];
+        const lastPoint = points[points.length - 1];
+        if (!lastPoint) {
+            return keep();
+        }
+
+        const distance = TrailTrack.haversineDistance(TrailTrack.normalizeLatLng(lastPoint), candidate);
+        if (distance < filters.minDistance) {
+            return null;
+        }
+
+        const lastFix = fixes[fixes.length - 1];
+        if (lastFix && fix && Number.isFinite(lastFix.time) && Number.isFinite(fix.time) && fix.time > lastFix.time) {
+            const speed = distance / ((fix.time - lastFix.time) / 1000);
+            if (speed > filters.maxSpeed) {
+                if (state.rejectedJumps < 5) {
+                    state.rejectedJumps++;
+                    return null;
+                }
+
+                // Several "impossible" jumps in a row mean the last point was the
+                // outlier: replace it with this fix and restart the smoothing here
+                state.rejectedJumps = 0;
+                state.kalman = filters.smoothing ? TrailTrack.kalmanStep(null, measurement) : null;
+                return { lat: position.lat, lng: position.lng, replacesLast: true };
+            }
+        }
+
+        return keep();
+    }
+
+    // Update how far from the route counts as off-route during navigation
+    updateOffRouteThreshold(meters) {
+        const minThreshold = 10;
+        const maxThreshold = 500;
+        const clampedThreshold = Math.round(Math.max(minThreshold, Math.min(maxThreshold, meters)));
+
+        this.offRouteThreshold = clampedThreshold;
+        localStorage.setItem('offRouteThreshold', clampedThreshold.toString());
+
+        // Update UI
+        const thresholdInput = document.getElementById('off-route-threshold-input');
+        if (thresholdInput) {
+            thresholdInput.value = clampedThreshold;
+        }
+
+        this.showToast(`Off-route warning set to ${clampedThreshold} m`, 'info');
+    }
+
+    // Update elevation tile source (URL template and pixel encoding)
+    updateElevationTileSource(url, encoding = this.elevationTileEncoding) {
+        const trimmedUrl = (url || '').trim();
+        if (trimmedUrl && !/\{z\}.*\{x\}.*\{y\}/.test(trimmedUrl)) {
+            this.showToast('Elevation tile URL must contain {z}, {x} and {y}', 'error');
+            return;
+        }
+
+        this.elevationTileUrl = trimmedUrl || this.options.elevationTileUrl;
+        this.elevationTileEncoding = encoding === 'mapbox' ? 'mapbox' : 'terrarium';
+
+        if (trimmedUrl) {
+            localStorage.setItem('elevationTileUrl', this.elevationTileUrl);
+        } else {
+            localStorage.removeItem('elevationTileUrl');
+        }
+        localStorage.setItem('elevationTileEncoding', this.elevationTileEncoding);
+
+        // Decoded tiles belong to the previous source
+        this.elevationTiles.clear();
+
+        const urlInput = document.getElementById('elevation-tile-url-input');
+        if (urlInput) {
+            urlInput.value = this.elevationTileUrl;
+        }
+
+        this.showToast('Elevation tile source updated', 'info');
+    }
+
     // Initialize Event Listeners
     initEventListeners() {
         // Sidebar toggle - using Tailwind classes
@@ -336,6 +585,60 @@ class TrailTrack {
             routesSearchInput.addEventListener('search', handleSearchInput);
         }
 
+        // Distance inputs are in km, filters in meters
+        const distanceFilterInputs = {
+            'route-filter-distance-min': 'minDistance',
+            'route-filter-distance-max': 'maxDistance'
+        };
+        Object.entries(distanceFilterInputs).forEach(([id, name]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    const km = parseFloat(e.target.value);
+                    this.setRouteFilter(name, Number.isFinite(km) ? km * 1000 : null);
+                });
+            }
+        });
+        const dateFilterInputs = {
+            'route-filter-created-from': 'createdFrom',
+            'route-filter-created-to': 'createdTo'
+        };
+        Object.entries(dateFilterInputs).forEach(([id, name]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    this.setRouteFilter(name, e.target.value);
+                });
+            }
+        });
+        const routesSortSelect = document.getElementById('routes-sort-select');
+        if (routesSortSelect) {
+            routesSortSelect.value = this.routeSort;
+            routesSortSelect.addEventListener('change', (e) => {
+                this.setRouteSort(e.target.value);
+            });
+        }
+        const areaFilterSelect = document.getElementById('route-filter-area');
+        if (areaFilterSelect) {
+            areaFilterSelect.addEventListener('change', (e) => {
+                this.nearMeFilterOrigin = null;
+                this.setRouteFilter('area', e.target.value);
+            });
+        }
+        const nearMeRadiusInput = document.getElementById('near-me-radius-input');
+        if (nearMeRadiusInput) {
+            nearMeRadiusInput.value = this.nearMeRadiusKm;
+            nearMeRadiusInput.addEventListener('change', (e) => {
+                this.setNearMeRadius(parseFloat(e.target.value));
+            });
+        }
+        const clearRouteFiltersBtn = document.getElementById('clear-route-filters');
+        if (clearRouteFiltersBtn) {
+            clearRouteFiltersBtn.addEventListener('click', () => {
+                this.clearRouteFilters();
+            });
+        }
+
         // Help overlay
         const helpOverlay = document.getElementById('help-overlay');
         const helpToggle = document.getElementById('help-toggle');
@@ -429,19 +732,121 @@ class TrailTrack {
         // Undo point
         document.getElementById('undo-point').addEventListener('click', (e) => {
             e.stopPropagation(); // Prevent click from reaching the map
-            this.undoLastPoint();
+            this.undo();
+        });
+
+        // Redo point
+        const redoPointBtn = document.getElementById('redo-point');
+        if (redoPointBtn) {
+            redoPointBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.redo();
+            });
+        }
+
+        // Undo/redo keyboard shortcuts while drawing or editing a route
+        document.addEventListener('keydown', (event) => {
+            if (!this.isDrawingRoute && !this.routeEdit) {
+                return;
+            }
+            // Leave text fields to their own undo
+            const target = event.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+                return;
+            }
+            if (!(event.ctrlKey || event.metaKey)) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && event.shiftKey) {
+                event.preventDefault();
+                this.redo();
+            } else if (key === 'z') {
+                event.preventDefault();
+                this.undo();
+            } else if (key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
         });
 
         // GPX Import
         document.getElementById('gpx-import').addEventListener('change', (e) => {
-            this.importGPX(e.target.files[0]);
+            this.importFiles(Array.from(e.target.files));
+            // Allow importing the same file again
+            e.target.value = '';
         });
 
+        // Elevation profile panel
+        const elevationPanel = document.getElementById('elevation-profile');
+        if (elevationPanel) {
+            // Keep chart interaction from panning or clicking the map underneath
+            L.DomEvent.disableClickPropagation(elevationPanel);
+            L.DomEvent.disableScrollPropagation(elevationPanel);
+        }
+        const elevationClose = document.getElementById('elevation-profile-close');
+        if (elevationClose) {
+            elevationClose.addEventListener('click', () => {
+                this.hideElevationProfile();
+            });
+        }
+
+        document.getElementById('add-waypoint').addEventListener('click', () => {
+            this.toggleWaypointPlacement();
+        });
+
+        const exportLibraryBtn = document.getElementById('export-library-btn');
+        if (exportLibraryBtn) {
+            exportLibraryBtn.addEventListener('click', () => {
+                this.exportLibraryGeoJSON();
+            });
+        }
+
+        const exportWaypointsBtn = document.getElementById('export-waypoints-btn');
+        if (exportWaypointsBtn) {
+            exportWaypointsBtn.addEventListener('click', () => {
+                this.exportWaypointsGPX();
+            });
+        }
+
+        const backupLibraryBtn = document.getElementById('backup-library-btn');
+        if (backupLibraryBtn) {
+            backupLibraryBtn.addEventListener('click', () => {
+                this.exportLibraryBackup();
+            });
+        }
+
+        const restoreLibraryInput = document.getElementById('restore-library-input');
+        if (restoreLibraryInput) {
+            restoreLibraryInput.addEventListener('change', (e) => {
+                this.restoreLibrary(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
         // Download area for offline
         document.getElementById('download-area').addEventListener('click', () => {
             this.downloadAreaForOffline();
         });
 
+        const tileDownloadPause = document.getElementById('tile-download-pause');
+        if (tileDownloadPause) {
+            tileDownloadPause.addEventListener('click', () => {
+                if (this.tileDownload && this.tileDownload.paused) {
+                    this.resumeTileDownload();
+                } else {
+                    this.pauseTileDownload();
+                }
+            });
+        }
+        const tileDownloadCancel = document.getElementById('tile-download-cancel');
+        if (tileDownloadCancel) {
+            tileDownloadCancel.addEventListener('click', () => {
+                this.cancelTileDownload();
+            });
+        }
+
         // Network status
         window.addEventListener('online', () => {
             this.showToast('Back online', 'success');
@@ -476,6 +881,164 @@ class TrailTrack {
             });
         }
 
+        // Off-route threshold input
+        const offRouteInput = document.getElementById('off-route-threshold-input');
+        if (offRouteInput) {
+            offRouteInput.value = this.offRouteThreshold;
+            offRouteInput.addEventListener('change', (e) => {
+                const meters = parseFloat(e.target.value) || 50;
+                this.updateOffRouteThreshold(meters);
+            });
+        }
+
+        // Recording filter inputs
+        this.syncTrackFilterInputs();
+        const filterInputs = {
+            'filter-accuracy-input': 'maxAccuracy',
+            'filter-distance-input': 'minDistance'
+        };
+        Object.entries(filterInputs).forEach(([id, name]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    this.updateTrackFilter(name, parseFloat(e.target.value));
+                });
+            }
+        });
+        const filterSpeedInput = document.getElementById('filter-speed-input');
+        if (filterSpeedInput) {
+            filterSpeedInput.addEventListener('change', (e) => {
+                const kmh = parseFloat(e.target.value) || 108;
+                this.updateTrackFilter('maxSpeed', kmh / 3.6);
+            });
+        }
+        const filterSmoothingToggle = document.getElementById('filter-smoothing-toggle');
+        if (filterSmoothingToggle) {
+            filterSmoothingToggle.addEventListener('change', (e) => {
+                this.updateTrackFilter('smoothing', e.target.checked);
+            });
+        }
+
+        // Stop navigation
+        const stopNavigationBtn = document.getElementById('stop-navigation');
+        if (stopNavigationBtn) {
+            stopNavigationBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.stopNavigation();
+            });
+        }
+
+        // Route edit controls
+        const saveRouteEditBtn = document.getElementById('save-route-edit');
+        if (saveRouteEditBtn) {
+            saveRouteEditBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.saveRouteEdit();
+            });
+        }
+        const cancelRouteEditBtn = document.getElementById('cancel-route-edit');
+        if (cancelRouteEditBtn) {
+            cancelRouteEditBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.cancelRouteEdit();
+            });
+        }
+        const undoRouteEditBtn = document.getElementById('undo-route-edit');
+        if (undoRouteEditBtn) {
+            undoRouteEditBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.undo();
+            });
+        }
+        const redoRouteEditBtn = document.getElementById('redo-route-edit');
+        if (redoRouteEditBtn) {
+            redoRouteEditBtn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+                this.redo();
+            });
+        }
+        const routeEditNameInput = document.getElementById('route-edit-name-input');
+        if (routeEditNameInput) {
+            let nameBeforeEdit = null;
+            routeEditNameInput.addEventListener('focus', () => {
+                nameBeforeEdit = this.routeEdit ? this.routeEdit.route.name : null;
+            });
+            routeEditNameInput.addEventListener('input', (e) => {
+                if (this.routeEdit) {
+                    this.routeEdit.route.name = e.target.value;
+                }
+            });
+            routeEditNameInput.addEventListener('change', () => {
+                if (this.routeEdit) {
+                    this.recordRename(this.routeEdit.route, nameBeforeEdit, this.routeEdit.route.name, routeEditNameInput);
+                    nameBeforeEdit = this.routeEdit.route.name;
+                }
+            });
+        }
+
+        // Follow paths drawing mode
+        const followPathsToggle = document.getElementById('follow-paths-toggle');
+        if (followPathsToggle) {
+            followPathsToggle.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+            });
+            followPathsToggle.addEventListener('change', (e) => {
+                this.toggleFollowPaths(e.target.checked);
+            });
+        }
+        const routingProfileSelect = document.getElementById('routing-profile-select');
+        if (routingProfileSelect) {
+            routingProfileSelect.value = this.routingProfile;
+            routingProfileSelect.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent click from reaching the map
+            });
+            routingProfileSelect.addEventListener('change', (e) => {
+                this.updateRoutingSettings({ profile: e.target.value });
+            });
+        }
+        this.toggleFollowPaths(this.followPaths);
+
+        // Routing engine settings
+        const routingEngineSelect = document.getElementById('routing-engine-select');
+        const routingBaseUrlInput = document.getElementById('routing-base-url-input');
+        if (routingEngineSelect) {
+            routingEngineSelect.value = this.routingEngine;
+            routingEngineSelect.addEventListener('change', (e) => {
+                this.updateRoutingSettings({ engine: e.target.value });
+            });
+        }
+        if (routingBaseUrlInput) {
+            routingBaseUrlInput.value = this.routingBaseUrl;
+            routingBaseUrlInput.addEventListener('change', (e) => {
+                this.updateRoutingSettings({ baseUrl: e.target.value });
+            });
+        }
+        const routingApiKeyInput = document.getElementById('routing-api-key-input');
+        if (routingApiKeyInput) {
+            routingApiKeyInput.value = this.routingApiKey;
+            routingApiKeyInput.addEventListener('change', (e) => {
+                this.updateRoutingSettings({ apiKey: e.target.value });
+            });
+        }
+        this.updateRoutingSettings();
+
+        // Elevation tile source settings
+        const elevationUrlInput = document.getElementById('elevation-tile-url-input');
+        const elevationEncodingSelect = document.getElementById('elevation-tile-encoding');
+        if (elevationUrlInput) {
+            elevationUrlInput.value = this.elevationTileUrl;
+            elevationUrlInput.addEventListener('change', (e) => {
+                const encoding = elevationEncodingSelect ? elevationEncodingSelect.value : this.elevationTileEncoding;
+                this.updateElevationTileSource(e.target.value, encoding);
+            });
+        }
+        if (elevationEncodingSelect) {
+            elevationEncodingSelect.value = this.elevationTileEncoding;
+            elevationEncodingSelect.addEventListener('change', (e) => {
+                this.updateElevationTileSource(elevationUrlInput ? elevationUrlInput.value : this.elevationTileUrl, e.target.value);
+            });
+        }
+
         this.initInstallPromptExperience();
     }
 
@@ -505,6 +1068,7 @@ class TrailTrack {
             this.currentLocation = latlngArray;
             
             this.createOrUpdateLocationMarker(latlng);
+            this.refreshNearMeRoutes();
 
             if (!this.hasSetInitialLocation) {
                 this.map.setView(latlng, 16);
@@ -513,8 +1077,32 @@ class TrailTrack {
 
             // If drawing route, add point to current route
             // Pass Leaflet LatLng object which has .lat and .lng properties
+            // along with the fix details (time, accuracy, speed, ...)
             if (this.isDrawingRoute && this.currentRoute) {
-                this.addPointToRoute(latlng);
+                const fix = TrailTrack.createFix(position);
+                const filtered = this.filterTrackedFix(latlng, fix);
+                if (filtered) {
+                    if (filtered.replacesLast) {
+                        // The outlier's "Add point" command goes with it
+                        const points = this.currentRoute.points;
+                        const lastCommand = this.undoStack[this.undoStack.length - 1];
+                        if (lastCommand && lastCommand.point === points[points.length - 1]) {
+                            this.undoStack.pop();
+                        }
+                        this.undoLastPoint();
+                    }
+                    const pointLatLng = L.latLng(filtered.lat, filtered.lng);
+                    if (fix.altitude !== null) {
+                        pointLatLng.alt = fix.altitude;
+                    }
+                    this.addPointToRoute(pointLatLng, fix);
+                }
+                this.updateActivityStatsDisplay();
+            }
+
+            // If navigating, snap position onto the followed route
+            if (this.navigation) {
+                this.updateNavigation(latlng);
             }
         };
 
@@ -569,7 +1157,9 @@ class TrailTrack {
         }
     }
 
-    stopTracking() {
+    // Restarts (to apply new GPS settings) keep navigation going; otherwise
+    // navigation ends with tracking, as it has no position to follow
+    stopTracking({ restarting = false } = {}) {
         if (this.locationWatchId !== null) {
             navigator.geolocation.clearWatch(this.locationWatchId);
             this.locationWatchId = null;
@@ -581,11 +1171,23 @@ class TrailTrack {
         this.isTracking = false;
         document.getElementById('tracking-icon').classList.add('text-gray-500');
         document.getElementById('tracking-icon').classList.remove('text-green-600');
+        if (this.navigation && !restarting) {
+            this.stopNavigation();
+            this.showToast('GPS tracking stopped. Navigation ended.', 'info');
+            return;
+        }
         this.showToast('GPS tracking stopped', 'info');
     }
 
     // Route Creation
     startRouteCreation() {
+        if (this.routeEdit) {
+            this.cancelRouteEdit();
+        }
+        if (this.waypointPlacement) {
+            this.toggleWaypointPlacement();
+        }
+
         this.isDrawingRoute = true;
         this.currentRoute = {
             id: Date.now().toString(),
@@ -595,6 +1197,7 @@ class TrailTrack {
             markers: [],
             kmMarkers: [],
             cumulativeDistances: [],
+            fixes: [],
             distance: 0,
             created: new Date().toISOString()
         };
@@ -620,10 +1223,15 @@ class TrailTrack {
                 }
             };
             routeNameInput.addEventListener('click', this.handleRouteNameClick);
-            // Also prevent focus/input events from propagating
-            routeNameInput.addEventListener('focus', (e) => {
+            // Also prevent focus/input events from propagating, and remember
+            // the name so the rename can be undone
+            this.handleRouteNameFocus = (e) => {
                 e.stopPropagation();
-            });
+                if (this.currentRoute) {
+                    this.routeNameBeforeEdit = this.currentRoute.name;
+                }
+            };
+            routeNameInput.addEventListener('focus', this.handleRouteNameFocus);
             // Update route name when input changes - store handler for cleanup
             this.handleRouteNameInput = (e) => {
                 if (this.currentRoute) {
@@ -631,17 +1239,32 @@ class TrailTrack {
                 }
             };
             routeNameInput.addEventListener('input', this.handleRouteNameInput);
+            this.handleRouteNameChange = () => {
+                if (this.currentRoute) {
+                    this.recordRename(this.currentRoute, this.routeNameBeforeEdit, this.currentRoute.name, routeNameInput);
+                    this.routeNameBeforeEdit = this.currentRoute.name;
+                }
+            };
+            routeNameInput.addEventListener('change', this.handleRouteNameChange);
         }
         
         this.updateRouteDistanceDisplay(0);
         this.updateRouteStatusMessage(0);
         this.updateKilometerMarkers(0);
+        this.updateActivityStatsDisplay();
+        this.trackFilterState = null;
+        this.clearHistory();
 
         this.showToast('Click on map or enable GPS tracking to create route', 'info');
         
         // Add click handler to map
         this.map.on('click', this.handleMapClick = (e) => {
-            if (this.isDrawingRoute) {
+            if (!this.isDrawingRoute) {
+                return;
+            }
+            if (this.followPaths && this.currentRoute.points.length > 0) {
+                this.addRoutedPointToRoute(e.latlng);
+            } else {
                 this.addPointToRoute(e.latlng);
             }
         });
@@ -650,19 +1273,27 @@ class TrailTrack {
         this.updateUndoButtonState();
     }
 
-    addPointToRoute(latlng) {
+    // fix is the recorded GPS fix for tracked points, null for clicked points.
+    // options.showMarker: false skips the waypoint marker (routed shape points),
+    // options.recordHistory: false leaves the undo history to the caller.
+    addPointToRoute(latlng, fix = null, options = {}) {
+        const { showMarker = true, recordHistory = true } = options;
         // Handle both Leaflet LatLng objects and arrays
         let point;
         if (Array.isArray(latlng)) {
             point = latlng;
         } else if (latlng && typeof latlng.lat === 'number' && typeof latlng.lng === 'number') {
-            point = [latlng.lat, latlng.lng];
+            point = TrailTrack.serializePoint(latlng);
         } else {
             console.error('Invalid latlng format:', latlng);
             return;
         }
         
         this.currentRoute.points.push(point);
+        if (!Array.isArray(this.currentRoute.fixes)) {
+            this.currentRoute.fixes = [];
+        }
+        this.currentRoute.fixes.push(fix);
         if (!this.currentRoute.cumulativeDistances) {
             this.currentRoute.cumulativeDistances = [];
         }
@@ -694,14 +1325,14 @@ class TrailTrack {
             }).addTo(this.map);
         }
 
-        // Add marker for waypoint
-        const marker = L.marker(leafletLatLng, {
+        // Add marker for waypoint (markers stay index-aligned with points)
+        const marker = showMarker ? L.marker(leafletLatLng, {
             icon: L.divIcon({
                 className: 'route-marker',
                 html: '<div class="w-3 h-3 bg-green-600 rounded-full border border-white"></div>',
                 iconSize: [12, 12]
             })
-        }).addTo(this.map);
+        }).addTo(this.map) : null;
         
         if (!this.currentRoute.markers) {
             this.currentRoute.markers = [];
@@ -711,71 +1342,322 @@ class TrailTrack {
         this.updateRouteDistanceDisplay(this.currentRoute.distance || 0);
         this.updateRouteStatusMessage(this.currentRoute.distance || 0);
         this.updateKilometerMarkers(this.currentRoute.distance || 0);
+
+        if (recordHistory) {
+            this.pushHistory({
+                label: 'Add point',
+                point,
+                undo: () => this.undoLastPoint(),
+                redo: () => this.addPointToRoute(point, fix, { showMarker })
+            });
+        }
         
         // Update undo button state
         this.updateUndoButtonState();
     }
 
-    undoLastPoint() {
-        if (!this.currentRoute || !this.isDrawingRoute || this.currentRoute.points.length === 0) {
-            return;
+    // "Follow paths" mode: ask the routing engine for the path from the last
+    // point to the clicked one, falling back to a straight line. Requests are
+    // queued so fast clicks keep their order.
+    addRoutedPointToRoute(latlng) {
+        const target = TrailTrack.normalizeLatLng(latlng);
+        const route = this.currentRoute;
+        if (!target || !route) {
+            return this.routingQueue;
         }
 
-        // Remove last point
-        this.currentRoute.points.pop();
-        if (this.currentRoute.cumulativeDistances && this.currentRoute.cumulativeDistances.length > 0) {
-            this.currentRoute.cumulativeDistances.pop();
-        }
+        this.routingQueue = this.routingQueue.then(async () => {
+            if (this.currentRoute !== route || !this.isDrawingRoute) {
+                return;
+            }
 
-        // Remove last marker
-        if (this.currentRoute.markers && this.currentRoute.markers.length > 0) {
-            const lastMarker = this.currentRoute.markers.pop();
-            this.map.removeLayer(lastMarker);
-        }
+            const start = TrailTrack.normalizeLatLng(route.points[route.points.length - 1]);
+            const path = await this.requestRoutedSegment(start, target);
 
-        // Update polyline
-        if (this.currentRoute.polyline) {
-            if (this.currentRoute.points.length === 0) {
-                // No points left, remove polyline
-                this.map.removeLayer(this.currentRoute.polyline);
-                this.currentRoute.polyline = null;
-            } else {
-                // Update polyline with remaining points using setLatLngs to avoid map panning
-                const latlngs = this.currentRoute.points.map(p => L.latLng(p[0], p[1]));
-                this.currentRoute.polyline.setLatLngs(latlngs);
+            if (this.currentRoute !== route || !this.isDrawingRoute) {
+                return;
             }
-        }
 
-        if (this.currentRoute.cumulativeDistances && this.currentRoute.cumulativeDistances.length > 0) {
-            this.currentRoute.distance = this.currentRoute.cumulativeDistances[this.currentRoute.cumulativeDistances.length - 1];
-        } else {
-            this.currentRoute.distance = 0;
-            if (this.currentRoute.cumulativeDistances) {
-                this.currentRoute.cumulativeDistances = [];
-            }
-        }
+            // Drop the path's first point; it duplicates the current last point.
+            // The final point is the click itself, so it gets a marker.
+            const shapePoints = path.length > 1 ? path.slice(1, -1) : [];
+            const segmentPoints = [...shapePoints, [target.lat, target.lng]];
+            const addSegment = () => {
+                segmentPoints.forEach((point, index) => {
+                    this.addPointToRoute(point, null, {
+                        showMarker: index === segmentPoints.length - 1,
+                        recordHistory: false
+                    });
+                });
+            };
 
-        this.updateRouteDistanceDisplay(this.currentRoute.distance);
-        this.updateRouteStatusMessage(this.currentRoute.distance);
-        this.updateKilometerMarkers(this.currentRoute.distance);
+            addSegment();
+            this.pushHistory({
+                label: 'Add routed segment',
+                undo: () => segmentPoints.forEach(() => this.undoLastPoint()),
+                redo: addSegment
+            });
+        }).catch((error) => {
+            console.error('Routed point failed:', error);
+        });
 
-        // Update undo button state
-        this.updateUndoButtonState();
-        
-        this.showToast('Last point removed', 'info');
+        return this.routingQueue;
     }
 
-    updateUndoButtonState() {
-        const undoButton = document.getElementById('undo-point');
-        if (undoButton) {
-            const canUndo = this.currentRoute && 
-                           this.isDrawingRoute && 
-                           this.currentRoute.points.length > 0;
-            undoButton.disabled = !canUndo;
+    // Returns [[lat, lng(, ele)], ...] from start to end, or a straight line
+    async requestRoutedSegment(start, end) {
+        const straightLine = [[start.lat, start.lng], [end.lat, end.lng]];
+        const adapter = this.getRoutingAdapter();
+
+        if (!adapter || !navigator.onLine || typeof fetch !== 'function') {
+            this.showToast('Path routing unavailable, using a straight line', 'warning');
+            return straightLine;
+        }
+        if (adapter.requiresApiKey && !this.routingApiKey) {
+            this.showToast(`${adapter.name} needs an API key (Routing Settings), using a straight line`, 'warning');
+            return straightLine;
         }
-    }
 
-    async finishRouteCreation() {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), 10000) : null;
+
+        try {
+            const baseUrl = (this.routingBaseUrl || adapter.defaultBaseUrl).replace(/\/+$/, '');
+            const url = adapter.buildUrl(baseUrl, this.routingProfile, start, end, this.routingApiKey);
+            const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) {
+                throw new Error(`Routing request failed with status ${response.status}`);
+            }
+
+            const path = adapter.parse(await response.json());
+            if (!Array.isArray(path) || path.length < 2) {
+                throw new Error('Routing response contained no path');
+            }
+            return path;
+        } catch (error) {
+            console.warn('Routing failed, using a straight line', error);
+            this.showToast('No path found, using a straight line', 'warning');
+            return straightLine;
+        } finally {
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+        }
+    }
+
+    getRoutingAdapter(engine = this.routingEngine) {
+        const adapters = { ...TrailTrack.ROUTING_ADAPTERS, ...this.options.routingAdapters };
+        return adapters[engine] || null;
+    }
+
+    toggleFollowPaths(enabled = !this.followPaths) {
+        this.followPaths = Boolean(enabled);
+        localStorage.setItem('followPaths', this.followPaths.toString());
+
+        const followPathsToggle = document.getElementById('follow-paths-toggle');
+        if (followPathsToggle) {
+            followPathsToggle.checked = this.followPaths;
+        }
+        const profileSelect = document.getElementById('routing-profile-select');
+        if (profileSelect) {
+            profileSelect.disabled = !this.followPaths;
+        }
+    }
+
+    updateRoutingSettings({
+        engine = this.routingEngine,
+        baseUrl = this.routingBaseUrl,
+        profile = this.routingProfile,
+        apiKey = this.routingApiKey
+    } = {}) {
+        if (!this.getRoutingAdapter(engine)) {
+            this.showToast(`Unknown routing engine: ${engine}`, 'error');
+            return;
+        }
+
+        this.routingEngine = engine;
+        this.routingBaseUrl = (baseUrl || '').trim();
+        this.routingProfile = profile === 'cycling' ? 'cycling' : 'hiking';
+        this.routingApiKey = (apiKey || '').trim();
+
+        localStorage.setItem('routingEngine', this.routingEngine);
+        localStorage.setItem('routingProfile', this.routingProfile);
+        if (this.routingBaseUrl) {
+            localStorage.setItem('routingBaseUrl', this.routingBaseUrl);
+        } else {
+            localStorage.removeItem('routingBaseUrl');
+        }
+        if (this.routingApiKey) {
+            localStorage.setItem('routingApiKey', this.routingApiKey);
+        } else {
+            localStorage.removeItem('routingApiKey');
+        }
+
+        const adapter = this.getRoutingAdapter();
+        const baseUrlInput = document.getElementById('routing-base-url-input');
+        if (baseUrlInput) {
+            baseUrlInput.placeholder = adapter.defaultBaseUrl;
+        }
+        const apiKeyField = document.getElementById('routing-api-key-field');
+        if (apiKeyField) {
+            apiKeyField.classList.toggle('hidden', !adapter.requiresApiKey);
+        }
+        const noteEl = document.getElementById('routing-engine-note');
+        if (noteEl) {
+            noteEl.textContent = adapter.note || '';
+        }
+    }
+
+    undoLastPoint() {
+        if (!this.currentRoute || !this.isDrawingRoute || this.currentRoute.points.length === 0) {
+            return;
+        }
+
+        // Remove last point
+        this.currentRoute.points.pop();
+        if (Array.isArray(this.currentRoute.fixes)) {
+            this.currentRoute.fixes.pop();
+        }
+        if (this.currentRoute.cumulativeDistances && this.currentRoute.cumulativeDistances.length > 0) {
+            this.currentRoute.cumulativeDistances.pop();
+        }
+
+        // Remove last marker
+        if (this.currentRoute.markers && this.currentRoute.markers.length > 0) {
+            const lastMarker = this.currentRoute.markers.pop();
+            if (lastMarker) {
+                this.map.removeLayer(lastMarker);
+            }
+        }
+
+        // Update polyline
+        if (this.currentRoute.polyline) {
+            if (this.currentRoute.points.length === 0) {
+                // No points left, remove polyline
+                this.map.removeLayer(this.currentRoute.polyline);
+                this.currentRoute.polyline = null;
+            } else {
+                // Update polyline with remaining points using setLatLngs to avoid map panning
+                const latlngs = this.currentRoute.points.map(p => L.latLng(p[0], p[1]));
+                this.currentRoute.polyline.setLatLngs(latlngs);
+            }
+        }
+
+        if (this.currentRoute.cumulativeDistances && this.currentRoute.cumulativeDistances.length > 0) {
+            this.currentRoute.distance = this.currentRoute.cumulativeDistances[this.currentRoute.cumulativeDistances.length - 1];
+        } else {
+            this.currentRoute.distance = 0;
+            if (this.currentRoute.cumulativeDistances) {
+                this.currentRoute.cumulativeDistances = [];
+            }
+        }
+
+        this.updateRouteDistanceDisplay(this.currentRoute.distance);
+        this.updateRouteStatusMessage(this.currentRoute.distance);
+        this.updateKilometerMarkers(this.currentRoute.distance);
+        this.updateActivityStatsDisplay();
+
+        // Update undo button state
+        this.updateUndoButtonState();
+    }
+
+    updateUndoButtonState() {
+        const isActive = (this.currentRoute && this.isDrawingRoute) || Boolean(this.routeEdit);
+        const canUndo = isActive && this.undoStack.length > 0;
+        const canRedo = isActive && this.redoStack.length > 0;
+
+        ['undo-point', 'undo-route-edit'].forEach((id) => {
+            const undoButton = document.getElementById(id);
+            if (undoButton) {
+                undoButton.disabled = !canUndo;
+                undoButton.title = canUndo ? `Undo ${this.undoStack[this.undoStack.length - 1].label.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo';
+            }
+        });
+        ['redo-point', 'redo-route-edit'].forEach((id) => {
+            const redoButton = document.getElementById(id);
+            if (redoButton) {
+                redoButton.disabled = !canRedo;
+                redoButton.title = canRedo ? `Redo ${this.redoStack[this.redoStack.length - 1].label.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+            }
+        });
+    }
+
+    // Record a change that has already been applied. Commands are
+    // { label, undo(), redo() }; a new change drops anything redoable.
+    pushHistory(command) {
+        if (this.isReplayingHistory) {
+            return;
+        }
+        this.undoStack.push(command);
+        // Recording adds a command per GPS fix, so only the latest ones are kept
+        if (this.undoStack.length > TrailTrack.MAX_HISTORY) {
+            this.undoStack.splice(0, this.undoStack.length - TrailTrack.MAX_HISTORY);
+        }
+        this.redoStack = [];
+        this.updateUndoButtonState();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return;
+        }
+
+        this.isReplayingHistory = true;
+        try {
+            command.undo();
+        } finally {
+            this.isReplayingHistory = false;
+        }
+        this.redoStack.push(command);
+        this.updateUndoButtonState();
+        this.showToast(`Undid: ${command.label}`, 'info');
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return;
+        }
+
+        this.isReplayingHistory = true;
+        try {
+            command.redo();
+        } finally {
+            this.isReplayingHistory = false;
+        }
+        this.undoStack.push(command);
+        this.updateUndoButtonState();
+        this.showToast(`Redid: ${command.label}`, 'info');
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateUndoButtonState();
+    }
+
+    // Rename commands keep the name input in sync when undone or redone
+    recordRename(route, previousName, newName, input = null) {
+        if (!route || previousName === newName || typeof previousName !== 'string') {
+            return;
+        }
+
+        const applyName = (name) => {
+            route.name = name;
+            if (input) {
+                input.value = name;
+            }
+        };
+
+        this.pushHistory({
+            label: 'Rename route',
+            undo: () => applyName(previousName),
+            redo: () => applyName(newName)
+        });
+    }
+
+    async finishRouteCreation() {
         if (!this.currentRoute || this.currentRoute.points.length < 2) {
             this.showToast('Route needs at least 2 points', 'error');
             return;
@@ -792,7 +1674,14 @@ class TrailTrack {
         // Calculate route stats
         const totalDistance = this.rebuildCumulativeDistances(this.currentRoute);
         this.currentRoute.distance = totalDistance;
-        this.currentRoute.elevationGain = 0; // Would need elevation data
+        await this.fillMissingElevations(this.currentRoute.points);
+        const elevationStats = TrailTrack.calculateElevationStats(this.currentRoute.points);
+        this.currentRoute.elevationGain = elevationStats.gain;
+        this.currentRoute.elevationLoss = elevationStats.loss;
+        this.currentRoute.type = TrailTrack.isRecordedTrack(this.currentRoute.fixes) ? 'activity' : 'planned';
+        if (this.currentRoute.type === 'activity') {
+            this.currentRoute.stats = TrailTrack.calculateActivityStats(this.currentRoute.points, this.currentRoute.fixes);
+        }
         
         this.updateRouteDistanceDisplay(totalDistance);
         this.updateRouteStatusMessage(totalDistance);
@@ -825,6 +1714,14 @@ class TrailTrack {
                 routeNameInput.removeEventListener('click', this.handleRouteNameClick);
                 this.handleRouteNameClick = null;
             }
+            if (this.handleRouteNameFocus) {
+                routeNameInput.removeEventListener('focus', this.handleRouteNameFocus);
+                this.handleRouteNameFocus = null;
+            }
+            if (this.handleRouteNameChange) {
+                routeNameInput.removeEventListener('change', this.handleRouteNameChange);
+                this.handleRouteNameChange = null;
+            }
         }
         
         if (this.handleMapClick) {
@@ -833,7 +1730,7 @@ class TrailTrack {
         
         // Remove waypoint markers but keep the polyline
         if (this.currentRoute.markers) {
-            this.currentRoute.markers.forEach(m => this.map.removeLayer(m));
+            this.currentRoute.markers.forEach(m => m && this.map.removeLayer(m));
             this.currentRoute.markers = null; // Clear markers array
         }
         if (this.currentRoute.kmMarkers) {
@@ -847,6 +1744,7 @@ class TrailTrack {
         // Clear currentRoute but polyline stays on map
         const savedRoute = this.currentRoute;
         this.currentRoute = null;
+        this.clearHistory();
         
         // Update undo button state
         this.updateUndoButtonState();
@@ -876,6 +1774,14 @@ class TrailTrack {
                 routeNameInput.removeEventListener('click', this.handleRouteNameClick);
                 this.handleRouteNameClick = null;
             }
+            if (this.handleRouteNameFocus) {
+                routeNameInput.removeEventListener('focus', this.handleRouteNameFocus);
+                this.handleRouteNameFocus = null;
+            }
+            if (this.handleRouteNameChange) {
+                routeNameInput.removeEventListener('change', this.handleRouteNameChange);
+                this.handleRouteNameChange = null;
+            }
         }
         
         if (this.handleMapClick) {
@@ -888,7 +1794,7 @@ class TrailTrack {
                 this.map.removeLayer(this.currentRoute.polyline);
             }
             if (this.currentRoute.markers) {
-                this.currentRoute.markers.forEach(m => this.map.removeLayer(m));
+                this.currentRoute.markers.forEach(m => m && this.map.removeLayer(m));
             }
             if (this.currentRoute.kmMarkers) {
                 this.clearKilometerMarkers(this.currentRoute);
@@ -898,6 +1804,7 @@ class TrailTrack {
             }
             this.currentRoute = null;
         }
+        this.clearHistory();
         
         // Update undo button state
         this.updateUndoButtonState();
@@ -981,6 +1888,40 @@ class TrailTrack {
         distanceDisplay.textContent = TrailTrack.formatDistance(distanceMeters);
     }
 
+    // Live stats panel shown while a GPS-tracked route is being recorded
+    updateActivityStatsDisplay() {
+        const panel = document.getElementById('activity-stats');
+        if (!panel) {
+            return;
+        }
+
+        const route = this.currentRoute;
+        if (!route || !this.isDrawingRoute || !TrailTrack.isRecordedTrack(route.fixes)) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const stats = TrailTrack.calculateActivityStats(route.points, route.fixes);
+        const values = {
+            'activity-elapsed-time': TrailTrack.formatDuration(stats.elapsedTime),
+            'activity-moving-time': TrailTrack.formatDuration(stats.movingTime),
+            'activity-current-speed': TrailTrack.formatSpeed(stats.currentSpeed),
+            'activity-average-speed': TrailTrack.formatSpeed(stats.averageSpeed),
+            'activity-max-speed': TrailTrack.formatSpeed(stats.maxSpeed),
+            'activity-pace': TrailTrack.formatPace(stats.averageSpeed)
+        };
+
+        Object.entries(values).forEach(([id, text]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        });
+
+        panel.classList.toggle('opacity-60', stats.isPaused);
+        panel.classList.remove('hidden');
+    }
+
     updateRouteStatusMessage(distanceMeters = 0) {
         const statusElements = [
             document.getElementById('route-status'),
@@ -1173,6 +2114,120 @@ class TrailTrack {
         return null;
     }
 
+    // Closest point on a polyline to a position, using a local flat projection
+    // (accurate enough at the scale of a trail segment). When a tolerance is
+    // given, the closest point of the first stretch within it at or after
+    // fromDistance wins, so later passes over the same spot are ignored.
+    static projectOntoRoute(position, points, cumulativeDistances, options = {}) {
+        const point = TrailTrack.normalizeLatLng(position);
+        if (!point || !Array.isArray(points) || points.length < 2) {
+            return null;
+        }
+
+        const fromDistance = options.fromDistance || 0;
+        const tolerance = options.tolerance || 0;
+        const metersPerDegree = (6371000 * Math.PI) / 180;
+        const lngScale = Math.cos((point.lat * Math.PI) / 180);
+        const toLocal = (latlng) => ({
+            x: (latlng.lng - point.lng) * lngScale * metersPerDegree,
+            y: (latlng.lat - point.lat) * metersPerDegree
+        });
+
+        let nearest = null;
+        let ahead = null;
+        let aheadClosed = false;
+
+        for (let i = 1; i < points.length; i++) {
+            const start = TrailTrack.normalizeLatLng(points[i - 1]);
+            const end = TrailTrack.normalizeLatLng(points[i]);
+            if (!start || !end) {
+                continue;
+            }
+
+            const a = toLocal(start);
+            const b = toLocal(end);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+            const closestX = a.x + t * dx;
+            const closestY = a.y + t * dy;
+
+            const segmentStart = cumulativeDistances[i - 1] || 0;
+            const segmentEnd = cumulativeDistances[i] || segmentStart;
+            const projection = {
+                segmentIndex: i - 1,
+                distanceAlong: segmentStart + (segmentEnd - segmentStart) * t,
+                distanceFromRoute: Math.sqrt(closestX * closestX + closestY * closestY)
+            };
+
+            if (!nearest || projection.distanceFromRoute < nearest.distanceFromRoute) {
+                nearest = projection;
+            }
+            if (tolerance > 0 && !aheadClosed) {
+                const isCandidate = projection.distanceFromRoute <= tolerance && segmentEnd >= fromDistance;
+                if (isCandidate && (!ahead || projection.distanceFromRoute < ahead.distanceFromRoute)) {
+                    ahead = projection;
+                } else if (!isCandidate && ahead) {
+                    aheadClosed = true;
+                }
+            }
+        }
+
+        return ahead || nearest;
+    }
+
+    // Initial bearing in degrees (0-360, clockwise from north)
+    static calculateBearing(startPoint, endPoint) {
+        const start = TrailTrack.normalizeLatLng(startPoint);
+        const end = TrailTrack.normalizeLatLng(endPoint);
+        if (!start || !end) {
+            return 0;
+        }
+
+        const toRadians = (value) => (value * Math.PI) / 180;
+        const lat1 = toRadians(start.lat);
+        const lat2 = toRadians(end.lat);
+        const deltaLng = toRadians(end.lng - start.lng);
+
+        const y = Math.sin(deltaLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng);
+        return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+    }
+
+    static bearingToCompass(bearing) {
+        const directions = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+        return directions[Math.round(bearing / 45) % 8];
+    }
+
+    // Angle is the signed heading change in degrees, positive to the right
+    static classifyTurn(angle) {
+        const side = angle < 0 ? 'left' : 'right';
+        const magnitude = Math.abs(angle);
+        if (magnitude >= 165) {
+            return 'u-turn';
+        }
+        if (magnitude >= 120) {
+            return `sharp-${side}`;
+        }
+        if (magnitude >= 45) {
+            return `turn-${side}`;
+        }
+        if (magnitude >= 20) {
+            return `bear-${side}`;
+        }
+        return 'continue';
+    }
+
+    static formatCueDistance(distanceMeters) {
+        const numericDistance = Number(distanceMeters);
+        const sanitizedDistance = Number.isFinite(numericDistance) ? Math.max(numericDistance, 0) : 0;
+        if (sanitizedDistance < 1000) {
+            return `${Math.round(sanitizedDistance / 10) * 10} m`;
+        }
+        return TrailTrack.formatDistance(sanitizedDistance);
+    }
+
     static haversineDistance(start, end) {
         const toRadians = (value) => (value * Math.PI) / 180;
         const R = 6371000; // meters
@@ -1194,293 +2249,4568 @@ class TrailTrack {
         return `${(sanitizedDistance / 1000).toFixed(2)} km`;
     }
 
-    // Save route to IndexedDB
-    async saveRoute(route) {
-        // Serialize route data, excluding Leaflet objects that can't be cloned
-        // Ensure points are plain arrays (not Leaflet LatLng objects)
-        const points = route.points.map(point => {
-            if (Array.isArray(point)) {
-                return [Number(point[0]), Number(point[1])];
-            } else if (point && (typeof point.lat !== 'undefined' && typeof point.lng !== 'undefined')) {
-                // Handle objects with lat/lng properties (can be numbers or strings)
-                return [Number(point.lat), Number(point.lng)];
-            }
-            return point;
-        });
-        
-        // Normalize created date to ISO string
-        let created;
-        if (route.created instanceof Date) {
-            created = route.created.toISOString();
-        } else if (typeof route.created === 'string') {
-            created = route.created;
-        } else {
-            created = new Date().toISOString();
+    static formatElevation(elevationMeters) {
+        const numericElevation = Number(elevationMeters);
+        const sanitizedElevation = Number.isFinite(numericElevation) ? numericElevation : 0;
+        return `${Math.round(sanitizedElevation)} m`;
+    }
+
+    // Elevation is stored as the optional third item of a [lat, lng, ele] point
+    static getPointElevation(point) {
+        let elevation;
+        if (Array.isArray(point)) {
+            elevation = point[2];
+        } else if (point) {
+            elevation = typeof point.alt !== 'undefined' ? point.alt : point.ele;
         }
-        
-        const routeData = {
-            id: String(route.id),
-            name: String(route.name || 'Unnamed Route'),
-            points: points,
-            distance: Number(route.distance || 0),
-            elevationGain: Number(route.elevationGain || 0),
-            created: created
-        };
-        await this.db.put('routes', routeData);
+
+        if (elevation === null || typeof elevation === 'undefined' || elevation === '') {
+            return null;
+        }
+
+        const numericElevation = Number(elevation);
+        return Number.isFinite(numericElevation) ? numericElevation : null;
     }
 
-    // Load routes from IndexedDB
-    async loadRoutes() {
-        this.routes = await this.db.getAll('routes');
-        this.renderRoutesList();
-        
-        // Show all routes on map by default (or selected route if one is selected)
-        if (this.selectedRouteId) {
-            const selectedRoute = this.routes.find(r => r.id === this.selectedRouteId);
-            if (selectedRoute) {
-                // Show only selected route
-                this.routes.forEach(route => {
-                    if (route.points && route.points.length > 0) {
-                        if (route.id === this.selectedRouteId) {
-                            route.polyline = L.polyline(route.points, {
-                                color: '#facc15', // Bright yellow for selected
-                                weight: 6,
-                                opacity: 1
-                            }).addTo(this.map);
-                        }
-                        // Don't add other routes to map when one is selected
-                    }
-                });
-            } else {
-                // Selected route not found, show all
-                this.selectedRouteId = null;
-                this.showAllRoutes();
+    static hasElevationData(points = []) {
+        if (!Array.isArray(points)) {
+            return false;
+        }
+
+        let count = 0;
+        for (const point of points) {
+            if (TrailTrack.getPointElevation(point) !== null && ++count >= 2) {
+                return true;
             }
-        } else {
-            // Show all routes
-            this.showAllRoutes();
         }
+        return false;
     }
 
-    // Render routes list
-    renderRoutesList() {
-        const list = document.getElementById('routes-list');
-        if (!list) {
-            return;
+    // Total ascent/descent in meters. Changes smaller than the threshold are
+    // treated as GPS/DEM noise and only counted once they add up past it.
+    static calculateElevationStats(points = [], threshold = 3) {
+        const stats = { gain: 0, loss: 0, min: null, max: null };
+        if (!Array.isArray(points)) {
+            return stats;
         }
-        list.innerHTML = '';
+
+        let reference = null;
+        points.forEach((point) => {
+            const elevation = TrailTrack.getPointElevation(point);
+            if (elevation === null) {
+                return;
+            }
+
+            stats.min = stats.min === null ? elevation : Math.min(stats.min, elevation);
+            stats.max = stats.max === null ? elevation : Math.max(stats.max, elevation);
+
+            if (reference === null) {
+                reference = elevation;
+                return;
+            }
+
+            const delta = elevation - reference;
+            if (delta >= threshold) {
+                stats.gain += delta;
+                reference = elevation;
+            } else if (delta <= -threshold) {
+                stats.loss -= delta;
+                reference = elevation;
+            }
+        });
+
+        return stats;
+    }
+
+    static serializePoint(point) {
+        let serialized;
+        if (Array.isArray(point)) {
+            serialized = [Number(point[0]), Number(point[1])];
+        } else if (point && (typeof point.lat !== 'undefined' && typeof point.lng !== 'undefined')) {
+            // Handle objects with lat/lng properties (can be numbers or strings)
+            serialized = [Number(point.lat), Number(point.lng)];
+        } else {
+            return point;
+        }
+
+        const elevation = TrailTrack.getPointElevation(point);
+        if (elevation !== null) {
+            serialized.push(elevation);
+        }
+        return serialized;
+    }
+
+    // A [lat, lng(, ele)] point from untrusted input, or null unless lat and
+    // lng are finite numbers within range
+    static sanitizePoint(point) {
+        if (!Array.isArray(point)) {
+            return null;
+        }
+        const [lat, lng, ele] = point;
+        if (typeof lat !== 'number' || typeof lng !== 'number' ||
+            !Number.isFinite(lat) || !Number.isFinite(lng) ||
+            Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+        return typeof ele === 'number' && Number.isFinite(ele) ? [lat, lng, ele] : [lat, lng];
+    }
+
+    // A track's valid points, with their index-aligned fixes when it has any
+    static sanitizeTrack(track) {
+        const hasFixes = Array.isArray(track.fixes);
+        const points = [];
+        const fixes = [];
+        (Array.isArray(track.points) ? track.points : []).forEach((point, index) => {
+            const sanitized = TrailTrack.sanitizePoint(point);
+            if (sanitized) {
+                points.push(sanitized);
+                if (hasFixes) {
+                    fixes.push(track.fixes[index] || null);
+                }
+            }
+        });
+        return hasFixes ? { points, fixes } : { points };
+    }
+
+    // Douglas-Peucker on a local equirectangular projection. Returns the
+    // indices of the points to keep, so index-aligned fixes can follow along.
+    static simplifyPoints(points = [], toleranceMeters = 5) {
+        if (!Array.isArray(points) || points.length < 3 || !(toleranceMeters > 0)) {
+            return points.map((point, index) => index);
+        }
+
+        const origin = TrailTrack.normalizeLatLng(points[0]);
+        const metersPerDegree = 111320;
+        const cosLat = Math.cos(origin.lat * Math.PI / 180);
+        const projected = points.map(point => {
+            const { lat, lng } = TrailTrack.normalizeLatLng(point);
+            return [(lng - origin.lng) * metersPerDegree * cosLat, (lat - origin.lat) * metersPerDegree];
+        });
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+
+        // Explicit stack instead of recursion: long watch tracks can exceed the call stack
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const [ax, ay] = projected[first];
+            const [bx, by] = projected[last];
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+
+            let maxDistance = 0;
+            let maxIndex = -1;
+            for (let i = first + 1; i < last; i++) {
+                const [px, py] = projected[i];
+                let distance;
+                if (lengthSquared === 0) {
+                    distance = Math.hypot(px - ax, py - ay);
+                } else {
+                    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+                    distance = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+                }
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+
+            if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+                keep[maxIndex] = 1;
+                stack.push([first, maxIndex], [maxIndex, last]);
+            }
+        }
+
+        const indices = [];
+        keep.forEach((flag, index) => {
+            if (flag) {
+                indices.push(index);
+            }
+        });
+        return indices;
+    }
+
+    // Point at ratio (0-1) between two [lat, lng, ele?] points
+    static interpolatePoint(startPoint, endPoint, ratio) {
+        const start = TrailTrack.normalizeLatLng(startPoint);
+        const end = TrailTrack.normalizeLatLng(endPoint);
+        const point = [
+            start.lat + (end.lat - start.lat) * ratio,
+            start.lng + (end.lng - start.lng) * ratio
+        ];
+
+        const startElevation = TrailTrack.getPointElevation(startPoint);
+        const endElevation = TrailTrack.getPointElevation(endPoint);
+        if (startElevation !== null && endElevation !== null) {
+            point.push(startElevation + (endElevation - startElevation) * ratio);
+        }
+        return point;
+    }
+
+    // Plain, structured-clone-safe copy of a route as stored in IndexedDB
+    // A copy of a value that IndexedDB can store, or undefined when it holds
+    // anything other than plain data (Leaflet layers, functions, ...)
+    static toPlainValue(value) {
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+            return value;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Array.isArray(value)) {
+            const items = value.map(item => TrailTrack.toPlainValue(item));
+            return items.includes(undefined) ? undefined : items;
+        }
+        if (typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                const plain = TrailTrack.toPlainValue(item);
+                if (plain !== undefined) {
+                    copy[key] = plain;
+                }
+            }
+            return copy;
+        }
+        return undefined;
+    }
+
+    // Route data as stored in IndexedDB. Known fields are normalised; any other
+    // plain field is kept as it is, so new route properties persist without
+    // changes here. Map objects and derived per-session data are left out.
+    static serializeRoute(route) {
+        // Ensure points are plain arrays (not Leaflet LatLng objects)
+        const points = route.points.map(point => TrailTrack.serializePoint(point));
+        
+        // Normalize created date to ISO string
+        let created;
+        if (route.created instanceof Date) {
+            created = route.created.toISOString();
+        } else if (typeof route.created === 'string') {
+            created = route.created;
+        } else {
+            created = new Date().toISOString();
+        }
+
+        const extra = {};
+        for (const [key, value] of Object.entries(route)) {
+            if (TrailTrack.RUNTIME_ROUTE_FIELDS.includes(key)) continue;
+            const plain = TrailTrack.toPlainValue(value);
+            if (plain !== undefined) {
+                extra[key] = plain;
+            }
+        }
+        // lastViewed was briefly stored on routes; it now lives in localStorage
+        ['description', 'notes', 'activityType', 'tags', 'lastViewed', 'color', 'fixes', 'stats', 'original', 'originalPointCount']
+            .forEach(key => delete extra[key]);
+        
+        const routeData = {
+            ...extra,
+            id: String(route.id),
+            name: String(route.name || 'Unnamed Route'),
+            type: route.type === 'activity' ? 'activity' : 'planned',
+            points: points,
+            distance: Number(route.distance || 0),
+            elevationGain: Number(route.elevationGain || 0),
+            elevationLoss: Number(route.elevationLoss || 0),
+            created: created
+        };
+
+        if (route.description) {
+            routeData.description = String(route.description);
+        }
+        if (route.notes) {
+            routeData.notes = String(route.notes);
+        }
+        if (TrailTrack.ACTIVITY_TYPES[route.activityType]) {
+            routeData.activityType = route.activityType;
+        }
+        const tags = TrailTrack.normalizeTags(route.tags);
+        if (tags.length > 0) {
+            routeData.tags = tags;
+        }
+        const color = TrailTrack.normalizeColor(route.color);
+        if (color) {
+            routeData.color = color;
+        }
+
+        // Recorded fixes are stored index-aligned with points; planned routes have none
+        const fixes = Array.isArray(route.fixes)
+            ? route.points.map((point, index) => TrailTrack.serializeFix(route.fixes[index]))
+            : [];
+        if (TrailTrack.isRecordedTrack(fixes)) {
+            routeData.fixes = fixes;
+            routeData.stats = TrailTrack.calculateActivityStats(points, fixes);
+        }
+
+        // The full-resolution geometry of a simplified route is kept in the
+        // originals store; the route only records its size
+        const originalPointCount = route.original && Array.isArray(route.original.points)
+            ? route.original.points.length
+            : Number(route.originalPointCount);
+        if (Number.isInteger(originalPointCount) && originalPointCount > 0) {
+            routeData.originalPointCount = originalPointCount;
+        }
+
+        return routeData;
+    }
+
+    // Full-resolution geometry kept aside when a route was simplified
+    static serializeOriginal(original) {
+        const fixes = Array.isArray(original.fixes)
+            ? original.points.map((point, index) => TrailTrack.serializeFix(original.fixes[index]))
+            : [];
+        return {
+            points: original.points.map(point => TrailTrack.serializePoint(point)),
+            ...(TrailTrack.isRecordedTrack(fixes) ? { fixes } : {})
+        };
+    }
+
+    // A route as kept in library backups, with its original geometry (when
+    // loaded onto route.original) inline
+    static serializeBackupRoute(route) {
+        const routeData = TrailTrack.serializeRoute(route);
+        if (route.original && Array.isArray(route.original.points)) {
+            routeData.original = TrailTrack.serializeOriginal(route.original);
+        }
+        return routeData;
+    }
+
+    // Trimmed, de-duplicated (case-insensitively) tags from an array or a comma-separated string
+    static normalizeTags(tags) {
+        const values = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+        const seen = new Set();
+        return values
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Map a device sport name (TCX Sport attribute, FIT sport) onto an activity type
+    static activityTypeFromSport(sport) {
+        const value = (sport || '').toString().trim().toLowerCase();
+        const match = Object.entries(TrailTrack.ACTIVITY_TYPES)
+            .find(([, definition]) => definition.sports.includes(value));
+        return match ? match[0] : null;
+    }
+
+    // Whether a route passes the sidebar filters. Distances are in metres and
+    // dates are 'YYYY-MM-DD' strings (from date inputs), both ends inclusive.
+    static matchesRouteFilters(route, filters = {}) {
+        if (filters.activityType && route.activityType !== filters.activityType) {
+            return false;
+        }
+        if (filters.tag) {
+            const tag = filters.tag.toLowerCase();
+            if (!(route.tags || []).some(routeTag => routeTag.toLowerCase() === tag)) {
+                return false;
+            }
+        }
+
+        const distance = Number(route.distance) || 0;
+        if (Number.isFinite(filters.minDistance) && distance < filters.minDistance) {
+            return false;
+        }
+        if (Number.isFinite(filters.maxDistance) && distance > filters.maxDistance) {
+            return false;
+        }
+
+        if (filters.bounds && !TrailTrack.routeIntersectsBounds(route.points, filters.bounds)) {
+            return false;
+        }
+        if (filters.near) {
+            const start = Array.isArray(route.points) && route.points.length > 0 ? route.points[0] : null;
+            if (!start || TrailTrack.haversineDistance({ lat: start[0], lng: start[1] }, filters.near) > filters.near.radius) {
+                return false;
+            }
+        }
+
+        const created = new Date(route.created).getTime();
+        if (filters.createdFrom && !(created >= new Date(`${filters.createdFrom}T00:00:00`).getTime())) {
+            return false;
+        }
+        if (filters.createdTo && !(created <= new Date(`${filters.createdTo}T23:59:59.999`).getTime())) {
+            return false;
+        }
+        return true;
+    }
+
+    // Whether any part of a route lies within { south, west, north, east }
+    static routeIntersectsBounds(points, bounds) {
+        if (!Array.isArray(points) || points.length === 0) {
+            return false;
+        }
+        const inside = ([lat, lng]) => lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+        if (points.length === 1) {
+            return inside(points[0]);
+        }
+        // A segment can cross the bounds with both ends outside (long straight legs)
+        return points.slice(1).some((point, index) =>
+            inside(point) || inside(points[index]) || TrailTrack.segmentIntersectsBounds(points[index], point, bounds)
+        );
+    }
+
+    // Liang-Barsky clipping of segment a-b ([lat, lng]) against the bounds
+    static segmentIntersectsBounds(a, b, bounds) {
+        const dLng = b[1] - a[1];
+        const dLat = b[0] - a[0];
+        const edges = [
+            [-dLng, a[1] - bounds.west],
+            [dLng, bounds.east - a[1]],
+            [-dLat, a[0] - bounds.south],
+            [dLat, bounds.north - a[0]]
+        ];
+        let enter = 0;
+        let exit = 1;
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q < 0) return false;
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) {
+                if (t > exit) return false;
+                enter = Math.max(enter, t);
+            } else {
+                if (t < enter) return false;
+                exit = Math.min(exit, t);
+            }
+        }
+        return enter <= exit;
+    }
+
+    // lastViewed maps route ids to when they were last opened, for 'last-viewed'
+    static sortRoutes(routes, sort = 'created-desc', lastViewed = {}) {
+        const compare = TrailTrack.ROUTE_SORTS[sort] || TrailTrack.ROUTE_SORTS['created-desc'];
+        return [...routes].sort((a, b) => compare(a, b, lastViewed));
+    }
+
+    // Route id → ISO time map from localStorage; anything malformed is dropped
+    static parseRouteLastViewed(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            return {};
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return {};
+        }
+        return Object.fromEntries(Object.entries(parsed).filter(([, time]) => typeof time === 'string'));
+    }
+
+    // Kept outside the route records, so viewing a route doesn't rewrite it
+    // (or make it differ from its backup copy)
+    setRouteLastViewed(routeId, time) {
+        if (time) {
+            this.routeLastViewed[routeId] = time;
+        } else {
+            delete this.routeLastViewed[routeId];
+        }
+        localStorage.setItem('routeLastViewed', JSON.stringify(this.routeLastViewed));
+    }
+
+    static getWaypointType(type) {
+        return TrailTrack.WAYPOINT_TYPES[type] || TrailTrack.WAYPOINT_TYPES.generic;
+    }
+
+    static serializeWaypoint(waypoint) {
+        const elevation = Number(waypoint.ele);
+        return {
+            id: String(waypoint.id),
+            routeId: waypoint.routeId ? String(waypoint.routeId) : null,
+            name: String(waypoint.name || TrailTrack.getWaypointType(waypoint.type).label),
+            type: TrailTrack.WAYPOINT_TYPES[waypoint.type] ? waypoint.type : 'generic',
+            lat: Number(waypoint.lat),
+            lng: Number(waypoint.lng),
+            ele: waypoint.ele !== null && waypoint.ele !== undefined && Number.isFinite(elevation) ? elevation : null,
+            created: waypoint.created || new Date().toISOString()
+        };
+    }
+
+    // Map a GPX <sym>/<type> value onto one of our waypoint types
+    static waypointTypeFromGpx(sym, type) {
+        const values = [sym, type]
+            .filter(Boolean)
+            .map(value => value.toString().trim().toLowerCase());
+
+        const match = Object.entries(TrailTrack.WAYPOINT_TYPES).find(([key, definition]) =>
+            values.some(value => value === key ||
+                value === definition.label.toLowerCase() ||
+                definition.gpxSymbols.some(symbol => symbol.toLowerCase() === value))
+        );
+        return match ? match[0] : 'generic';
+    }
+
+    // One track per line feature from toGeoJSON (a GPX <trk>/<rte> or a KML
+    // Placemark). Multi-part features (a multi-segment <trk>, a KML
+    // MultiGeometry) stay a single track.
+    static parseGeoJSONTracks(geojson, fallbackName = 'Imported Route') {
+        const getLines = (geometry) => {
+            if (!geometry) {
+                return [];
+            }
+            if (geometry.type === 'LineString') {
+                return [geometry.coordinates];
+            }
+            if (geometry.type === 'MultiLineString') {
+                return geometry.coordinates;
+            }
+            if (geometry.type === 'GeometryCollection') {
+                return (geometry.geometries || []).flatMap(getLines);
+            }
+            return [];
+        };
+
+        const features = ((geojson && geojson.features) || []).filter(feature => getLines(feature.geometry).length > 0);
+
+        return features
+            .map((feature, featureIndex) => {
+                const properties = feature.properties || {};
+                const lines = getLines(feature.geometry);
+                const coordTimes = properties.coordTimes || [];
+                const lineTimes = Array.isArray(coordTimes[0]) ? coordTimes : [coordTimes];
+
+                const points = [];
+                const fixes = [];
+                lines.forEach((coordinates, lineIndex) => {
+                    const times = lineTimes[lineIndex] || [];
+                    (Array.isArray(coordinates) ? coordinates : []).forEach((coord, index) => {
+                        // GeoJSON is [lng, lat, ele], Leaflet uses [lat, lng, alt];
+                        // hand-written files may have missing or non-numeric values
+                        const point = Array.isArray(coord)
+                            ? TrailTrack.sanitizePoint([coord[1], coord[0], coord.length > 2 ? Number(coord[2]) : undefined])
+                            : null;
+                        if (!point) {
+                            return;
+                        }
+                        const time = times[index] ? Date.parse(times[index]) : NaN;
+                        fixes.push(Number.isFinite(time) ? TrailTrack.serializeFix({ time }) : null);
+                        points.push(point);
+                    });
+                });
+
+                const name = (properties.name || '').toString().trim() ||
+                    (features.length > 1 ? `${fallbackName} (${featureIndex + 1})` : fallbackName);
+
+                return {
+                    name,
+                    description: (properties.desc || properties.description || '').toString().trim(),
+                    notes: (properties.notes || properties.cmt || '').toString().trim(),
+                    color: TrailTrack.normalizeColor(properties.stroke),
+                    points,
+                    fixes,
+                    isActivity: TrailTrack.isRecordedTrack(fixes)
+                };
+            })
+            .filter(track => track.points.length > 0);
+    }
+
+    // Point features from toGeoJSON (e.g. KML Placemarks) as waypoints
+    static parseGeoJSONWaypoints(geojson) {
+        return ((geojson && geojson.features) || [])
+            .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => {
+                const properties = feature.properties || {};
+                const [lng, lat, ele] = Array.isArray(feature.geometry.coordinates) ? feature.geometry.coordinates : [];
+                const type = TrailTrack.waypointTypeFromGpx(properties.sym, properties.type);
+                return {
+                    name: (properties.name || '').toString().trim() || TrailTrack.getWaypointType(type).label,
+                    type,
+                    lat: Number(lat),
+                    lng: Number(lng),
+                    ele: ele !== undefined && ele !== null && Number.isFinite(Number(ele)) ? Number(ele) : null
+                };
+            })
+            .filter(waypoint => Number.isFinite(waypoint.lat) && Number.isFinite(waypoint.lng));
+    }
+
+    // Wrap a bare GeoJSON geometry or Feature in a FeatureCollection
+    static toFeatureCollection(geojson) {
+        if (!geojson || typeof geojson !== 'object') {
+            throw new Error('Not a GeoJSON object');
+        }
+        if (geojson.type === 'FeatureCollection') {
+            return { ...geojson, features: Array.isArray(geojson.features) ? geojson.features : [] };
+        }
+        if (geojson.type === 'Feature') {
+            return { type: 'FeatureCollection', features: [geojson] };
+        }
+        if (typeof geojson.type === 'string' && (geojson.coordinates || geojson.geometries)) {
+            return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: geojson }] };
+        }
+        throw new Error('Not a GeoJSON object');
+    }
+
+    // Route as a GeoJSON LineString feature. Timestamps use the coordTimes
+    // convention of toGeoJSON so recorded activities survive a round trip.
+    static routeToFeature(route) {
+        const color = TrailTrack.normalizeColor(route.color);
+        return {
+            type: 'Feature',
+            properties: {
+                name: route.name,
+                ...(route.description ? { description: route.description } : {}),
+                ...(route.notes ? { notes: route.notes } : {}),
+                ...(color ? { stroke: color } : {}),
+                routeType: route.type === 'activity' ? 'activity' : 'planned',
+                distance: Number(route.distance || 0),
+                elevationGain: Number(route.elevationGain || 0),
+                elevationLoss: Number(route.elevationLoss || 0),
+                created: route.created,
+                ...(TrailTrack.hasCompleteTimes(route) ? {
+                    coordTimes: route.fixes.map(fix => new Date(fix.time).toISOString())
+                } : {})
+            },
+            geometry: {
+                type: 'LineString',
+                // Leaflet [lat, lng, ele] to GeoJSON [lng, lat, ele]
+                coordinates: route.points.map(p => (p.length > 2 ? [p[1], p[0], p[2]] : [p[1], p[0]]))
+            }
+        };
+    }
+
+    static waypointToFeature(waypoint) {
+        return {
+            type: 'Feature',
+            properties: {
+                name: waypoint.name,
+                type: waypoint.type,
+                ...(waypoint.routeId ? { routeId: waypoint.routeId } : {})
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: Number.isFinite(waypoint.ele)
+                    ? [waypoint.lng, waypoint.lat, waypoint.ele]
+                    : [waypoint.lng, waypoint.lat]
+            }
+        };
+    }
+
+    static buildFeatureCollection(routes = [], waypoints = []) {
+        return {
+            type: 'FeatureCollection',
+            features: [
+                ...routes.map(route => TrailTrack.routeToFeature(route)),
+                ...waypoints.map(waypoint => TrailTrack.waypointToFeature(waypoint))
+            ]
+        };
+    }
+
+    // Single-file archive of the whole library; settings are localStorage strings
+    // and photos carry their image as a data: URL (see serializePhotoForBackup)
+    static buildBackup(routes = [], waypoints = [], settings = {}, photos = []) {
+        return {
+            format: TrailTrack.BACKUP_FORMAT,
+            version: TrailTrack.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            routes: routes.map(route => TrailTrack.serializeBackupRoute(route)),
+            waypoints: waypoints.map(waypoint => TrailTrack.serializeWaypoint(waypoint)),
+            photos: photos.map(photo => TrailTrack.normalizeBackupPhoto(photo)),
+            settings: { ...settings }
+        };
+    }
+
+    // Photo metadata as kept in backups, with the image as a data: URL
+    static normalizeBackupPhoto(photo) {
+        return {
+            id: String(photo.id),
+            routeId: String(photo.routeId),
+            name: String(photo.name || 'Photo'),
+            type: String(photo.type || 'image/jpeg'),
+            lat: Number.isFinite(photo.lat) ? photo.lat : null,
+            lng: Number.isFinite(photo.lng) ? photo.lng : null,
+            takenAt: photo.takenAt || null,
+            created: photo.created || new Date().toISOString(),
+            data: String(photo.data)
+        };
+    }
+
+    static dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const type = (/^data:([^;,]+)/.exec(header) || [])[1] || 'application/octet-stream';
+        const binary = atob(data || '');
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    // Validate a backup (JSON text or object) and normalise its contents.
+    // Throws when the file isn't a backup we can read.
+    static parseBackup(input) {
+        const backup = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!backup || backup.format !== TrailTrack.BACKUP_FORMAT) {
+            throw new Error('Not a TrailTrack library backup');
+        }
+        const version = Number(backup.version);
+        if (!Number.isInteger(version) || version < 1 || version > TrailTrack.BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version: ${backup.version}`);
+        }
+
+        // Points are validated like imported files; routes left without any are dropped
+        const routes = (Array.isArray(backup.routes) ? backup.routes : [])
+            .filter(route => route && route.id !== undefined && route.id !== null && Array.isArray(route.points))
+            .map(route => {
+                const original = route.original ? TrailTrack.sanitizeTrack(route.original) : null;
+                return {
+                    ...route,
+                    ...TrailTrack.sanitizeTrack(route),
+                    original: original && original.points.length > 0 ? original : null
+                };
+            })
+            .filter(route => route.points.length > 0)
+            .map(route => TrailTrack.serializeBackupRoute(route));
+        const waypoints = (Array.isArray(backup.waypoints) ? backup.waypoints : [])
+            .filter(waypoint => waypoint && waypoint.id !== undefined && waypoint.id !== null &&
+                Number.isFinite(Number(waypoint.lat)) && Number.isFinite(Number(waypoint.lng)))
+            .map(waypoint => TrailTrack.serializeWaypoint(waypoint));
+        // Version 1 backups have no photos
+        const photos = (Array.isArray(backup.photos) ? backup.photos : [])
+            .filter(photo => photo && photo.id !== undefined && photo.id !== null && photo.routeId &&
+                typeof photo.data === 'string' && /^data:[^,;]*;base64,[A-Za-z0-9+/]*={0,2}$/.test(photo.data))
+            .map(photo => TrailTrack.normalizeBackupPhoto(photo));
+        const settings = {};
+        TrailTrack.SETTINGS_KEYS.forEach(key => {
+            if (backup.settings && typeof backup.settings[key] === 'string') {
+                settings[key] = backup.settings[key];
+            }
+        });
+
+        return { version, exportedAt: backup.exportedAt || null, routes, waypoints, photos, settings };
+    }
+
+    // Human-readable lines describing a restore plan
+    static describeRestorePlan(summary) {
+        const count = (value, noun) => `${value} ${noun}${value === 1 ? '' : 's'}`;
+        const lines = [];
+        if (summary.routesAdded) lines.push(`Add ${count(summary.routesAdded, 'route')}`);
+        if (summary.routesUpdated) lines.push(`Overwrite ${count(summary.routesUpdated, 'route')}`);
+        if (summary.routesCopied) lines.push(`Add ${count(summary.routesCopied, 'route')} as copies`);
+        if (summary.routesSkipped) lines.push(`Keep ${count(summary.routesSkipped, 'changed route')} as they are here`);
+        if (summary.routesDeleted) lines.push(`Delete ${count(summary.routesDeleted, 'route')} not in the backup`);
+        if (summary.waypointsAdded || summary.waypointsUpdated) {
+            lines.push(`Add or update ${count(summary.waypointsAdded + summary.waypointsUpdated, 'waypoint')}`);
+        }
+        if (summary.waypointsDeleted) lines.push(`Delete ${count(summary.waypointsDeleted, 'waypoint')} not in the backup`);
+        if (summary.photosAdded) lines.push(`Add ${count(summary.photosAdded, 'photo')}`);
+        if (summary.photosDeleted) lines.push(`Delete ${count(summary.photosDeleted, 'photo')} not in the backup`);
+        if (summary.settingsChanged) lines.push(`Change ${count(summary.settingsChanged, 'setting')}`);
+        if (summary.routesUnchanged) lines.push(`${count(summary.routesUnchanged, 'route')} already up to date`);
+        return lines;
+    }
+
+    // '#rrggbb' (lower case), or null for anything else
+    static normalizeColor(color) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color.trim()) ? color.trim().toLowerCase() : null;
+    }
+
+    // KML colours are aabbggrr
+    static colorToKml(color, opacity = 1) {
+        const hex = TrailTrack.normalizeColor(color) || TrailTrack.DEFAULT_ROUTE_COLOR;
+        const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+        return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+    }
+
+    // Minimal, safe Markdown for route descriptions: paragraphs, line breaks,
+    // "- " lists, **bold**, *italic*, `code` and http(s) links. Everything
+    // else is escaped, so the result can be assigned to innerHTML.
+    static renderMarkdown(text) {
+        const inline = (line) => TrailTrack.escapeXml(line)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="underline">$1</a>');
+
+        return String(text || '')
+            .replace(/\r\n/g, '\n')
+            .split(/\n{2,}/)
+            .map(block => block.trim())
+            .filter(Boolean)
+            .map(block => {
+                const lines = block.split('\n');
+                if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+                    return `<ul class="list-disc pl-5">${lines.map(line => `<li>${inline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+                }
+                return `<p>${lines.map(inline).join('<br>')}</p>`;
+            })
+            .join('');
+    }
+
+    // Read the GPS position and capture time from a JPEG's EXIF block.
+    // Returns { lat, lng, takenAt } with nulls for anything missing.
+    static parseExif(arrayBuffer) {
+        const result = { lat: null, lng: null, takenAt: null };
+        const view = new DataView(arrayBuffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return result;
+        }
+
+        // Find the APP1 "Exif\0\0" segment
+        let offset = 2;
+        let tiffStart = null;
+        while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+            const marker = view.getUint8(offset + 1);
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                tiffStart = offset + 10;
+                break;
+            }
+            if (marker === 0xDA) {
+                break; // Start of image data; no metadata after this
+            }
+            offset += 2 + length;
+        }
+        if (tiffStart === null || tiffStart + 8 > view.byteLength) {
+            return result;
+        }
+
+        const little = view.getUint16(tiffStart) === 0x4949;
+        const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        const readIfd = (ifdOffset) => {
+            const entries = {};
+            const start = tiffStart + ifdOffset;
+            if (start + 2 > view.byteLength) {
+                return entries;
+            }
+            const count = view.getUint16(start, little);
+            for (let i = 0; i < count; i++) {
+                const entry = start + 2 + i * 12;
+                if (entry + 12 > view.byteLength) break;
+                const tag = view.getUint16(entry, little);
+                const type = view.getUint16(entry + 2, little);
+                const valueCount = view.getUint32(entry + 4, little);
+                const size = (typeSizes[type] || 1) * valueCount;
+                const valueOffset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+                if (valueOffset + size > view.byteLength) continue;
+
+                if (type === 2) {
+                    let text = '';
+                    for (let j = 0; j < valueCount; j++) {
+                        const code = view.getUint8(valueOffset + j);
+                        if (code === 0) break;
+                        text += String.fromCharCode(code);
+                    }
+                    entries[tag] = text;
+                } else if (type === 5) {
+                    entries[tag] = Array.from({ length: valueCount }, (_, j) =>
+                        view.getUint32(valueOffset + j * 8, little) / view.getUint32(valueOffset + j * 8 + 4, little));
+                } else if (type === 3) {
+                    entries[tag] = view.getUint16(valueOffset, little);
+                } else if (type === 4) {
+                    entries[tag] = view.getUint32(valueOffset, little);
+                }
+            }
+            return entries;
+        };
+
+        const ifd0 = readIfd(view.getUint32(tiffStart + 4, little));
+        if (ifd0[0x8825] !== undefined) {
+            const gps = readIfd(ifd0[0x8825]);
+            const toDegrees = (values) => (Array.isArray(values) && values.length === 3
+                ? values[0] + values[1] / 60 + values[2] / 3600
+                : NaN);
+            const lat = toDegrees(gps[2]) * (gps[1] === 'S' ? -1 : 1);
+            const lng = toDegrees(gps[4]) * (gps[3] === 'W' ? -1 : 1);
+            if (Number.isFinite(lat) && Number.isFinite(lng)) {
+                result.lat = lat;
+                result.lng = lng;
+            }
+        }
+        if (ifd0[0x8769] !== undefined) {
+            // DateTimeOriginal has no time zone; read it as local time
+            const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(readIfd(ifd0[0x8769])[0x9003] || '');
+            if (match) {
+                const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+                result.takenAt = new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+            }
+        }
+        return result;
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // KML document with the route as a styled LineString and its waypoints as Points
+    static buildKml(route, waypoints = []) {
+        const formatCoordinate = (lat, lng, ele) => (Number.isFinite(ele) ? `${lng},${lat},${ele}` : `${lng},${lat}`);
+        const coordinates = route.points
+            .map(point => formatCoordinate(point[0], point[1], TrailTrack.getPointElevation(point)))
+            .join(' ');
+        const description = route.description
+            ? `\n      <description>${TrailTrack.escapeXml(route.description)}</description>`
+            : '';
+        const notes = route.notes
+            ? `\n      <ExtendedData><Data name="notes"><value>${TrailTrack.escapeXml(route.notes)}</value></Data></ExtendedData>`
+            : '';
+
+        const waypointPlacemarks = waypoints.map(waypoint => `
+    <Placemark>
+      <name>${TrailTrack.escapeXml(waypoint.name)}</name>
+      <ExtendedData><Data name="type"><value>${TrailTrack.escapeXml(waypoint.type)}</value></Data></ExtendedData>
+      <Point><coordinates>${formatCoordinate(waypoint.lat, waypoint.lng, waypoint.ele)}</coordinates></Point>
+    </Placemark>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${TrailTrack.escapeXml(route.name)}</name>
+    <Style id="route-style">
+      <LineStyle>
+        <color>${TrailTrack.colorToKml(route.color)}</color>
+        <width>4</width>
+      </LineStyle>
+    </Style>
+    <Placemark>
+      <name>${TrailTrack.escapeXml(route.name)}</name>${description}${notes}
+      <styleUrl>#route-style</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>${waypointPlacemarks}
+  </Document>
+</kml>
+`;
+    }
+
+    // Activities (and courses) from a Garmin Training Center (TCX) document
+    static parseTcx(tcxDoc, fallbackName = 'Imported Activity') {
+        const byName = (parent, localName) => Array.from(parent.getElementsByTagNameNS('*', localName));
+        const childText = (parent, localName) => {
+            const child = byName(parent, localName)[0];
+            return child ? child.textContent.trim() : '';
+        };
+        const numberOrNull = (text) => (text !== '' && Number.isFinite(Number(text)) ? Number(text) : null);
+        // Activity > Creator > Name is the device, so names and notes are read from direct children only
+        const ownText = (parent, localName) => {
+            const child = Array.from(parent.children).find(element => element.localName === localName);
+            return child ? child.textContent.trim() : '';
+        };
+
+        const containers = [...byName(tcxDoc, 'Activity'), ...byName(tcxDoc, 'Course')];
+        return containers
+            .map((container, index) => {
+                const points = [];
+                const fixes = [];
+                byName(container, 'Trackpoint').forEach(trackpoint => {
+                    const position = byName(trackpoint, 'Position')[0];
+                    // Trackpoints without a position only carry sensor data (e.g. indoors)
+                    if (!position) {
+                        return;
+                    }
+                    const lat = numberOrNull(childText(position, 'LatitudeDegrees'));
+                    const lng = numberOrNull(childText(position, 'LongitudeDegrees'));
+                    if (lat === null || lng === null) {
+                        return;
+                    }
+
+                    const altitude = numberOrNull(childText(trackpoint, 'AltitudeMeters'));
+                    const heartRateEl = byName(trackpoint, 'HeartRateBpm')[0];
+                    points.push(altitude === null ? [lat, lng] : [lat, lng, altitude]);
+                    fixes.push(TrailTrack.serializeFix({
+                        time: childText(trackpoint, 'Time') || null,
+                        speed: numberOrNull(childText(trackpoint, 'Speed')),
+                        altitude,
+                        heartRate: heartRateEl ? numberOrNull(childText(heartRateEl, 'Value')) : null,
+                        cadence: numberOrNull(childText(trackpoint, 'Cadence') || childText(trackpoint, 'RunCadence'))
+                    }));
+                });
+
+                const isActivity = TrailTrack.isRecordedTrack(fixes);
+                const sport = container.getAttribute('Sport');
+                const name = ownText(container, 'Name') ||
+                    (containers.length > 1 ? `${fallbackName} (${index + 1})` : fallbackName);
+
+                return {
+                    name,
+                    description: ownText(container, 'Notes') || (sport && sport !== 'Other' ? sport : ''),
+                    activityType: TrailTrack.activityTypeFromSport(sport),
+                    color: null,
+                    points,
+                    fixes: isActivity ? fixes : [],
+                    isActivity
+                };
+            })
+            .filter(track => track.points.length > 0);
+    }
+
+    // Minimal FIT decoder: walks definition/data messages and keeps `record`
+    // messages (global number 20) that carry a position
+    static parseFit(arrayBuffer, fallbackName = 'Imported Activity') {
+        const view = new DataView(arrayBuffer);
+        if (view.byteLength < 12) {
+            throw new Error('File is too short to be a FIT file');
+        }
+
+        const headerSize = view.getUint8(0);
+        const signature = String.fromCharCode(
+            view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11)
+        );
+        if (signature !== '.FIT') {
+            throw new Error('Missing .FIT signature');
+        }
+
+        const dataEnd = Math.min(headerSize + view.getUint32(4, true), view.byteLength);
+        const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31 UTC
+        const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+        // Base type number -> [size, reader, invalid value]
+        const baseTypes = {
+            0x00: [1, (o) => view.getUint8(o), 0xFF],
+            0x01: [1, (o) => view.getInt8(o), 0x7F],
+            0x02: [1, (o) => view.getUint8(o), 0xFF],
+            0x83: [2, (o, le) => view.getInt16(o, le), 0x7FFF],
+            0x84: [2, (o, le) => view.getUint16(o, le), 0xFFFF],
+            0x85: [4, (o, le) => view.getInt32(o, le), 0x7FFFFFFF],
+            0x86: [4, (o, le) => view.getUint32(o, le), 0xFFFFFFFF],
+            0x0A: [1, (o) => view.getUint8(o), 0x00],
+            0x8B: [2, (o, le) => view.getUint16(o, le), 0x0000],
+            0x8C: [4, (o, le) => view.getUint32(o, le), 0x00000000]
+        };
+
+        const definitions = {};
+        const points = [];
+        const fixes = [];
+        let sport = null;
+        let lastTimestamp = null;
+        let offset = headerSize;
+
+        while (offset < dataEnd) {
+            const header = view.getUint8(offset++);
+            const isCompressedTimestamp = (header & 0x80) !== 0;
+            const localType = isCompressedTimestamp ? (header >> 5) & 0x03 : header & 0x0F;
+
+            if (!isCompressedTimestamp && (header & 0x40)) {
+                // Definition message
+                const littleEndian = view.getUint8(offset + 1) === 0;
+                const globalNumber = view.getUint16(offset + 2, littleEndian);
+                const fieldCount = view.getUint8(offset + 4);
+                offset += 5;
+                const fields = [];
+                for (let i = 0; i < fieldCount; i++) {
+                    fields.push({
+                        number: view.getUint8(offset),
+                        size: view.getUint8(offset + 1),
+                        baseType: view.getUint8(offset + 2)
+                    });
+                    offset += 3;
+                }
+                let developerSize = 0;
+                if (header & 0x20) {
+                    const developerFieldCount = view.getUint8(offset++);
+                    for (let i = 0; i < developerFieldCount; i++) {
+                        developerSize += view.getUint8(offset + 1);
+                        offset += 3;
+                    }
+                }
+                definitions[localType] = { littleEndian, globalNumber, fields, developerSize };
+                continue;
+            }
+
+            const definition = definitions[localType];
+            if (!definition) {
+                throw new Error(`FIT data message without definition (local type ${localType})`);
+            }
+
+            const values = {};
+            definition.fields.forEach(field => {
+                const baseType = baseTypes[field.baseType];
+                if (baseType && baseType[0] === field.size) {
+                    const value = baseType[1](offset, definition.littleEndian);
+                    if (value !== baseType[2]) {
+                        values[field.number] = value;
+                    }
+                }
+                offset += field.size;
+            });
+            offset += definition.developerSize;
+
+            if (isCompressedTimestamp && lastTimestamp !== null) {
+                const timeOffset = header & 0x1F;
+                let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+                if (timeOffset < (lastTimestamp & 0x1F)) {
+                    timestamp += 0x20;
+                }
+                values[253] = timestamp;
+            }
+            if (Number.isFinite(values[253])) {
+                lastTimestamp = values[253];
+            }
+
+            if (definition.globalNumber === 18 && Number.isFinite(values[5])) {
+                sport = values[5];
+            }
+            if (definition.globalNumber !== 20 || !Number.isFinite(values[0]) || !Number.isFinite(values[1])) {
+                continue;
+            }
+
+            // record: 0 lat, 1 lng (semicircles), 2/78 altitude, 3 heart rate,
+            // 4 cadence, 6/73 speed (mm/s), 253 timestamp
+            const lat = values[0] * SEMICIRCLES_TO_DEGREES;
+            const lng = values[1] * SEMICIRCLES_TO_DEGREES;
+            const rawAltitude = Number.isFinite(values[78]) ? values[78] : values[2];
+            const altitude = Number.isFinite(rawAltitude) ? rawAltitude / 5 - 500 : null;
+            const rawSpeed = Number.isFinite(values[73]) ? values[73] : values[6];
+
+            points.push(altitude === null ? [lat, lng] : [lat, lng, altitude]);
+            fixes.push(TrailTrack.serializeFix({
+                time: Number.isFinite(values[253]) ? (values[253] + FIT_EPOCH_OFFSET) * 1000 : null,
+                speed: Number.isFinite(rawSpeed) ? rawSpeed / 1000 : null,
+                altitude,
+                heartRate: Number.isFinite(values[3]) ? values[3] : null,
+                cadence: Number.isFinite(values[4]) ? values[4] : null
+            }));
+        }
+
+        if (points.length === 0) {
+            return [];
+        }
+
+        const isActivity = TrailTrack.isRecordedTrack(fixes);
+        return [{
+            name: fallbackName,
+            description: TrailTrack.FIT_SPORTS[sport] || '',
+            activityType: TrailTrack.activityTypeFromSport(TrailTrack.FIT_SPORTS[sport]),
+            color: null,
+            points,
+            fixes: isActivity ? fixes : [],
+            isActivity
+        }];
+    }
+
+    // Read <wpt> elements from a parsed GPX document
+    static parseGpxWaypoints(gpxDoc) {
+        const childText = (element, tagName) => {
+            const child = element.getElementsByTagName(tagName)[0];
+            return child ? child.textContent.trim() : '';
+        };
+
+        return Array.from(gpxDoc.getElementsByTagName('wpt'))
+            .map(element => {
+                const lat = Number(element.getAttribute('lat'));
+                const lng = Number(element.getAttribute('lon'));
+                const ele = childText(element, 'ele');
+                const type = TrailTrack.waypointTypeFromGpx(childText(element, 'sym'), childText(element, 'type'));
+                return {
+                    name: childText(element, 'name') || TrailTrack.getWaypointType(type).label,
+                    type,
+                    lat,
+                    lng,
+                    ele: ele !== '' && Number.isFinite(Number(ele)) ? Number(ele) : null
+                };
+            })
+            .filter(waypoint => Number.isFinite(waypoint.lat) && Number.isFinite(waypoint.lng));
+    }
+
+    // Insert <wpt> elements into a GPX document string; GPX requires them before <rte>/<trk>
+    static addWaypointsToGpx(gpxString, waypoints = []) {
+        if (waypoints.length === 0) {
+            return gpxString;
+        }
+
+        const gpxDoc = new DOMParser().parseFromString(gpxString, 'text/xml');
+        const root = gpxDoc.documentElement;
+        const namespace = root.namespaceURI;
+        const firstTrack = Array.from(root.childNodes).find(node => node.nodeName === 'rte' || node.nodeName === 'trk') || null;
+
+        const appendChild = (parent, tagName, text) => {
+            const child = gpxDoc.createElementNS(namespace, tagName);
+            child.textContent = text;
+            parent.appendChild(child);
+        };
+
+        waypoints.forEach(waypoint => {
+            const definition = TrailTrack.getWaypointType(waypoint.type);
+            const element = gpxDoc.createElementNS(namespace, 'wpt');
+            element.setAttribute('lat', waypoint.lat);
+            element.setAttribute('lon', waypoint.lng);
+            if (Number.isFinite(waypoint.ele)) {
+                appendChild(element, 'ele', waypoint.ele);
+            }
+            appendChild(element, 'name', waypoint.name);
+            appendChild(element, 'sym', definition.gpxSymbols[0]);
+            appendChild(element, 'type', definition.label);
+            root.insertBefore(element, firstTrack);
+        });
+
+        return new XMLSerializer().serializeToString(gpxDoc);
+    }
+
+    // Add a <cmt> to the first track or route in a GPX string, after its <name>
+    static addTrackCommentToGpx(gpxString, comment) {
+        if (!comment) {
+            return gpxString;
+        }
+
+        const gpxDoc = new DOMParser().parseFromString(gpxString, 'text/xml');
+        const root = gpxDoc.documentElement;
+        const track = Array.from(root.childNodes).find(node => node.nodeName === 'rte' || node.nodeName === 'trk');
+        if (!track) {
+            return gpxString;
+        }
+
+        const element = gpxDoc.createElementNS(root.namespaceURI, 'cmt');
+        element.textContent = comment;
+        const name = Array.from(track.childNodes).find(node => node.nodeName === 'name');
+        track.insertBefore(element, name ? name.nextSibling : track.firstChild);
+
+        return new XMLSerializer().serializeToString(gpxDoc);
+    }
+
+    // URLs of every tile covering { south, west, north, east } at each zoom in range
+    static getTileUrlsForBounds(bounds, minZoom, maxZoom, template) {
+        const urls = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const northWest = TrailTrack.latLngToTilePixel(bounds.north, bounds.west, z);
+            const southEast = TrailTrack.latLngToTilePixel(bounds.south, bounds.east, z);
+            for (let x = northWest.x; x <= southEast.x; x++) {
+                for (let y = northWest.y; y <= southEast.y; y++) {
+                    urls.push(TrailTrack.buildTileUrl(template, z, x, y));
+                }
+            }
+        }
+        return urls;
+    }
+
+    // URLs of the tiles within bufferMeters of a route's line. The line is sampled
+    // every bufferMeters, so the buffered boxes around the samples overlap
+    static getTileUrlsAlongRoute(points, bufferMeters, minZoom, maxZoom, template) {
+        const urls = new Set();
+        const samples = TrailTrack.sampleRoutePoints(points, bufferMeters);
+        for (let z = minZoom; z <= maxZoom; z++) {
+            samples.forEach(([lat, lng]) => {
+                const bounds = TrailTrack.bufferedBounds([[lat, lng]], bufferMeters);
+                TrailTrack.getTileUrlsForBounds(bounds, z, z, template).forEach(url => urls.add(url));
+            });
+        }
+        return [...urls];
+    }
+
+    // Points about spacing meters apart along the route, from its start to its end.
+    // Vertices closer than spacing to the last sample are skipped, so dense tracks
+    // from GPS watches cost no more than their length needs
+    static sampleRoutePoints(points = [], spacing) {
+        const samples = [];
+        const distanceBetween = (from, to) => TrailTrack.haversineDistance(
+            { lat: from[0], lng: from[1] },
+            { lat: to[0], lng: to[1] }
+        );
+        let skipped = null;
+        points.forEach((point, index) => {
+            let previous = samples[samples.length - 1];
+            if (previous) {
+                // The last vertex still within spacing becomes the next sample
+                if (skipped && distanceBetween(previous, point) >= spacing) {
+                    previous = [skipped[0], skipped[1]];
+                    samples.push(previous);
+                }
+                skipped = null;
+                const length = distanceBetween(previous, point);
+                if (length < spacing && index < points.length - 1) {
+                    skipped = point;
+                    return;
+                }
+                const steps = Math.ceil(length / spacing);
+                for (let step = 1; step < steps; step++) {
+                    const t = step / steps;
+                    samples.push([
+                        previous[0] + (point[0] - previous[0]) * t,
+                        previous[1] + (point[1] - previous[1]) * t
+                    ]);
+                }
+            }
+            samples.push([point[0], point[1]]);
+        });
+        return samples;
+    }
+
+    // { south, west, north, east } around the points, padded by bufferMeters
+    static bufferedBounds(points, bufferMeters) {
+        const lats = points.map(point => point[0]);
+        const lngs = points.map(point => point[1]);
+        const south = Math.min(...lats);
+        const north = Math.max(...lats);
+        const latPad = bufferMeters / 111320;
+        const widestLat = Math.max(Math.abs(south), Math.abs(north));
+        const lngPad = bufferMeters / (111320 * Math.max(Math.cos((widestLat * Math.PI) / 180), 0.01));
+        return {
+            south: Math.max(south - latPad, -90),
+            west: Math.max(Math.min(...lngs) - lngPad, -180),
+            north: Math.min(north + latPad, 90),
+            east: Math.min(Math.max(...lngs) + lngPad, 180)
+        };
+    }
+
+    // Tile URLs grouped by server host, keeping their order
+    static groupTilesByHost(tiles) {
+        return tiles.reduce((groups, tileUrl) => {
+            const host = new URL(tileUrl).host;
+            (groups[host] = groups[host] || []).push(tileUrl);
+            return groups;
+        }, {});
+    }
+
+    static getTileServerLimit(host) {
+        return {
+            maxConcurrent: TrailTrack.TILE_DOWNLOAD.concurrency,
+            maxTiles: Infinity,
+            ...TrailTrack.TILE_SERVER_LIMITS[host]
+        };
+    }
+
+    // Messages for each server whose usage limit a download would exceed
+    static getTileServerLimitIssues(tiles) {
+        return Object.entries(TrailTrack.groupTilesByHost(tiles))
+            .filter(([host, urls]) => urls.length > TrailTrack.getTileServerLimit(host).maxTiles)
+            .map(([host, urls]) => `${urls.length.toLocaleString()} tiles from ${host} is over its limit of ${TrailTrack.getTileServerLimit(host).maxTiles.toLocaleString()} per download. Choose a smaller area or zoom range.`);
+    }
+
+    // Timeouts, rate limiting and server errors are worth retrying; a 404 is not
+    static isRetryableTileStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    static formatBytes(bytes) {
+        const value = Math.max(Number(bytes) || 0, 0);
+        if (value < 1024) return `${value} B`;
+        if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+        return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    static buildTileUrl(template, z, x, y) {
+        return template
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    // Web Mercator tile and pixel for a location at the given zoom
+    static latLngToTilePixel(lat, lng, zoom, tileSize = 256) {
+        const clampedLat = Math.max(Math.min(lat, 85.05112878), -85.05112878);
+        const scale = tileSize * Math.pow(2, zoom);
+        const latRad = (clampedLat * Math.PI) / 180;
+        const worldX = ((lng + 180) / 360) * scale;
+        const worldY = (0.5 - Math.log((1 + Math.sin(latRad)) / (1 - Math.sin(latRad))) / (4 * Math.PI)) * scale;
+        const maxIndex = Math.pow(2, zoom) - 1;
+        const x = Math.min(Math.max(Math.floor(worldX / tileSize), 0), maxIndex);
+        const y = Math.min(Math.max(Math.floor(worldY / tileSize), 0), maxIndex);
+
+        return {
+            x,
+            y,
+            z: zoom,
+            pixelX: Math.min(Math.floor(worldX - x * tileSize), tileSize - 1),
+            pixelY: Math.min(Math.floor(worldY - y * tileSize), tileSize - 1)
+        };
+    }
+
+    // Decode a DEM pixel: Terrarium (AWS/Tilezen) or Mapbox terrain-RGB
+    static decodeElevationPixel(r, g, b, encoding = 'terrarium') {
+        if (encoding === 'mapbox') {
+            return -10000 + ((r * 256 * 256) + (g * 256) + b) * 0.1;
+        }
+        return (r * 256 + g + b / 256) - 32768;
+    }
+
+    // Look up elevation in meters from cached (or freshly fetched) terrain tiles
+    async getElevationAt(lat, lng) {
+        const tile = this.getElevationTile(lat, lng);
+        if (!tile) {
+            return null;
+        }
+
+        return this.readElevation(await this.loadElevationTile(tile.url), tile);
+    }
+
+    // Terrain tile covering a position, with its URL and the pixel within it
+    getElevationTile(lat, lng) {
+        if (!this.elevationTileUrl || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return null;
+        }
+
+        const tile = TrailTrack.latLngToTilePixel(lat, lng, this.options.elevationTileZoom);
+        return { ...tile, url: TrailTrack.buildTileUrl(this.elevationTileUrl, tile.z, tile.x, tile.y) };
+    }
+
+    // Elevation at a tile pixel of decoded terrain tile pixels, or null
+    readElevation(pixels, tile) {
+        if (!pixels) {
+            return null;
+        }
+
+        // Tiles may be 256 or 512 pixels wide
+        const scale = pixels.width / 256;
+        const px = Math.min(Math.floor(tile.pixelX * scale), pixels.width - 1);
+        const py = Math.min(Math.floor(tile.pixelY * scale), pixels.height - 1);
+        const offset = (py * pixels.width + px) * 4;
+        const elevation = TrailTrack.decodeElevationPixel(
+            pixels.data[offset],
+            pixels.data[offset + 1],
+            pixels.data[offset + 2],
+            this.elevationTileEncoding
+        );
+
+        return Number.isFinite(elevation) ? Math.round(elevation * 10) / 10 : null;
+    }
+
+    async loadElevationTile(url) {
+        if (this.elevationTiles.has(url)) {
+            return this.elevationTiles.get(url);
+        }
+
+        const pending = this.fetchElevationTilePixels(url).catch((error) => {
+            console.warn('Could not load elevation tile', url, error);
+            return null;
+        });
+        this.elevationTiles.set(url, pending);
+
+        // Keep only a handful of decoded tiles in memory
+        if (this.elevationTiles.size > 64) {
+            const oldestKey = this.elevationTiles.keys().next().value;
+            this.elevationTiles.delete(oldestKey);
+        }
+
+        const pixels = await pending;
+        if (!pixels) {
+            // Allow a retry later, e.g. once back online
+            this.elevationTiles.delete(url);
+        }
+        return pixels;
+    }
+
+    // Read a terrain tile through the shared tile cache and decode its pixels
+    async fetchElevationTilePixels(url) {
+        const cache = 'caches' in window ? await caches.open(TrailTrack.TILE_CACHE_NAME) : null;
+        let response = cache ? await cache.match(url) : null;
+
+        if (!response) {
+            if (!navigator.onLine) {
+                return null;
+            }
+            // A slow terrain server must not hold up saving a route
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), TrailTrack.ELEVATION_TILE_TIMEOUT);
+            try {
+                response = await fetch(url, { mode: 'cors', signal: controller.signal });
+            } finally {
+                clearTimeout(timeout);
+            }
+            if (!response.ok) {
+                return null;
+            }
+            if (cache) {
+                await cache.put(url, response.clone());
+            }
+        }
+
+        const bitmap = await createImageBitmap(await response.blob());
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const imageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+
+        return {
+            width: imageData.width,
+            height: imageData.height,
+            data: imageData.data
+        };
+    }
+
+    // Add DEM elevation to [lat, lng] points that don't have one yet
+    async fillMissingElevations(points = []) {
+        const missing = points.filter(point => Array.isArray(point) && TrailTrack.getPointElevation(point) === null);
+        if (missing.length === 0) {
+            return 0;
+        }
+
+        // Load each terrain tile once, so a tile that fails isn't retried for every
+        // point in it
+        const tiles = missing.map(point => this.getElevationTile(Number(point[0]), Number(point[1])));
+        const urls = [...new Set(tiles.filter(Boolean).map(tile => tile.url))];
+        const pixelsByUrl = new Map(await Promise.all(urls.map(async url => [url, await this.loadElevationTile(url)])));
+
+        let filled = 0;
+        for (const [index, point] of missing.entries()) {
+            const tile = tiles[index];
+            const elevation = tile ? this.readElevation(pixelsByUrl.get(tile.url), tile) : null;
+            if (elevation !== null) {
+                point[2] = elevation;
+                filled++;
+            }
+        }
+
+        if (filled < missing.length) {
+            this.showToast('Elevation data not available for part of this route', 'warning');
+        }
+        return filled;
+    }
+
+    // Snapshot of a Geolocation position; missing readings are stored as null
+    static createFix(position) {
+        const coords = (position && position.coords) || {};
+        return TrailTrack.serializeFix({
+            time: position && position.timestamp ? position.timestamp : Date.now(),
+            accuracy: coords.accuracy,
+            speed: coords.speed,
+            heading: coords.heading,
+            altitude: coords.altitude,
+            altitudeAccuracy: coords.altitudeAccuracy
+        });
+    }
+
+    static serializeFix(fix) {
+        if (!fix) {
+            return null;
+        }
+
+        const toNumberOrNull = (value) => {
+            if (value === null || typeof value === 'undefined' || value === '') {
+                return null;
+            }
+            const numericValue = Number(value);
+            return Number.isFinite(numericValue) ? numericValue : null;
+        };
+
+        let time = fix.time;
+        if (time instanceof Date) {
+            time = time.getTime();
+        } else if (typeof time === 'string') {
+            time = Date.parse(time);
+        }
+
+        // Sensor readings from device files (TCX/FIT) are only stored when present
+        const heartRate = toNumberOrNull(fix.heartRate);
+        const cadence = toNumberOrNull(fix.cadence);
+
+        return {
+            time: toNumberOrNull(time),
+            accuracy: toNumberOrNull(fix.accuracy),
+            speed: toNumberOrNull(fix.speed),
+            heading: toNumberOrNull(fix.heading),
+            altitude: toNumberOrNull(fix.altitude),
+            altitudeAccuracy: toNumberOrNull(fix.altitudeAccuracy),
+            ...(heartRate !== null ? { heartRate } : {}),
+            ...(cadence !== null ? { cadence } : {})
+        };
+    }
+
+    // A track counts as recorded when at least two points carry a timestamp
+    static isRecordedTrack(fixes) {
+        if (!Array.isArray(fixes)) {
+            return false;
+        }
+        return fixes.filter(fix => fix && Number.isFinite(fix.time)).length >= 2;
+    }
+
+    // One step of a simple Kalman filter for GPS positions: the estimate's
+    // variance grows with time (assumed walking/cycling speed noise) and each
+    // fix pulls it closer in proportion to the fix's accuracy.
+    static kalmanStep(state, measurement, processNoise = 3) {
+        const accuracy = Math.max(measurement.accuracy || 1, 1);
+        if (!state) {
+            return {
+                lat: measurement.lat,
+                lng: measurement.lng,
+                variance: accuracy * accuracy,
+                time: measurement.time
+            };
+        }
+
+        const elapsedSeconds = Math.max((measurement.time - state.time) / 1000, 0);
+        const variance = state.variance + elapsedSeconds * processNoise * processNoise;
+        const gain = variance / (variance + accuracy * accuracy);
+
+        return {
+            lat: state.lat + gain * (measurement.lat - state.lat),
+            lng: state.lng + gain * (measurement.lng - state.lng),
+            variance: (1 - gain) * variance,
+            time: measurement.time
+        };
+    }
+
+    // Elapsed/moving time (ms) and speeds (m/s) from index-aligned points and
+    // fixes. Segments slower than stoppedSpeed count as paused, so standing
+    // at a junction doesn't drag the average down.
+    static calculateActivityStats(points = [], fixes = [], options = {}) {
+        const stoppedSpeed = options.stoppedSpeed || 0.5;
+        const stats = {
+            elapsedTime: 0,
+            movingTime: 0,
+            movingDistance: 0,
+            currentSpeed: 0,
+            averageSpeed: 0,
+            maxSpeed: 0,
+            isPaused: false,
+            averageHeartRate: null,
+            maxHeartRate: null,
+            averageCadence: null
+        };
+
+        if (!Array.isArray(points) || !Array.isArray(fixes)) {
+            return stats;
+        }
+
+        let firstTime = null;
+        let previousIndex = null;
+        for (let i = 0; i < points.length; i++) {
+            const fix = fixes[i];
+            if (!fix || !Number.isFinite(fix.time)) {
+                continue;
+            }
+
+            if (firstTime === null) {
+                firstTime = fix.time;
+            }
+            stats.elapsedTime = fix.time - firstTime;
+
+            if (previousIndex !== null) {
+                const duration = (fix.time - fixes[previousIndex].time) / 1000;
+                const distance = TrailTrack.haversineDistance(
+                    TrailTrack.normalizeLatLng(points[previousIndex]),
+                    TrailTrack.normalizeLatLng(points[i])
+                );
+                const segmentSpeed = duration > 0 ? distance / duration : 0;
+                const speed = Number.isFinite(fix.speed) ? fix.speed : segmentSpeed;
+
+                stats.isPaused = segmentSpeed < stoppedSpeed;
+                if (!stats.isPaused) {
+                    stats.movingTime += duration * 1000;
+                    stats.movingDistance += distance;
+                }
+                stats.currentSpeed = stats.isPaused ? 0 : speed;
+                stats.maxSpeed = Math.max(stats.maxSpeed, speed);
+            }
+            previousIndex = i;
+        }
+
+        stats.averageSpeed = stats.movingTime > 0 ? stats.movingDistance / (stats.movingTime / 1000) : 0;
+
+        const heartRates = fixes.filter(fix => fix && Number.isFinite(fix.heartRate)).map(fix => fix.heartRate);
+        if (heartRates.length > 0) {
+            stats.averageHeartRate = Math.round(heartRates.reduce((sum, value) => sum + value, 0) / heartRates.length);
+            stats.maxHeartRate = Math.max(...heartRates);
+        }
+        // Zero cadence means coasting or standing, so it doesn't count towards the average
+        const cadences = fixes.filter(fix => fix && fix.cadence > 0).map(fix => fix.cadence);
+        if (cadences.length > 0) {
+            stats.averageCadence = Math.round(cadences.reduce((sum, value) => sum + value, 0) / cadences.length);
+        }
+        return stats;
+    }
+
+    static formatActivitySummary(route) {
+        if (route.stats) {
+            const heartRate = route.stats.averageHeartRate ? ` · ♥ ${route.stats.averageHeartRate} bpm` : '';
+            return `${TrailTrack.formatDuration(route.stats.movingTime)} · ${TrailTrack.formatSpeed(route.stats.averageSpeed)}${heartRate}`;
+        }
+        return TrailTrack.formatDuration(TrailTrack.getRouteDuration(route));
+    }
+
+    static formatSpeed(speedMetersPerSecond) {
+        const numericSpeed = Number(speedMetersPerSecond);
+        const sanitizedSpeed = Number.isFinite(numericSpeed) ? Math.max(numericSpeed, 0) : 0;
+        return `${(sanitizedSpeed * 3.6).toFixed(1)} km/h`;
+    }
+
+    // Minutes per kilometer for a speed in m/s
+    static formatPace(speedMetersPerSecond) {
+        const numericSpeed = Number(speedMetersPerSecond);
+        if (!Number.isFinite(numericSpeed) || numericSpeed <= 0) {
+            return '--:-- /km';
+        }
+        return `${TrailTrack.formatDuration(1000000 / numericSpeed)} /km`;
+    }
+
+    static hasCompleteTimes(route) {
+        return Boolean(route) &&
+            Array.isArray(route.fixes) &&
+            route.fixes.length === route.points.length &&
+            route.fixes.every(fix => fix && Number.isFinite(fix.time));
+    }
+
+    static getRouteDuration(route) {
+        if (!route || !TrailTrack.isRecordedTrack(route.fixes)) {
+            return 0;
+        }
+        const times = route.fixes.filter(fix => fix && Number.isFinite(fix.time)).map(fix => fix.time);
+        return Math.max(...times) - Math.min(...times);
+    }
+
+    static formatDuration(durationMs) {
+        const totalSeconds = Math.max(Math.round((Number(durationMs) || 0) / 1000), 0);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (value) => String(value).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+    }
+
+    // Save route to IndexedDB
+    // A new original geometry set on route.original (or null to drop the stored
+    // one) is written to the originals store with the route, then released
+    async saveRoute(route) {
+        if (route.original === undefined) {
+            await this.db.put('routes', TrailTrack.serializeRoute(route));
+            return;
+        }
+
+        const original = route.original && Array.isArray(route.original.points) && route.original.points.length > 0
+            ? route.original
+            : null;
+        const routeData = TrailTrack.serializeRoute({ ...route, original, originalPointCount: null });
+        const tx = this.db.transaction(['routes', 'originals'], 'readwrite');
+        await Promise.all([
+            tx.objectStore('routes').put(routeData),
+            original
+                ? tx.objectStore('originals').put({ routeId: routeData.id, ...TrailTrack.serializeOriginal(original) })
+                : tx.objectStore('originals').delete(routeData.id),
+            tx.done
+        ]);
+
+        delete route.original;
+        if (routeData.originalPointCount) {
+            route.originalPointCount = routeData.originalPointCount;
+        } else {
+            delete route.originalPointCount;
+        }
+    }
+
+    // The stored full-resolution geometry of a simplified route, or null
+    async loadRouteOriginal(route) {
+        if (!route.originalPointCount) {
+            return null;
+        }
+        const record = await this.db.get('originals', route.id);
+        return record ? { points: record.points, fixes: record.fixes || [] } : null;
+    }
+
+    // Load routes from IndexedDB
+    async loadRoutes() {
+        this.routes = await this.db.getAll('routes');
+        this.renderRoutesList();
+        
+        // Show all routes on map by default (or selected route if one is selected)
+        if (this.selectedRouteId) {
+            const selectedRoute = this.routes.find(r => r.id === this.selectedRouteId);
+            if (selectedRoute) {
+                // Show only selected route
+                this.routes.forEach(route => {
+                    if (route.points && route.points.length > 0) {
+                        if (route.id === this.selectedRouteId) {
+                            route.polyline = L.polyline(route.points, {
+                                color: '#facc15', // Bright yellow for selected
+                                weight: 6,
+                                opacity: 1
+                            }).addTo(this.map);
+                        }
+                        // Don't add other routes to map when one is selected
+                    }
+                });
+            } else {
+                // Selected route not found, show all
+                this.selectedRouteId = null;
+                this.showAllRoutes();
+            }
+        } else {
+            // Show all routes
+            this.showAllRoutes();
+        }
+    }
+
+    // Render routes list
+    renderRoutesList() {
+        const list = document.getElementById('routes-list');
+        if (!list) {
+            return;
+        }
+        list.innerHTML = '';
+        this.renderRouteFilters();
 
         if (this.routes.length === 0) {
             list.innerHTML = '<p class="text-gray-500 dark:text-gray-400 text-sm">No routes yet. Create your first route!</p>';
             return;
         }
 
-        const filteredRoutes = this.getFilteredRoutes();
+        const filteredRoutes = this.getFilteredRoutes();
+
+        if (filteredRoutes.length === 0) {
+            if (this.routeFilters.area === 'near-me' && !this.currentLocation) {
+                list.innerHTML = '<p class="text-gray-500 dark:text-gray-400 text-sm">Waiting for your location to find routes near you. Turn on location to use this filter.</p>';
+                return;
+            }
+            list.innerHTML = this.hasActiveRouteFilters()
+                ? '<p class="text-gray-500 dark:text-gray-400 text-sm">No routes match your search and filters. Try clearing some filters.</p>'
+                : '<p class="text-gray-500 dark:text-gray-400 text-sm">No routes match your search. Try a different term.</p>';
+            return;
+        }
+
+        const actionButtonClass = 'text-xs px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 dark:bg-gray-600 dark:hover:bg-gray-500 dark:text-white';
+
+        filteredRoutes.forEach(route => {
+            const isSelected = this.selectedRouteId === route.id;
+            const isExpanded = this.expandedRouteActionsId === route.id;
+            const isSplitting = Boolean(this.routeSplit && this.routeSplit.routeId === route.id);
+            const waypointCount = this.getRouteWaypoints(route.id).length;
+            const activityType = TrailTrack.ACTIVITY_TYPES[route.activityType];
+            const routeEl = document.createElement('div');
+            routeEl.className = `bg-gray-50 dark:bg-gray-700 p-3 rounded-lg cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-600 ${isSelected ? 'ring-2 ring-green-500 dark:ring-green-400' : ''}`;
+            // Names and ids come from imported files, so they are escaped
+            const routeId = TrailTrack.escapeXml(route.id);
+            routeEl.innerHTML = `
+                <div class="flex items-start justify-between">
+                    <div class="flex-1" data-route-id="${routeId}">
+                        <h3 class="font-semibold dark:text-white">${TrailTrack.escapeXml(route.name)}${isSelected ? ' <span class="text-green-600 dark:text-green-400">(Selected)</span>' : ''}</h3>
+                        ${route.description ? `<p class="route-description text-xs text-gray-500 dark:text-gray-400 line-clamp-2"></p>` : ''}
+                        <span class="inline-block text-[10px] font-semibold uppercase tracking-wide px-1.5 py-0.5 rounded ${route.type === 'activity' ? 'bg-orange-100 text-orange-700 dark:bg-orange-900/50 dark:text-orange-300' : 'bg-blue-100 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300'}">${route.type === 'activity' ? 'Recorded' : 'Planned'}</span>
+                        ${activityType ? `<span class="inline-block text-[10px] font-semibold uppercase tracking-wide px-1.5 py-0.5 rounded bg-green-100 text-green-700 dark:bg-green-900/50 dark:text-green-300">${activityType.icon} ${activityType.label}</span>` : ''}
+                        ${(route.tags || []).length > 0 ? '<span class="route-tags inline-flex flex-wrap gap-1"></span>' : ''}
+                        <p class="text-sm text-gray-600 dark:text-gray-300">
+                            ${TrailTrack.formatDistance(route.distance)}${route.type === 'activity' ? ` · ${TrailTrack.formatActivitySummary(route)}` : ''}${route.elevationGain > 0 ? ` · ↑ ${TrailTrack.formatElevation(route.elevationGain)} ↓ ${TrailTrack.formatElevation(route.elevationLoss)}` : ''}${waypointCount > 0 ? ` · ${waypointCount} waypoint${waypointCount === 1 ? '' : 's'}` : ''}
+                        </p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">
+                            ${new Date(route.created).toLocaleDateString()}
+                        </p>
+                    </div>
+                    <div class="flex gap-1">
+                        <button class="route-view-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded ${isSelected ? 'bg-green-100 dark:bg-green-900' : ''}" data-id="${routeId}" title="${isSelected ? 'Deselect this route (show all)' : 'Show only this route on the map'}" aria-label="${isSelected ? 'Deselect this route' : 'Show only this route on the map'}">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path>
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
+                            </svg>
+                        </button>
+                        <button class="route-navigate-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded" data-id="${routeId}" title="Navigate along this route" aria-label="Navigate along this route">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"></path>
+                            </svg>
+                        </button>
+                        <button class="route-cues-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded ${this.cueSheetRouteId === route.id ? 'bg-green-100 dark:bg-green-900' : ''}" data-id="${routeId}" title="Show turn-by-turn cue sheet" aria-label="Show turn-by-turn cue sheet">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h7"></path>
+                            </svg>
+                        </button>
+                        <button class="route-edit-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded" data-id="${routeId}" title="Edit this route's points" aria-label="Edit this route's points">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"></path>
+                            </svg>
+                        </button>
+                        <button class="route-export-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded" data-id="${routeId}" title="Export this route as a GPX file" aria-label="Export this route as a GPX file">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                            </svg>
+                        </button>
+                        <button class="route-export-kml-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded" data-id="${routeId}" title="Export this route as a KML file (Google Earth)" aria-label="Export this route as a KML file">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                            </svg>
+                        </button>
+                        <button class="route-delete-btn p-1 hover:bg-red-200 dark:hover:bg-red-800 rounded" data-id="${routeId}" title="Delete this route" aria-label="Delete this route">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                            </svg>
+                        </button>
+                        <button class="route-more-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded ${isExpanded ? 'bg-gray-200 dark:bg-gray-500' : ''}" data-id="${routeId}" title="More actions" aria-label="More actions" aria-expanded="${isExpanded}">
+                            <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M12 7a2 2 0 110-4 2 2 0 010 4zm0 7a2 2 0 110-4 2 2 0 010 4zm0 7a2 2 0 110-4 2 2 0 010 4z"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                <div class="route-more-actions ${isExpanded ? 'flex' : 'hidden'} flex-wrap gap-2 mt-2">
+                    <button class="route-details-btn ${actionButtonClass}" title="Edit this route's description, trail notes, photos, activity type and tags">Details…</button>
+                    <button class="route-reverse-btn ${actionButtonClass}" title="Reverse the direction of this route">Reverse</button>
+                    <button class="route-split-btn ${actionButtonClass}" title="Click a point on the map to split this route in two">${isSplitting ? 'Cancel Split' : 'Split'}</button>
+                    <button class="route-join-btn ${actionButtonClass}" title="Append another route to the end of this one">Join…</button>
+                    <button class="route-export-geojson-btn ${actionButtonClass}" title="Export this route as a GeoJSON FeatureCollection">Export GeoJSON</button>
+                    <button class="route-simplify-btn ${actionButtonClass}" title="Simplify this route (${(route.points || []).length} points${route.originalPointCount ? `, original ${route.originalPointCount}` : ''})">Simplify…</button>
+                    <button class="route-offline-btn ${actionButtonClass}" title="Download the map tiles along this route for offline use">Make Available Offline…</button>
+                </div>
+            `;
+            list.appendChild(routeEl);
+
+            const descriptionEl = routeEl.querySelector('.route-description');
+            if (descriptionEl) {
+                descriptionEl.textContent = route.description;
+            }
+
+            // Tags are free text, so add them as text nodes
+            const tagsEl = routeEl.querySelector('.route-tags');
+            if (tagsEl) {
+                route.tags.forEach(tag => {
+                    const tagEl = document.createElement('span');
+                    tagEl.className = 'text-[10px] px-1.5 py-0.5 rounded bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200';
+                    tagEl.textContent = `#${tag}`;
+                    tagsEl.appendChild(tagEl);
+                });
+            }
+
+            if (this.cueSheetRouteId === route.id) {
+                routeEl.appendChild(this.renderCueSheet(route));
+            }
+
+            // Add event listeners
+            routeEl.querySelector('.route-view-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.viewRoute(route.id);
+            });
+            routeEl.querySelector('.route-navigate-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startNavigation(route.id);
+            });
+            routeEl.querySelector('.route-cues-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleCueSheet(route.id);
+            });
+            routeEl.querySelector('.route-edit-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.startRouteEdit(route.id);
+            });
+            routeEl.querySelector('.route-export-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.exportGPX(route.id);
+            });
+            routeEl.querySelector('.route-export-kml-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.exportKML(route.id);
+            });
+            routeEl.querySelector('.route-delete-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteRoute(route.id);
+            });
+            routeEl.querySelector('.route-more-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.expandedRouteActionsId = isExpanded ? null : route.id;
+                this.renderRoutesList();
+            });
+            routeEl.querySelector('.route-details-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.editRouteDetails(route.id);
+            });
+            routeEl.querySelector('.route-reverse-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.reverseRoute(route.id);
+            });
+            routeEl.querySelector('.route-split-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (isSplitting) {
+                    this.cancelRouteSplit();
+                } else {
+                    this.startRouteSplit(route.id);
+                }
+            });
+            routeEl.querySelector('.route-join-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.promptJoinRoutes(route.id);
+            });
+            routeEl.querySelector('.route-export-geojson-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.exportGeoJSON(route.id);
+            });
+            routeEl.querySelector('.route-simplify-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.simplifyRoute(route.id);
+            });
+            routeEl.querySelector('.route-offline-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadRouteForOffline(route.id);
+            });
+            
+            // Make the route item clickable to select/deselect
+            routeEl.querySelector('[data-route-id]').addEventListener('click', () => {
+                this.viewRoute(route.id);
+            });
+        });
+    }
+
+    getFilteredRoutes() {
+        const query = (this.routeSearchQuery || '').trim().toLowerCase();
+        if (this.routeFilters.area === 'near-me' && !this.currentLocation) {
+            return [];
+        }
+
+        const filters = { ...this.routeFilters, ...this.getSpatialFilter() };
+        const routes = this.routes.filter(route => {
+            const text = [route.name, route.description, route.notes]
+                .map(value => (value || '').toString().toLowerCase());
+            return (!query || text.some(value => value.includes(query))) && TrailTrack.matchesRouteFilters(route, filters);
+        });
+        return TrailTrack.sortRoutes(routes, this.routeSort, this.routeLastViewed);
+    }
+
+    // Bounds or centre/radius for the area filter, in the shape matchesRouteFilters expects
+    getSpatialFilter() {
+        if (this.routeFilters.area === 'in-view' && this.map) {
+            const bounds = this.map.getBounds();
+            return {
+                bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() }
+            };
+        }
+        if (this.routeFilters.area === 'near-me' && this.currentLocation) {
+            const [lat, lng] = this.currentLocation;
+            return { near: { lat, lng, radius: this.nearMeRadiusKm * 1000 } };
+        }
+        return {};
+    }
+
+    // Re-filter "near me" once the user has moved far enough to matter
+    refreshNearMeRoutes() {
+        if (this.routeFilters.area !== 'near-me' || !this.currentLocation) {
+            return;
+        }
+        const [lat, lng] = this.currentLocation;
+        if (this.nearMeFilterOrigin &&
+            TrailTrack.haversineDistance(this.nearMeFilterOrigin, { lat, lng }) < TrailTrack.NEAR_ME_REFRESH_DISTANCE) {
+            return;
+        }
+        this.nearMeFilterOrigin = { lat, lng };
+        this.renderRoutesList();
+    }
+
+    setRouteSort(sort) {
+        this.routeSort = TrailTrack.ROUTE_SORTS[sort] ? sort : 'created-desc';
+        localStorage.setItem('routeSort', this.routeSort);
+        this.renderRoutesList();
+    }
+
+    setNearMeRadius(km) {
+        if (!Number.isFinite(km) || km <= 0) {
+            return;
+        }
+        this.nearMeRadiusKm = km;
+        localStorage.setItem('nearMeRadius', km.toString());
+        this.renderRoutesList();
+    }
+
+    hasActiveRouteFilters() {
+        return Object.values(this.routeFilters).some(value => value !== null && value !== '');
+    }
+
+    setRouteFilter(name, value) {
+        this.routeFilters[name] = value === '' || value === undefined ? null : value;
+        this.renderRoutesList();
+    }
+
+    clearRouteFilters() {
+        Object.keys(this.routeFilters).forEach(name => {
+            this.routeFilters[name] = null;
+        });
+        ['route-filter-distance-min', 'route-filter-distance-max', 'route-filter-created-from', 'route-filter-created-to', 'route-filter-area'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+            }
+        });
+        this.renderRoutesList();
+    }
+
+    // Activity type and tag chips; tags come from the routes in the library
+    renderRouteFilters() {
+        const typeContainer = document.getElementById('route-type-filters');
+        const tagContainer = document.getElementById('route-tag-filters');
+        const clearBtn = document.getElementById('clear-route-filters');
+        const chipClass = (active) => `text-xs px-2 py-1 rounded-full border ${active
+            ? 'bg-green-600 border-green-600 text-white'
+            : 'border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700'}`;
+
+        if (typeContainer) {
+            typeContainer.innerHTML = '';
+            Object.entries(TrailTrack.ACTIVITY_TYPES).forEach(([type, definition]) => {
+                const active = this.routeFilters.activityType === type;
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = chipClass(active);
+                chip.textContent = `${definition.icon} ${definition.label}`;
+                chip.setAttribute('aria-pressed', String(active));
+                chip.addEventListener('click', () => this.setRouteFilter('activityType', active ? null : type));
+                typeContainer.appendChild(chip);
+            });
+        }
+
+        if (tagContainer) {
+            tagContainer.innerHTML = '';
+            const tags = TrailTrack.normalizeTags(this.routes.flatMap(route => route.tags || []))
+                .sort((a, b) => a.localeCompare(b));
+            if (this.routeFilters.tag && !tags.some(tag => tag.toLowerCase() === this.routeFilters.tag.toLowerCase())) {
+                // The filtered tag no longer exists on any route
+                this.routeFilters.tag = null;
+            }
+            tags.forEach(tag => {
+                const active = Boolean(this.routeFilters.tag) && this.routeFilters.tag.toLowerCase() === tag.toLowerCase();
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = chipClass(active);
+                chip.textContent = `#${tag}`;
+                chip.setAttribute('aria-pressed', String(active));
+                chip.addEventListener('click', () => this.setRouteFilter('tag', active ? null : tag));
+                tagContainer.appendChild(chip);
+            });
+            tagContainer.classList.toggle('hidden', tags.length === 0);
+        }
+
+        if (clearBtn) {
+            clearBtn.classList.toggle('hidden', !this.hasActiveRouteFilters());
+        }
+
+        const radiusField = document.getElementById('near-me-radius-field');
+        if (radiusField) {
+            radiusField.classList.toggle('hidden', this.routeFilters.area !== 'near-me');
+        }
+    }
+
+    // Apply edits from the route details panel: activity type, tags, description,
+    // trail notes, and photos added or removed
+    async updateRouteDetails(routeId, details) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route) return;
+
+        const { addedPhotos = [], removedPhotoIds = [] } = details;
+        route.activityType = TrailTrack.ACTIVITY_TYPES[details.activityType] ? details.activityType : null;
+        route.tags = TrailTrack.normalizeTags(details.tags);
+        if (details.description !== undefined) {
+            route.description = details.description.trim();
+        }
+        if (details.notes !== undefined) {
+            route.notes = details.notes.trim();
+        }
+        await this.saveRoute(route);
+
+        for (const photo of addedPhotos) {
+            await this.db.put('photos', { ...photo, routeId });
+        }
+        await Promise.all(removedPhotoIds.map(photoId => this.db.delete('photos', photoId)));
+        if (addedPhotos.length > 0 || removedPhotoIds.length > 0) {
+            this.renderPhotos();
+        }
+        this.renderRoutesList();
+    }
+
+    async editRouteDetails(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route) return;
+
+        const photos = await this.getRoutePhotos(routeId);
+        const details = await this.showRouteDetailsDialog(route, photos);
+        if (!details) return;
+
+        await this.updateRouteDetails(routeId, details);
+        this.showToast('Route updated', 'success');
+    }
+
+    getRoutePhotos(routeId) {
+        return this.db.getAllFromIndex('photos', 'routeId', routeId);
+    }
+
+    // Photo record for an image file, geotagged and dated from its EXIF data when present
+    async createPhoto(file, index = 0) {
+        let exif = { lat: null, lng: null, takenAt: null };
+        try {
+            exif = TrailTrack.parseExif(await this.readFileAsArrayBuffer(file));
+        } catch (error) {
+            console.error(`Could not read EXIF data (${file.name}):`, error);
+        }
+
+        return {
+            id: `photo-${Date.now()}-${index}`,
+            routeId: null,
+            name: file.name,
+            type: file.type || 'image/jpeg',
+            blob: file,
+            lat: exif.lat,
+            lng: exif.lng,
+            takenAt: exif.takenAt,
+            created: new Date().toISOString()
+        };
+    }
+
+    // Geotagged photos of the selected route as markers; clicking one shows the image
+    async renderPhotos() {
+        if (!this.map) {
+            return;
+        }
+
+        if (!this.photoLayer) {
+            this.photoLayer = L.layerGroup().addTo(this.map);
+        }
+        this.photoLayer.clearLayers();
+        this.photoUrls.forEach(url => URL.revokeObjectURL(url));
+        this.photoUrls = [];
+
+        const routeId = this.selectedRouteId;
+        if (!routeId) {
+            return;
+        }
+
+        const photos = await this.getRoutePhotos(routeId);
+        // The selection may have changed while the photos were loading
+        if (this.selectedRouteId !== routeId) {
+            return;
+        }
+
+        photos
+            .filter(photo => Number.isFinite(photo.lat) && Number.isFinite(photo.lng))
+            .forEach(photo => {
+                const url = URL.createObjectURL(photo.blob);
+                this.photoUrls.push(url);
+
+                const marker = L.marker([photo.lat, photo.lng], {
+                    icon: L.divIcon({
+                        className: 'photo-marker',
+                        html: '<div class="w-7 h-7 flex items-center justify-center bg-white dark:bg-gray-800 rounded-full border-2 border-blue-600 shadow text-sm">📷</div>',
+                        iconSize: [28, 28],
+                        iconAnchor: [14, 14]
+                    }),
+                    title: photo.name
+                });
+                const image = document.createElement('img');
+                image.src = url;
+                image.alt = photo.name;
+                image.className = 'max-w-[240px] max-h-[240px] rounded';
+                marker.bindPopup(image, { maxWidth: 260 });
+                this.photoLayer.addLayer(marker);
+            });
+    }
+
+    // Route details panel. Resolves with { activityType, tags, description, notes,
+    // addedPhotos, removedPhotoIds }, or null when cancelled
+    async showRouteDetailsDialog(route, photos = []) {
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('route-details-dialog-overlay');
+            const titleEl = document.getElementById('route-details-dialog-title');
+            const typeSelect = document.getElementById('route-activity-type-select');
+            const tagsInput = document.getElementById('route-tags-input');
+            const tagOptions = document.getElementById('route-tag-options');
+            const descriptionInput = document.getElementById('route-description-input');
+            const descriptionPreview = document.getElementById('route-description-preview');
+            const notesInput = document.getElementById('route-notes-input');
+            const photoList = document.getElementById('route-photos-list');
+            const photoInput = document.getElementById('route-photo-input');
+            const confirmBtn = document.getElementById('route-details-dialog-confirm');
+            const cancelBtn = document.getElementById('route-details-dialog-cancel');
+
+            if (!overlay) {
+                resolve(null);
+                return;
+            }
+
+            titleEl.textContent = route.name;
+            typeSelect.innerHTML = '<option value="">No activity type</option>';
+            Object.entries(TrailTrack.ACTIVITY_TYPES).forEach(([type, definition]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = `${definition.icon} ${definition.label}`;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = route.activityType || '';
+            tagsInput.value = (route.tags || []).join(', ');
+            if (tagOptions) {
+                tagOptions.innerHTML = '';
+                TrailTrack.normalizeTags(this.routes.flatMap(r => r.tags || [])).forEach(tag => {
+                    const option = document.createElement('option');
+                    option.value = tag;
+                    tagOptions.appendChild(option);
+                });
+            }
+            descriptionInput.value = route.description || '';
+            notesInput.value = route.notes || '';
+
+            const updatePreview = () => {
+                descriptionPreview.innerHTML = TrailTrack.renderMarkdown(descriptionInput.value);
+                descriptionPreview.classList.toggle('hidden', !descriptionInput.value.trim());
+            };
+            updatePreview();
+
+            // Photo changes are only written when the panel is saved
+            let currentPhotos = [...photos];
+            const addedPhotos = [];
+            const removedPhotoIds = [];
+            let photoUrls = [];
+            const renderPhotoList = () => {
+                photoUrls.forEach(url => URL.revokeObjectURL(url));
+                photoUrls = [];
+                photoList.innerHTML = '';
+                currentPhotos.forEach(photo => {
+                    const url = URL.createObjectURL(photo.blob);
+                    photoUrls.push(url);
+                    const item = document.createElement('div');
+                    item.className = 'relative';
+                    item.innerHTML = `
+                        <img class="w-20 h-20 object-cover rounded-lg" alt="">
+                        <span class="absolute bottom-1 left-1 text-xs" title="${Number.isFinite(photo.lat) ? 'Shown on the map' : 'No location in photo'}">${Number.isFinite(photo.lat) ? '📍' : ''}</span>
+                        <button type="button" class="absolute top-1 right-1 w-5 h-5 rounded-full bg-black bg-opacity-60 text-white text-xs leading-none" title="Remove photo" aria-label="Remove photo">×</button>
+                    `;
+                    const image = item.querySelector('img');
+                    image.src = url;
+                    image.alt = photo.name;
+                    item.querySelector('button').addEventListener('click', () => {
+                        currentPhotos = currentPhotos.filter(p => p !== photo);
+                        const addedIndex = addedPhotos.indexOf(photo);
+                        if (addedIndex === -1) {
+                            removedPhotoIds.push(photo.id);
+                        } else {
+                            addedPhotos.splice(addedIndex, 1);
+                        }
+                        renderPhotoList();
+                    });
+                    photoList.appendChild(item);
+                });
+            };
+            renderPhotoList();
+
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                typeSelect.focus();
+            });
+
+            const handlePhotoInput = async (e) => {
+                const files = Array.from(e.target.files || []);
+                e.target.value = '';
+                for (const [index, file] of files.entries()) {
+                    if (file.size > TrailTrack.MAX_PHOTO_BYTES) {
+                        this.showToast(`${file.name} is too large to attach`, 'error');
+                        continue;
+                    }
+                    const photo = await this.createPhoto(file, addedPhotos.length + index);
+                    addedPhotos.push(photo);
+                    currentPhotos.push(photo);
+                }
+                renderPhotoList();
+            };
+
+            const handleConfirm = () => {
+                const details = {
+                    activityType: typeSelect.value || null,
+                    tags: TrailTrack.normalizeTags(tagsInput.value),
+                    description: descriptionInput.value,
+                    notes: notesInput.value,
+                    addedPhotos: [...addedPhotos],
+                    removedPhotoIds: [...removedPhotoIds]
+                };
+                cleanup();
+                resolve(details);
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                } else if (e.key === 'Enter' && e.target === tagsInput) {
+                    e.preventDefault();
+                    handleConfirm();
+                }
+            };
+
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                photoUrls.forEach(url => URL.revokeObjectURL(url));
+                descriptionInput.removeEventListener('input', updatePreview);
+                photoInput.removeEventListener('change', handlePhotoInput);
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                document.removeEventListener('keydown', handleKeydown);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            descriptionInput.addEventListener('input', updatePreview);
+            photoInput.addEventListener('change', handlePhotoInput);
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            document.addEventListener('keydown', handleKeydown);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
+    }
+
+    // View route on map - toggle selection
+    viewRoute(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route) return;
+
+        // Changing the selection abandons unsaved edits
+        if (this.routeEdit) {
+            this.cancelRouteEdit();
+        }
+
+        // If clicking the same route, deselect it (show all routes)
+        if (this.selectedRouteId === routeId) {
+            this.selectedRouteId = null;
+            this.hideElevationProfile();
+            this.stopNavigation();
+            this.showAllRoutes();
+            this.renderRoutesList();
+            return;
+        }
+
+        // Set selected route
+        this.selectedRouteId = routeId;
+        this.setRouteLastViewed(routeId, new Date().toISOString());
+
+        // Hide all routes first
+        this.routes.forEach(r => {
+            if (r.polyline) {
+                this.map.removeLayer(r.polyline);
+            }
+        });
+
+        // Show only the selected route
+        if (route.points && route.points.length > 0) {
+            // Recreate polyline if needed or if it was removed
+            if (!route.polyline || !this.map.hasLayer(route.polyline)) {
+                route.polyline = L.polyline(route.points, {
+                    color: '#facc15', // Bright yellow for selected route
+                    weight: 6,
+                    opacity: 1
+                }).addTo(this.map);
+            } else {
+                // Update style if polyline exists
+                route.polyline.setStyle({ color: '#facc15', opacity: 1, weight: 6 });
+            }
+            this.map.fitBounds(route.polyline.getBounds());
+        }
+
+        this.showElevationProfile(route);
+        this.renderWaypoints();
+        this.renderPhotos();
+        this.renderRoutesList();
+        document.getElementById('sidebar').classList.add('-translate-x-full');
+    }
+
+    // Edit a saved route: drag vertices, click midpoints to insert, and
+    // double-click or long-press a vertex to delete it
+    startRouteEdit(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points)) {
+            return;
+        }
+
+        if (this.isDrawingRoute) {
+            this.showToast('Finish or cancel the route you are drawing first', 'warning');
+            return;
+        }
+
+        if (route.points.length > TrailTrack.MAX_EDITABLE_POINTS) {
+            this.showToast(
+                `Route has too many points to edit on the map (${route.points.length.toLocaleString()}, up to ${TrailTrack.MAX_EDITABLE_POINTS.toLocaleString()}). Use Simplify… in its more-actions menu (⋮) first`,
+                'warning'
+            );
+            return;
+        }
+
+        if (this.selectedRouteId !== routeId) {
+            this.viewRoute(routeId);
+        } else if (this.routeEdit) {
+            this.cancelRouteEdit();
+        }
+        this.stopNavigation();
+
+        this.routeEdit = {
+            route,
+            originalPoints: route.points.map(point => [...point]),
+            originalFixes: Array.isArray(route.fixes) ? [...route.fixes] : null,
+            originalName: route.name,
+            vertexMarkers: [],
+            midpointMarkers: []
+        };
+
+        const controls = document.getElementById('route-edit-controls');
+        if (controls) {
+            controls.classList.remove('hidden');
+        }
+        const nameInput = document.getElementById('route-edit-name-input');
+        if (nameInput) {
+            nameInput.value = route.name;
+        }
+        document.getElementById('sidebar').classList.add('-translate-x-full');
+
+        this.clearHistory();
+        this.refreshEditedRoute();
+        this.showToast('Drag points to move them, click a midpoint to insert one, double-click a point to delete it', 'info');
+    }
+
+    renderRouteEditHandles() {
+        if (!this.routeEdit || !this.map) {
+            return;
+        }
+
+        this.clearRouteEditHandles();
+
+        const { route } = this.routeEdit;
+        const points = route.points;
+
+        points.forEach((point, index) => {
+            const marker = L.marker(L.latLng(point[0], point[1]), {
+                draggable: true,
+                icon: L.divIcon({
+                    className: 'route-marker',
+                    html: '<div class="w-3.5 h-3.5 bg-white rounded-full border-2 border-green-600 shadow"></div>',
+                    iconSize: [14, 14]
+                }),
+                zIndexOffset: 500
+            }).addTo(this.map);
+
+            marker.on('drag', (e) => {
+                // Preview only; the move is committed on dragend
+                const latlngs = points.map(p => L.latLng(p[0], p[1]));
+                latlngs[index] = e.target.getLatLng();
+                if (route.polyline) {
+                    route.polyline.setLatLngs(latlngs);
+                }
+            });
+            marker.on('dragend', (e) => {
+                this.moveRouteVertex(index, e.target.getLatLng());
+            });
+            const handleDelete = (e) => {
+                L.DomEvent.stop(e);
+                this.deleteRouteVertex(index);
+            };
+            marker.on('dblclick', handleDelete);
+            marker.on('contextmenu', handleDelete);
+
+            this.routeEdit.vertexMarkers.push(marker);
+        });
+
+        for (let i = 1; i < points.length; i++) {
+            const start = points[i - 1];
+            const end = points[i];
+            const midpoint = L.latLng((start[0] + end[0]) / 2, (start[1] + end[1]) / 2);
+            const marker = L.marker(midpoint, {
+                draggable: true,
+                opacity: 0.6,
+                icon: L.divIcon({
+                    className: 'route-marker',
+                    html: '<div class="w-2.5 h-2.5 bg-green-600 rounded-full border border-white"></div>',
+                    iconSize: [10, 10]
+                })
+            }).addTo(this.map);
+
+            marker.on('click', (e) => {
+                L.DomEvent.stop(e);
+                this.insertRouteVertex(i, midpoint);
+            });
+            marker.on('dragend', (e) => {
+                this.insertRouteVertex(i, e.target.getLatLng());
+            });
+
+            this.routeEdit.midpointMarkers.push(marker);
+        }
+    }
+
+    clearRouteEditHandles() {
+        if (!this.routeEdit || !this.map) {
+            return;
+        }
+
+        [...this.routeEdit.vertexMarkers, ...this.routeEdit.midpointMarkers].forEach((marker) => {
+            this.map.removeLayer(marker);
+        });
+        this.routeEdit.vertexMarkers = [];
+        this.routeEdit.midpointMarkers = [];
+    }
+
+    moveRouteVertex(index, latlng) {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route } = this.routeEdit;
+        const position = TrailTrack.normalizeLatLng(latlng);
+        if (!position || index < 0 || index >= route.points.length) {
+            return;
+        }
+
+        // Elevation at the old spot no longer applies
+        const previousPoint = route.points[index];
+        const movedPoint = [position.lat, position.lng];
+        route.points[index] = movedPoint;
+        this.refreshEditedRoute();
+
+        this.pushHistory({
+            label: 'Move point',
+            undo: () => this.replaceRouteVertex(route, index, previousPoint),
+            redo: () => this.replaceRouteVertex(route, index, movedPoint)
+        });
+    }
+
+    insertRouteVertex(index, latlng) {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route } = this.routeEdit;
+        const position = TrailTrack.normalizeLatLng(latlng);
+        if (!position || index < 0 || index > route.points.length) {
+            return;
+        }
+
+        const point = [position.lat, position.lng];
+        this.spliceRouteVertex(route, index, 0, point, null);
+
+        this.pushHistory({
+            label: 'Insert point',
+            undo: () => this.spliceRouteVertex(route, index, 1),
+            redo: () => this.spliceRouteVertex(route, index, 0, point, null)
+        });
+    }
+
+    deleteRouteVertex(index) {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route } = this.routeEdit;
+        if (route.points.length <= 2) {
+            this.showToast('Route needs at least 2 points', 'error');
+            return;
+        }
+        if (index < 0 || index >= route.points.length) {
+            return;
+        }
+
+        const point = route.points[index];
+        const fix = Array.isArray(route.fixes) ? route.fixes[index] : null;
+        this.spliceRouteVertex(route, index, 1);
+
+        this.pushHistory({
+            label: 'Delete point',
+            undo: () => this.spliceRouteVertex(route, index, 0, point, fix),
+            redo: () => this.spliceRouteVertex(route, index, 1)
+        });
+    }
+
+    // Low-level vertex changes shared by edit operations and their undo/redo
+    replaceRouteVertex(route, index, point) {
+        route.points[index] = point;
+        this.refreshEditedRoute();
+    }
+
+    spliceRouteVertex(route, index, deleteCount, point = null, fix = null) {
+        const hasFixes = Array.isArray(route.fixes) && route.fixes.length > 0;
+        if (point) {
+            route.points.splice(index, deleteCount, point);
+            if (hasFixes) {
+                route.fixes.splice(index, deleteCount, fix);
+            }
+        } else {
+            route.points.splice(index, deleteCount);
+            if (hasFixes) {
+                route.fixes.splice(index, deleteCount);
+            }
+        }
+        this.refreshEditedRoute();
+    }
+
+    // Redraw the edited route and its handles after a change
+    refreshEditedRoute() {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route } = this.routeEdit;
+        const distance = this.rebuildCumulativeDistances(route);
+
+        if (route.polyline && this.map) {
+            route.polyline.setLatLngs(route.points.map(p => L.latLng(p[0], p[1])));
+        }
+
+        const distanceEl = document.getElementById('route-edit-distance');
+        if (distanceEl) {
+            distanceEl.textContent = TrailTrack.formatDistance(distance);
+        }
+
+        this.renderRouteEditHandles();
+    }
+
+    async saveRouteEdit() {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route } = this.routeEdit;
+        this.clearRouteEditHandles();
+        this.routeEdit = null;
+        this.hideRouteEditControls();
+        this.clearHistory();
+
+        route.name = route.name.trim() || 'Unnamed Route';
+        route.distance = this.rebuildCumulativeDistances(route);
+        await this.fillMissingElevations(route.points);
+        const elevationStats = TrailTrack.calculateElevationStats(route.points);
+        route.elevationGain = elevationStats.gain;
+        route.elevationLoss = elevationStats.loss;
+        if (route.type === 'activity') {
+            route.stats = TrailTrack.calculateActivityStats(route.points, route.fixes);
+        }
+
+        await this.saveRoute(route);
+        if (this.selectedRouteId === route.id) {
+            this.showElevationProfile(route);
+        }
+        this.renderRoutesList();
+        this.showToast('Route updated', 'success');
+    }
+
+    cancelRouteEdit() {
+        if (!this.routeEdit) {
+            return;
+        }
+
+        const { route, originalPoints, originalFixes, originalName } = this.routeEdit;
+        this.clearRouteEditHandles();
+        this.routeEdit = null;
+        this.hideRouteEditControls();
+        this.clearHistory();
+
+        route.name = originalName;
+        route.points = originalPoints;
+        if (originalFixes) {
+            route.fixes = originalFixes;
+        }
+        this.rebuildCumulativeDistances(route);
+        if (route.polyline && this.map) {
+            route.polyline.setLatLngs(route.points.map(p => L.latLng(p[0], p[1])));
+        }
+    }
+
+    hideRouteEditControls() {
+        const controls = document.getElementById('route-edit-controls');
+        if (controls) {
+            controls.classList.add('hidden');
+        }
+    }
+
+    // Give a route a fresh id that can't clash with one created in the same millisecond
+    generateRouteId() {
+        const base = Date.now().toString();
+        let id = base;
+        let suffix = 1;
+        while (this.routes.some(route => route.id === id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    generateWaypointId() {
+        const base = `wpt-${Date.now()}`;
+        let id = base;
+        let suffix = 1;
+        while (this.waypoints.some(waypoint => waypoint.id === id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    // Copy waypoints onto a route derived from theirs (split, join); the
+    // originals stay with the source route
+    async copyWaypointsToRoute(waypoints, routeId) {
+        for (const waypoint of waypoints) {
+            await this.saveWaypoint({ ...waypoint, id: this.generateWaypointId(), routeId });
+        }
+    }
+
+    // Save a new route built from existing geometry (split/join results)
+    async createDerivedRoute({ name, type, points, fixes = [], activityType = null, tags = [] }) {
+        const isActivity = type === 'activity' && TrailTrack.isRecordedTrack(fixes);
+        const route = {
+            id: this.generateRouteId(),
+            name,
+            type: isActivity ? 'activity' : 'planned',
+            activityType,
+            tags,
+            points,
+            fixes: isActivity ? fixes : [],
+            created: new Date().toISOString()
+        };
+
+        route.distance = this.rebuildCumulativeDistances(route);
+        const elevationStats = TrailTrack.calculateElevationStats(points);
+        route.elevationGain = elevationStats.gain;
+        route.elevationLoss = elevationStats.loss;
+        route.stats = isActivity ? TrailTrack.calculateActivityStats(points, route.fixes) : null;
+
+        await this.saveRoute(route);
+        this.routes.push(route);
+        return route;
+    }
+
+    // Clear the selection and show every route, e.g. after routes were added
+    showRoutesOverview() {
+        this.selectedRouteId = null;
+        this.hideElevationProfile();
+        this.stopNavigation();
+        if (this.map) {
+            this.showAllRoutes();
+        }
+        this.renderRoutesList();
+    }
+
+    async reverseRoute(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points) || route.points.length < 2) {
+            this.showToast('Route needs at least 2 points to reverse', 'error');
+            return;
+        }
+        if (this.routeEdit && this.routeEdit.route.id === routeId) {
+            this.showToast('Save or cancel your edits first', 'warning');
+            return;
+        }
+
+        // Timestamps can't run backwards, so a reversed recording becomes a plan
+        if (route.type === 'activity') {
+            const confirmed = await this.showConfirmDialog(
+                'Reversing a recorded activity removes its timestamps and turns it into a planned route.',
+                'Reverse Activity'
+            );
+            if (!confirmed) {
+                return;
+            }
+            route.type = 'planned';
+            route.stats = null;
+        }
+
+        if (this.navigation && this.navigation.routeId === routeId) {
+            this.stopNavigation();
+        }
+
+        route.points = [...route.points].reverse();
+        route.fixes = [];
+        const original = await this.loadRouteOriginal(route);
+        if (original) {
+            route.original = { points: [...original.points].reverse(), fixes: [] };
+        }
+
+        route.distance = this.rebuildCumulativeDistances(route);
+        const elevationStats = TrailTrack.calculateElevationStats(route.points);
+        route.elevationGain = elevationStats.gain;
+        route.elevationLoss = elevationStats.loss;
+
+        await this.saveRoute(route);
+
+        if (route.polyline) {
+            route.polyline.setLatLngs(route.points.map(p => L.latLng(p[0], p[1])));
+        }
+        if (this.selectedRouteId === route.id) {
+            this.showElevationProfile(route);
+        }
+        this.renderRoutesList();
+        this.showToast('Route reversed', 'success');
+    }
+
+    // Wait for a click on the map and split the route there
+    startRouteSplit(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points) || route.points.length < 2) {
+            this.showToast('Route needs at least 2 points to split', 'error');
+            return;
+        }
+        if (this.isDrawingRoute) {
+            this.showToast('Finish or cancel the route you are drawing first', 'warning');
+            return;
+        }
+
+        this.cancelRouteSplit();
+        if (this.selectedRouteId !== routeId) {
+            this.viewRoute(routeId);
+        }
+
+        const handleClick = (e) => {
+            this.splitRoute(routeId, e.latlng).then((parts) => {
+                if (parts) {
+                    this.cancelRouteSplit();
+                }
+            });
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                this.cancelRouteSplit();
+            }
+        };
+
+        this.routeSplit = { routeId, handleClick, handleKeydown };
+        this.map.on('click', handleClick);
+        document.addEventListener('keydown', handleKeydown);
+        document.getElementById('sidebar').classList.add('-translate-x-full');
+
+        this.renderRoutesList();
+        this.showToast('Click on the route where it should be split (Esc to cancel)', 'info');
+    }
+
+    cancelRouteSplit() {
+        if (!this.routeSplit) {
+            return;
+        }
+
+        const { handleClick, handleKeydown } = this.routeSplit;
+        if (this.map) {
+            this.map.off('click', handleClick);
+        }
+        document.removeEventListener('keydown', handleKeydown);
+        this.routeSplit = null;
+        this.renderRoutesList();
+    }
+
+    // Split a route at the point nearest to latlng into two new saved routes.
+    // Resolves with the two parts, or null when the click can't be used.
+    async splitRoute(routeId, latlng, maxDistance = 100) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points) || route.points.length < 2) {
+            return null;
+        }
+
+        const measured = { points: route.points };
+        const totalDistance = this.rebuildCumulativeDistances(measured);
+        const { cumulativeDistances } = measured;
+        const projection = TrailTrack.projectOntoRoute(latlng, route.points, cumulativeDistances);
+
+        if (!projection || projection.distanceFromRoute > maxDistance) {
+            this.showToast('Click closer to the route to split it', 'warning');
+            return null;
+        }
+        if (projection.distanceAlong < 1 || projection.distanceAlong > totalDistance - 1) {
+            this.showToast('Pick a point between the start and the end of the route', 'warning');
+            return null;
+        }
+
+        const hasFixes = Array.isArray(route.fixes) && route.fixes.length === route.points.length;
+        const points = [...route.points];
+        const fixes = hasFixes ? [...route.fixes] : [];
+
+        // Split at an existing point when the click lands on one, otherwise insert one
+        const segmentIndex = projection.segmentIndex;
+        const segmentStart = cumulativeDistances[segmentIndex];
+        const segmentLength = cumulativeDistances[segmentIndex + 1] - segmentStart;
+        const offset = projection.distanceAlong - segmentStart;
+        let splitIndex;
+        if (offset < 1) {
+            splitIndex = segmentIndex;
+        } else if (segmentLength - offset < 1) {
+            splitIndex = segmentIndex + 1;
+        } else {
+            const ratio = offset / segmentLength;
+            splitIndex = segmentIndex + 1;
+            points.splice(splitIndex, 0, TrailTrack.interpolatePoint(points[segmentIndex], points[segmentIndex + 1], ratio));
+            if (hasFixes) {
+                const before = fixes[segmentIndex];
+                const after = fixes[segmentIndex + 1];
+                const time = before && after && Number.isFinite(before.time) && Number.isFinite(after.time)
+                    ? before.time + (after.time - before.time) * ratio
+                    : null;
+                fixes.splice(splitIndex, 0, TrailTrack.serializeFix({ time }));
+            }
+        }
+
+        const parts = [];
+        const ranges = [[0, splitIndex + 1], [splitIndex, points.length]];
+        for (const [index, [start, end]] of ranges.entries()) {
+            parts.push(await this.createDerivedRoute({
+                name: `${route.name} (${index + 1})`,
+                type: route.type,
+                points: points.slice(start, end),
+                fixes: hasFixes ? fixes.slice(start, end) : [],
+                activityType: route.activityType,
+                tags: route.tags
+            }));
+        }
+
+        // Each waypoint goes with the part it lies along
+        const splitDistance = projection.distanceAlong;
+        for (const waypoint of this.getRouteWaypoints(route.id)) {
+            const along = TrailTrack.projectOntoRoute(waypoint, route.points, cumulativeDistances);
+            const part = along && along.distanceAlong > splitDistance ? parts[1] : parts[0];
+            await this.copyWaypointsToRoute([waypoint], part.id);
+        }
+
+        this.renderWaypoints();
+        this.showRoutesOverview();
+        this.showToast(`Split into "${parts[0].name}" and "${parts[1].name}"`, 'success');
+        return parts;
+    }
+
+    async promptJoinRoutes(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route) {
+            return;
+        }
+        if (this.routes.length < 2) {
+            this.showToast('Create or import another route to join', 'info');
+            return;
+        }
+
+        const choice = await this.showJoinDialog(route);
+        if (choice) {
+            await this.joinRoutes(routeId, choice.routeId, { routeConnector: choice.routeConnector });
+        }
+    }
+
+    // Resolves with { routeId, routeConnector }, or null when cancelled
+    async showJoinDialog(firstRoute) {
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('join-dialog-overlay');
+            const titleEl = document.getElementById('join-dialog-title');
+            const routeSelect = document.getElementById('join-route-select');
+            const gapEl = document.getElementById('join-dialog-gap');
+            const connectorToggle = document.getElementById('join-connector-toggle');
+            const confirmBtn = document.getElementById('join-dialog-confirm');
+            const cancelBtn = document.getElementById('join-dialog-cancel');
+
+            if (!overlay) {
+                resolve(null);
+                return;
+            }
+
+            titleEl.textContent = `Join "${firstRoute.name}" with…`;
+            routeSelect.innerHTML = '';
+            this.routes
+                .filter(route => route.id !== firstRoute.id && Array.isArray(route.points) && route.points.length > 0)
+                .forEach(route => {
+                    const option = document.createElement('option');
+                    option.value = route.id;
+                    option.textContent = `${route.name} (${TrailTrack.formatDistance(route.distance)})`;
+                    routeSelect.appendChild(option);
+                });
+            connectorToggle.checked = false;
+
+            const updateGap = () => {
+                const secondRoute = this.routes.find(r => r.id === routeSelect.value);
+                if (!secondRoute || firstRoute.points.length === 0) {
+                    gapEl.textContent = '';
+                    return;
+                }
+                const gap = this.calculateSegmentDistance(
+                    firstRoute.points[firstRoute.points.length - 1],
+                    secondRoute.points[0]
+                );
+                gapEl.textContent = `Gap from the end of this route to the start of the next: ${TrailTrack.formatDistance(gap)}`;
+            };
+            updateGap();
+
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                routeSelect.focus();
+            });
+
+            const handleConfirm = () => {
+                const result = routeSelect.value
+                    ? { routeId: routeSelect.value, routeConnector: connectorToggle.checked }
+                    : null;
+                cleanup();
+                resolve(result);
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleEscape = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                }
+            };
+
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                routeSelect.removeEventListener('change', updateGap);
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                document.removeEventListener('keydown', handleEscape);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            routeSelect.addEventListener('change', updateGap);
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            document.addEventListener('keydown', handleEscape);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
+    }
+
+    // Append the second route to the end of the first as a new saved route.
+    // With routeConnector the gap between them follows paths via the routing engine.
+    async joinRoutes(firstId, secondId, { routeConnector = false } = {}) {
+        const first = this.routes.find(r => r.id === firstId);
+        const second = this.routes.find(r => r.id === secondId);
+        if (!first || !second || first === second || first.points.length === 0 || second.points.length === 0) {
+            this.showToast('Pick two different routes to join', 'error');
+            return null;
+        }
+
+        const end = first.points[first.points.length - 1];
+        const start = second.points[0];
+        const gap = this.calculateSegmentDistance(end, start);
+
+        let connector = [];
+        if (routeConnector && gap >= 1) {
+            const path = await this.requestRoutedSegment(TrailTrack.normalizeLatLng(end), TrailTrack.normalizeLatLng(start));
+            connector = path.slice(1, -1);
+        }
+
+        // Touching routes share their end/start point; don't duplicate it
+        const skipFirstOfSecond = gap < 1 ? 1 : 0;
+        const bothRecorded = first.type === 'activity' && second.type === 'activity';
+        // Fixes must stay index-aligned with points, even for routes stored without them
+        const fixesOf = route => (Array.isArray(route.fixes) && route.fixes.length === route.points.length
+            ? route.fixes
+            : route.points.map(() => null));
+        const fixes = bothRecorded
+            ? [
+                ...fixesOf(first),
+                ...connector.map(() => null),
+                ...fixesOf(second).slice(skipFirstOfSecond)
+            ]
+            : [];
+
+        const joined = await this.createDerivedRoute({
+            name: `${first.name} + ${second.name}`,
+            type: bothRecorded ? 'activity' : 'planned',
+            points: [...first.points, ...connector, ...second.points.slice(skipFirstOfSecond)],
+            fixes,
+            activityType: first.activityType || second.activityType,
+            tags: TrailTrack.normalizeTags([...(first.tags || []), ...(second.tags || [])])
+        });
+
+        await this.copyWaypointsToRoute([...this.getRouteWaypoints(first.id), ...this.getRouteWaypoints(second.id)], joined.id);
+        this.renderWaypoints();
+        this.showRoutesOverview();
+        this.showToast(`Created "${joined.name}"`, 'success');
+        return joined;
+    }
+
+    // Follow a saved route with live progress and off-route warnings
+    startNavigation(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points) || route.points.length < 2) {
+            this.showToast('Route needs at least 2 points to navigate', 'error');
+            return;
+        }
+
+        if (this.navigation) {
+            this.stopNavigation();
+        }
+
+        if (this.selectedRouteId !== routeId) {
+            this.viewRoute(routeId);
+        }
+
+        const measured = { points: route.points };
+        this.rebuildCumulativeDistances(measured);
+
+        this.navigation = {
+            routeId,
+            route,
+            cumulativeDistances: measured.cumulativeDistances,
+            distance: measured.distance,
+            progressDistance: 0,
+            cues: this.generateCues(route),
+            isOffRoute: false,
+            hasArrived: false,
+            marker: null
+        };
+
+        const panel = document.getElementById('navigation-panel');
+        if (panel) {
+            panel.classList.remove('hidden');
+        }
+        const nameEl = document.getElementById('navigation-route-name');
+        if (nameEl) {
+            nameEl.textContent = route.name;
+        }
+        this.updateNavigationDisplay();
+
+        if (!this.isTracking) {
+            this.startTracking();
+        }
+        if (this.currentLocation) {
+            this.updateNavigation(this.currentLocation);
+        }
+
+        this.showToast(`Navigating: ${route.name}`, 'success');
+    }
+
+    stopNavigation() {
+        if (!this.navigation) {
+            return;
+        }
+
+        const { route, marker } = this.navigation;
+        if (marker && this.map) {
+            this.map.removeLayer(marker);
+        }
+        if (route.polyline && this.selectedRouteId === route.id) {
+            route.polyline.setStyle({ color: '#facc15', opacity: 1, weight: 6, dashArray: null });
+        }
+        this.navigation = null;
+
+        const panel = document.getElementById('navigation-panel');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    }
+
+    // Snap a live position onto the followed route and update progress
+    updateNavigation(latlng) {
+        if (!this.navigation) {
+            return;
+        }
+
+        const position = TrailTrack.normalizeLatLng(latlng);
+        if (!position) {
+            return;
+        }
+
+        const navigation = this.navigation;
+        const points = navigation.route.points;
+        // Prefer the stretch ahead of the last known progress so out-and-back
+        // routes don't jump to the opposite leg
+        const projection = TrailTrack.projectOntoRoute(position, points, navigation.cumulativeDistances, {
+            fromDistance: navigation.progressDistance - this.offRouteThreshold,
+            tolerance: this.offRouteThreshold
+        });
+        if (!projection) {
+            return;
+        }
+
+        const isOffRoute = projection.distanceFromRoute > this.offRouteThreshold;
+        if (!isOffRoute) {
+            navigation.progressDistance = projection.distanceAlong;
+        }
+        navigation.distanceFromRoute = projection.distanceFromRoute;
+
+        if (isOffRoute !== navigation.isOffRoute) {
+            navigation.isOffRoute = isOffRoute;
+            if (isOffRoute) {
+                this.showToast(`Off route! You are ${Math.round(projection.distanceFromRoute)} m from the route`, 'warning');
+                if (typeof navigator.vibrate === 'function') {
+                    navigator.vibrate([200, 100, 200]);
+                }
+            } else {
+                this.showToast('Back on route', 'success');
+            }
+        }
+
+        if (!navigation.hasArrived && navigation.distance - navigation.progressDistance <= Math.min(this.offRouteThreshold, 25)) {
+            navigation.hasArrived = true;
+            this.showToast('You have reached the end of the route', 'success');
+        }
+
+        if (this.map && typeof L !== 'undefined') {
+            const snapped = this.getLatLngAtDistance(points, navigation.progressDistance, navigation.cumulativeDistances);
+            if (snapped) {
+                if (navigation.marker) {
+                    navigation.marker.setLatLng(snapped);
+                } else {
+                    navigation.marker = L.circleMarker(snapped, {
+                        radius: 8,
+                        color: '#ffffff',
+                        weight: 3,
+                        fillColor: '#16a34a',
+                        fillOpacity: 1,
+                        interactive: false
+                    }).addTo(this.map);
+                }
+            }
+
+            if (navigation.route.polyline) {
+                navigation.route.polyline.setStyle(isOffRoute
+                    ? { color: '#ef4444', dashArray: '8 8' }
+                    : { color: '#facc15', dashArray: null });
+            }
+        }
+
+        this.updateNavigationDisplay();
+    }
+
+    updateNavigationDisplay() {
+        if (!this.navigation) {
+            return;
+        }
+
+        const { distance, progressDistance, isOffRoute, distanceFromRoute } = this.navigation;
+        const doneEl = document.getElementById('navigation-done');
+        const remainingEl = document.getElementById('navigation-remaining');
+        const statusEl = document.getElementById('navigation-status');
+        const panel = document.getElementById('navigation-panel');
+
+        if (doneEl) {
+            doneEl.textContent = TrailTrack.formatDistance(progressDistance);
+        }
+        if (remainingEl) {
+            remainingEl.textContent = TrailTrack.formatDistance(distance - progressDistance);
+        }
+        if (statusEl) {
+            if (isOffRoute) {
+                statusEl.textContent = `Off route · ${Math.round(distanceFromRoute)} m away`;
+            } else if (this.navigation.hasArrived) {
+                statusEl.textContent = 'Arrived';
+            } else {
+                statusEl.textContent = 'On route';
+            }
+            statusEl.classList.toggle('text-red-600', isOffRoute);
+            statusEl.classList.toggle('dark:text-red-400', isOffRoute);
+            statusEl.classList.toggle('text-green-600', !isOffRoute);
+            statusEl.classList.toggle('dark:text-green-400', !isOffRoute);
+        }
+        if (panel) {
+            panel.classList.toggle('ring-4', isOffRoute);
+            panel.classList.toggle('ring-red-500', isOffRoute);
+        }
+
+        const cueEl = document.getElementById('navigation-next-cue');
+        if (cueEl) {
+            const cues = this.navigation.cues || [];
+            const nextCue = cues.find(cue => cue.distance > progressDistance + 5);
+            cueEl.textContent = nextCue
+                ? `In ${TrailTrack.formatCueDistance(nextCue.distance - progressDistance)}: ${nextCue.instruction}`
+                : '';
+            cueEl.classList.toggle('hidden', !nextCue);
+        }
+    }
+
+    // Derive turn cues from bearing changes along the route geometry.
+    // Bearings are measured over lookDistance meters either side of each
+    // vertex so GPS wiggles don't turn into cues.
+    generateCues(route, options = {}) {
+        const points = route && Array.isArray(route.points) ? route.points : [];
+        if (points.length < 2) {
+            return [];
+        }
+
+        const lookDistance = options.lookDistance || 25;
+        const minTurnAngle = options.minTurnAngle || 20;
+        const measured = { points };
+        const total = this.rebuildCumulativeDistances(measured);
+        const distances = measured.cumulativeDistances;
+
+        const turns = [];
+        for (let i = 1; i < points.length - 1; i++) {
+            let before = i - 1;
+            while (before > 0 && distances[i] - distances[before] < lookDistance) {
+                before--;
+            }
+            let after = i + 1;
+            while (after < points.length - 1 && distances[after] - distances[i] < lookDistance) {
+                after++;
+            }
+
+            if (distances[i] === distances[before] || distances[after] === distances[i]) {
+                continue;
+            }
+
+            const incoming = TrailTrack.calculateBearing(points[before], points[i]);
+            const outgoing = TrailTrack.calculateBearing(points[i], points[after]);
+            const angle = ((outgoing - incoming + 540) % 360) - 180;
+            if (Math.abs(angle) < minTurnAngle) {
+                continue;
+            }
+
+            // A bend spread over several vertices becomes one cue at its sharpest point
+            const previous = turns[turns.length - 1];
+            if (previous && distances[i] - previous.distance < lookDistance && Math.sign(previous.angle) === Math.sign(angle)) {
+                if (Math.abs(angle) > Math.abs(previous.angle)) {
+                    turns[turns.length - 1] = { distance: distances[i], angle, index: i };
+                }
+                continue;
+            }
+            turns.push({ distance: distances[i], angle, index: i });
+        }
+
+        const cues = [{
+            type: 'start',
+            distance: 0,
+            angle: 0,
+            instruction: `Head ${TrailTrack.bearingToCompass(TrailTrack.calculateBearing(points[0], points[1]))}`
+        }];
+
+        turns.forEach((turn) => {
+            const type = TrailTrack.classifyTurn(turn.angle);
+            cues.push({
+                type,
+                distance: turn.distance,
+                angle: Math.round(turn.angle),
+                instruction: TrailTrack.CUE_INSTRUCTIONS[type]
+            });
+        });
+
+        cues.push({ type: 'arrive', distance: total, angle: 0, instruction: TrailTrack.CUE_INSTRUCTIONS.arrive });
+
+        // Distance to the following cue, i.e. how long to continue
+        cues.forEach((cue, index) => {
+            const next = cues[index + 1];
+            cue.continueDistance = next ? next.distance - cue.distance : 0;
+        });
+
+        return cues;
+    }
+
+    toggleCueSheet(routeId) {
+        this.cueSheetRouteId = this.cueSheetRouteId === routeId ? null : routeId;
+        this.renderRoutesList();
+    }
+
+    renderCueSheet(route) {
+        const container = document.createElement('div');
+        container.className = 'mt-3 border-t border-gray-200 dark:border-gray-600 pt-2 cursor-default';
+
+        const cues = this.generateCues(route);
+        if (cues.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-500 dark:text-gray-400">Route needs at least 2 points for a cue sheet.</p>';
+            return container;
+        }
+
+        container.innerHTML = `
+            <div class="flex items-center justify-between mb-1">
+                <h4 class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Cue Sheet</h4>
+                <button class="cue-print-btn text-xs text-blue-600 dark:text-blue-400 hover:underline" title="Print this cue sheet" aria-label="Print this cue sheet">Print</button>
+            </div>
+            <ol class="space-y-1 text-sm">
+                ${cues.map(cue => `
+                    <li class="flex items-baseline gap-2">
+                        <span class="w-16 shrink-0 text-right font-mono text-xs text-gray-500 dark:text-gray-400">${TrailTrack.formatDistance(cue.distance)}</span>
+                        <span class="dark:text-white">${cue.instruction}${cue.continueDistance > 0 ? ` <span class="text-xs text-gray-500 dark:text-gray-400">· continue ${TrailTrack.formatCueDistance(cue.continueDistance)}</span>` : ''}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        container.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+        container.querySelector('.cue-print-btn').addEventListener('click', () => {
+            this.printCueSheet(route, cues);
+        });
+
+        return container;
+    }
+
+    printCueSheet(route, cues = this.generateCues(route)) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showToast('Allow pop-ups to print the cue sheet', 'warning');
+            return;
+        }
+
+        // The popup shares this page's origin, so imported names must not become markup
+        const name = TrailTrack.escapeXml(route.name);
+        const rows = cues.map((cue, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${TrailTrack.formatDistance(cue.distance)}</td>
+                <td>${TrailTrack.escapeXml(cue.instruction)}</td>
+                <td>${cue.continueDistance > 0 ? TrailTrack.formatCueDistance(cue.continueDistance) : ''}</td>
+            </tr>
+        `).join('');
+
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${name} - Cue Sheet</title>
+                <style>
+                    body { font-family: sans-serif; margin: 2rem; }
+                    table { border-collapse: collapse; width: 100%; }
+                    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+                </style>
+            </head>
+            <body>
+                <h1>${name}</h1>
+                <p>${TrailTrack.formatDistance(route.distance)}</p>
+                <table>
+                    <thead><tr><th>#</th><th>At</th><th>Cue</th><th>Then continue</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    // Show all routes on map
+    showAllRoutes() {
+        // Remove all routes from map first
+        this.routes.forEach(r => {
+            if (r.polyline) {
+                this.map.removeLayer(r.polyline);
+            }
+        });
+
+        // Add all routes back to map
+        this.routes.forEach(route => {
+            if (route.points && route.points.length > 0) {
+                if (!route.polyline) {
+                    route.polyline = L.polyline(route.points, {
+                        color: route.color || TrailTrack.DEFAULT_ROUTE_COLOR,
+                        weight: 5,
+                        opacity: 0.9
+                    }).addTo(this.map);
+                } else {
+                    route.polyline.setStyle({ color: route.color || TrailTrack.DEFAULT_ROUTE_COLOR, opacity: 0.9, weight: 5 });
+                    route.polyline.addTo(this.map);
+                }
+            }
+        });
+
+        this.renderWaypoints();
+        this.renderPhotos();
+    }
+
+    // Build [{ distance, elevation }] samples for the elevation chart
+    getElevationProfile(route) {
+        if (!route || !TrailTrack.hasElevationData(route.points)) {
+            return [];
+        }
+
+        const measured = { points: route.points };
+        this.rebuildCumulativeDistances(measured);
+
+        const profile = [];
+        route.points.forEach((point, index) => {
+            const elevation = TrailTrack.getPointElevation(point);
+            if (elevation !== null) {
+                profile.push({ distance: measured.cumulativeDistances[index], elevation });
+            }
+        });
+        return profile;
+    }
+
+    // Show elevation chart for the selected route
+    showElevationProfile(route) {
+        const panel = document.getElementById('elevation-profile');
+        const chart = document.getElementById('elevation-profile-chart');
+        if (!panel || !chart) {
+            return;
+        }
+
+        const profile = this.getElevationProfile(route);
+        this.removeElevationHoverMarker();
+
+        if (profile.length < 2) {
+            this.hideElevationProfile();
+            return;
+        }
+
+        this.elevationProfileRoute = route;
+        this.elevationProfile = profile;
+
+        const stats = TrailTrack.calculateElevationStats(route.points);
+        const titleEl = document.getElementById('elevation-profile-title');
+        const statsEl = document.getElementById('elevation-profile-stats');
+        if (titleEl) {
+            titleEl.textContent = route.name;
+        }
+        if (statsEl) {
+            statsEl.textContent = `↑ ${TrailTrack.formatElevation(stats.gain)} ↓ ${TrailTrack.formatElevation(stats.loss)} · ${TrailTrack.formatElevation(stats.min)}–${TrailTrack.formatElevation(stats.max)}`;
+        }
+
+        // Chart is drawn in a fixed viewBox and stretched to the panel width
+        const width = 600;
+        const height = 120;
+        const totalDistance = profile[profile.length - 1].distance || 1;
+        const range = Math.max(stats.max - stats.min, 10);
+        const toX = (distance) => (distance / totalDistance) * width;
+        const toY = (elevation) => height - ((elevation - stats.min) / range) * (height - 10) - 5;
+
+        const line = profile.map((sample, index) => `${index === 0 ? 'M' : 'L'}${toX(sample.distance).toFixed(1)},${toY(sample.elevation).toFixed(1)}`).join(' ');
+        chart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        chart.innerHTML = `
+            <path d="${line} L${width},${height} L0,${height} Z" fill="rgba(34, 197, 94, 0.25)" stroke="none"></path>
+            <path d="${line}" fill="none" stroke="#16a34a" stroke-width="2" vector-effect="non-scaling-stroke"></path>
+            <line id="elevation-profile-cursor" x1="0" x2="0" y1="0" y2="${height}" stroke="#1d4ed8" stroke-width="1" vector-effect="non-scaling-stroke" visibility="hidden"></line>
+        `;
+
+        if (!this.handleElevationChartMove) {
+            this.handleElevationChartMove = (event) => {
+                const source = event.touches && event.touches.length > 0 ? event.touches[0] : event;
+                const rect = chart.getBoundingClientRect();
+                if (!rect.width) {
+                    return;
+                }
+                const ratio = Math.min(Math.max((source.clientX - rect.left) / rect.width, 0), 1);
+                this.highlightElevationAt(ratio);
+            };
+            this.handleElevationChartLeave = () => {
+                this.removeElevationHoverMarker();
+            };
+            chart.addEventListener('mousemove', this.handleElevationChartMove);
+            chart.addEventListener('touchmove', this.handleElevationChartMove, { passive: true });
+            chart.addEventListener('mouseleave', this.handleElevationChartLeave);
+            chart.addEventListener('touchend', this.handleElevationChartLeave);
+        }
+
+        this.resetElevationReadout();
+        panel.classList.remove('hidden');
+    }
+
+    // Highlight the position at a fraction (0-1) of the chart width
+    highlightElevationAt(ratio) {
+        const profile = this.elevationProfile;
+        const route = this.elevationProfileRoute;
+        if (!profile || profile.length < 2 || !route) {
+            return;
+        }
+
+        const totalDistance = profile[profile.length - 1].distance;
+        const targetDistance = totalDistance * ratio;
+
+        let sample = profile[0];
+        for (const candidate of profile) {
+            if (Math.abs(candidate.distance - targetDistance) < Math.abs(sample.distance - targetDistance)) {
+                sample = candidate;
+            }
+        }
+
+        const cursor = document.getElementById('elevation-profile-cursor');
+        if (cursor) {
+            const x = totalDistance > 0 ? (sample.distance / totalDistance) * 600 : 0;
+            cursor.setAttribute('x1', x);
+            cursor.setAttribute('x2', x);
+            cursor.setAttribute('visibility', 'visible');
+        }
+
+        const readout = document.getElementById('elevation-profile-readout');
+        if (readout) {
+            readout.textContent = `${TrailTrack.formatDistance(sample.distance)} · ${TrailTrack.formatElevation(sample.elevation)}`;
+        }
+
+        if (!this.map) {
+            return;
+        }
+
+        const latlng = this.getLatLngAtDistance(route.points, sample.distance);
+        if (!latlng) {
+            return;
+        }
+
+        if (this.elevationHoverMarker) {
+            this.elevationHoverMarker.setLatLng(latlng);
+        } else {
+            this.elevationHoverMarker = L.circleMarker(latlng, {
+                radius: 7,
+                color: '#1d4ed8',
+                weight: 3,
+                fillColor: '#ffffff',
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(this.map);
+        }
+    }
+
+    resetElevationReadout() {
+        const readout = document.getElementById('elevation-profile-readout');
+        if (readout) {
+            readout.textContent = 'Hover the chart to find that point on the map';
+        }
+    }
+
+    removeElevationHoverMarker() {
+        if (this.elevationHoverMarker && this.map) {
+            this.map.removeLayer(this.elevationHoverMarker);
+        }
+        this.elevationHoverMarker = null;
+
+        const cursor = document.getElementById('elevation-profile-cursor');
+        if (cursor) {
+            cursor.setAttribute('visibility', 'hidden');
+        }
+        this.resetElevationReadout();
+    }
+
+    hideElevationProfile() {
+        this.removeElevationHoverMarker();
+        this.elevationProfile = null;
+        this.elevationProfileRoute = null;
+
+        const panel = document.getElementById('elevation-profile');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    }
+
+    // Simplified copy of a { points, fixes } geometry with its new distance
+    simplifyGeometry(source, toleranceMeters) {
+        const indices = TrailTrack.simplifyPoints(source.points, toleranceMeters);
+        const points = indices.map(index => source.points[index]);
+        const fixes = Array.isArray(source.fixes) && source.fixes.length > 0
+            ? indices.map(index => source.fixes[index] || null)
+            : [];
+
+        return {
+            points,
+            fixes,
+            distance: this.calculateDistance(points)
+        };
+    }
+
+    // Replace the route geometry with a simplified version of source,
+    // optionally keeping the full-resolution geometry alongside it
+    applySimplification(route, source, { tolerance, keepOriginal }) {
+        const original = {
+            points: source.points,
+            fixes: Array.isArray(source.fixes) ? source.fixes : []
+        };
+        const simplified = this.simplifyGeometry(original, tolerance);
+
+        route.points = simplified.points;
+        route.fixes = simplified.fixes;
+        if (keepOriginal) {
+            route.original = original;
+        } else if (route.originalPointCount) {
+            // Drop the stored original on the next save
+            route.original = null;
+        } else {
+            delete route.original;
+        }
+        return route;
+    }
+
+    // Simplify a saved route (always starting from the full-resolution
+    // original when one is kept); tolerance 0 restores the original
+    async simplifyRoute(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !Array.isArray(route.points) || route.points.length < 3) {
+            this.showToast('Route has too few points to simplify', 'error');
+            return;
+        }
+        if (this.routeEdit && this.routeEdit.route.id === routeId) {
+            this.showToast('Save or cancel your edits before simplifying', 'warning');
+            return;
+        }
+
+        const original = await this.loadRouteOriginal(route);
+        const source = original || { points: route.points, fixes: route.fixes };
+        const choice = await this.showSimplifyDialog(source, {
+            title: `Simplify "${route.name}"`,
+            ...(original ? { keepOriginal: true } : {})
+        });
+        if (!choice) {
+            return;
+        }
+
+        if (this.navigation && this.navigation.routeId === routeId) {
+            this.stopNavigation();
+        }
+
+        if (choice.tolerance > 0) {
+            this.applySimplification(route, source, choice);
+        } else {
+            route.points = source.points;
+            route.fixes = Array.isArray(source.fixes) ? source.fixes : [];
+            if (original) {
+                route.original = null;
+            }
+        }
+
+        route.distance = this.rebuildCumulativeDistances(route);
+        const elevationStats = TrailTrack.calculateElevationStats(route.points);
+        route.elevationGain = elevationStats.gain;
+        route.elevationLoss = elevationStats.loss;
+        if (route.type === 'activity') {
+            route.stats = TrailTrack.calculateActivityStats(route.points, route.fixes);
+        }
+
+        await this.saveRoute(route);
+
+        if (route.polyline) {
+            route.polyline.setLatLngs(route.points.map(p => L.latLng(p[0], p[1])));
+        }
+        if (this.selectedRouteId === route.id) {
+            this.showElevationProfile(route);
+        }
+        this.renderRoutesList();
+        this.showToast(
+            choice.tolerance > 0 ? `Route simplified to ${route.points.length} points` : 'Original route restored',
+            'success'
+        );
+    }
+
+    // Resolves with { tolerance, keepOriginal }, or null when cancelled
+    async showSimplifyDialog(source, options = {}) {
+        const {
+            title = 'Simplify Route',
+            cancelLabel = 'Cancel',
+            tolerance = Number(localStorage.getItem('simplifyTolerance')) || 5,
+            keepOriginal = localStorage.getItem('simplifyKeepOriginal') !== 'false'
+        } = options;
+
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('simplify-dialog-overlay');
+            const titleEl = document.getElementById('simplify-dialog-title');
+            const toleranceInput = document.getElementById('simplify-tolerance-input');
+            const toleranceValue = document.getElementById('simplify-tolerance-value');
+            const statsEl = document.getElementById('simplify-dialog-stats');
+            const keepOriginalToggle = document.getElementById('simplify-keep-original');
+            const confirmBtn = document.getElementById('simplify-dialog-confirm');
+            const cancelBtn = document.getElementById('simplify-dialog-cancel');
+
+            if (!overlay) {
+                resolve(null);
+                return;
+            }
+
+            const originalDistance = this.calculateDistance(source.points);
+            const formatCount = (count) => count.toLocaleString();
+
+            const updatePreview = () => {
+                const value = Number(toleranceInput.value);
+                toleranceValue.textContent = value > 0 ? `${value} m` : 'Off';
+
+                const simplified = this.simplifyGeometry(source, value);
+                const pointChange = source.points.length > 0
+                    ? (simplified.points.length / source.points.length - 1) * 100
+                    : 0;
+                const distanceChange = originalDistance > 0
+                    ? (simplified.distance / originalDistance - 1) * 100
+                    : 0;
+
+                statsEl.innerHTML = `
+                    <p>Points: ${formatCount(source.points.length)} → <strong>${formatCount(simplified.points.length)}</strong> (${pointChange.toFixed(0)}%)</p>
+                    <p>Distance: ${TrailTrack.formatDistance(originalDistance)} → <strong>${TrailTrack.formatDistance(simplified.distance)}</strong> (${distanceChange.toFixed(1)}%)</p>
+                `;
+                confirmBtn.textContent = value > 0 ? 'Simplify' : 'Use All Points';
+            };
+
+            titleEl.textContent = title;
+            cancelBtn.textContent = cancelLabel;
+            toleranceInput.value = tolerance;
+            keepOriginalToggle.checked = keepOriginal;
+            updatePreview();
+
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                toleranceInput.focus();
+            });
+
+            const handleConfirm = () => {
+                const result = {
+                    tolerance: Number(toleranceInput.value),
+                    keepOriginal: keepOriginalToggle.checked
+                };
+                localStorage.setItem('simplifyTolerance', String(result.tolerance || tolerance));
+                localStorage.setItem('simplifyKeepOriginal', String(result.keepOriginal));
+                cleanup();
+                resolve(result);
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleEscape = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                }
+            };
+
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                toleranceInput.removeEventListener('input', updatePreview);
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                document.removeEventListener('keydown', handleEscape);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            toleranceInput.addEventListener('input', updatePreview);
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            document.addEventListener('keydown', handleEscape);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
+    }
+
+    // Load waypoints (route-attached and standalone) from IndexedDB
+    async loadWaypoints() {
+        this.waypoints = await this.db.getAll('waypoints');
+        this.renderWaypoints();
+    }
+
+    // Waypoints of a route, or standalone ones when routeId is null
+    getRouteWaypoints(routeId) {
+        return this.waypoints.filter(waypoint => (waypoint.routeId || null) === (routeId || null));
+    }
+
+    async saveWaypoint(waypoint) {
+        const waypointData = TrailTrack.serializeWaypoint(waypoint);
+        await this.db.put('waypoints', waypointData);
+
+        const index = this.waypoints.findIndex(w => w.id === waypointData.id);
+        if (index === -1) {
+            this.waypoints.push(waypointData);
+        } else {
+            this.waypoints[index] = waypointData;
+        }
+        return waypointData;
+    }
+
+    async deleteWaypoint(waypointId) {
+        this.waypoints = this.waypoints.filter(waypoint => waypoint.id !== waypointId);
+        await this.db.delete('waypoints', waypointId);
+        this.renderWaypoints();
+    }
+
+    // Standalone waypoints are always shown; route waypoints follow their
+    // route's visibility (all routes, or only the selected one)
+    renderWaypoints() {
+        if (!this.map) {
+            return;
+        }
+
+        if (!this.waypointLayer) {
+            this.waypointLayer = L.layerGroup().addTo(this.map);
+        }
+        this.waypointLayer.clearLayers();
+
+        this.waypoints
+            .filter(waypoint => !waypoint.routeId || !this.selectedRouteId || waypoint.routeId === this.selectedRouteId)
+            .forEach(waypoint => {
+                const { icon } = TrailTrack.getWaypointType(waypoint.type);
+                const marker = L.marker([waypoint.lat, waypoint.lng], {
+                    icon: L.divIcon({
+                        className: 'waypoint-marker',
+                        html: `<div class="w-7 h-7 flex items-center justify-center bg-white dark:bg-gray-800 rounded-full border-2 border-green-600 shadow text-sm">${icon}</div>`,
+                        iconSize: [28, 28],
+                        iconAnchor: [14, 14]
+                    }),
+                    title: waypoint.name
+                });
+                // A string tooltip is set as HTML; names come from imported files
+                marker.bindTooltip(document.createTextNode(waypoint.name), { direction: 'top', offset: [0, -14] });
+                marker.on('click', () => this.editWaypoint(waypoint.id));
+                this.waypointLayer.addLayer(marker);
+            });
+    }
+
+    // Wait for a click on the map and create a waypoint there
+    toggleWaypointPlacement() {
+        const button = document.getElementById('add-waypoint');
+
+        if (this.waypointPlacement) {
+            this.map.off('click', this.waypointPlacement.handleClick);
+            this.waypointPlacement = null;
+            if (button) {
+                button.classList.remove('ring-2', 'ring-green-500');
+            }
+            return;
+        }
+
+        if (this.isDrawingRoute || this.routeEdit || this.routeSplit) {
+            this.showToast('Finish what you are doing on the map first', 'warning');
+            return;
+        }
+
+        const handleClick = (e) => {
+            this.toggleWaypointPlacement();
+            this.createWaypointAt(e.latlng);
+        };
+        this.waypointPlacement = { handleClick };
+        this.map.on('click', handleClick);
+        if (button) {
+            button.classList.add('ring-2', 'ring-green-500');
+        }
+        this.showToast('Click on the map to place a waypoint', 'info');
+    }
 
-        if (filteredRoutes.length === 0) {
-            list.innerHTML = '<p class="text-gray-500 dark:text-gray-400 text-sm">No routes match your search. Try a different term.</p>';
+    async createWaypointAt(latlng) {
+        const position = TrailTrack.normalizeLatLng(latlng);
+        const details = await this.showWaypointDialog({
+            name: '',
+            type: 'generic',
+            routeId: this.selectedRouteId
+        }, { title: 'New Waypoint' });
+        if (!details) {
+            return null;
+        }
+
+        const elevation = await this.getElevationAt(position.lat, position.lng).catch(() => null);
+        const waypoint = await this.saveWaypoint({
+            id: this.generateWaypointId(),
+            ...details,
+            lat: position.lat,
+            lng: position.lng,
+            ele: elevation,
+            created: new Date().toISOString()
+        });
+
+        this.renderWaypoints();
+        this.renderRoutesList();
+        this.showToast(`Waypoint "${waypoint.name}" added`, 'success');
+        return waypoint;
+    }
+
+    async editWaypoint(waypointId) {
+        const waypoint = this.waypoints.find(w => w.id === waypointId);
+        if (!waypoint) {
             return;
         }
 
-        filteredRoutes.forEach(route => {
-            const isSelected = this.selectedRouteId === route.id;
-            const routeEl = document.createElement('div');
-            routeEl.className = `bg-gray-50 dark:bg-gray-700 p-3 rounded-lg cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-600 ${isSelected ? 'ring-2 ring-green-500 dark:ring-green-400' : ''}`;
-            routeEl.innerHTML = `
-                <div class="flex items-start justify-between">
-                    <div class="flex-1" data-route-id="${route.id}">
-                        <h3 class="font-semibold dark:text-white">${route.name}${isSelected ? ' <span class="text-green-600 dark:text-green-400">(Selected)</span>' : ''}</h3>
-                        <p class="text-sm text-gray-600 dark:text-gray-300">
-                            ${TrailTrack.formatDistance(route.distance)}
-                        </p>
-                        <p class="text-xs text-gray-500 dark:text-gray-400">
-                            ${new Date(route.created).toLocaleDateString()}
-                        </p>
-                    </div>
-                    <div class="flex gap-1">
-                        <button class="route-view-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded ${isSelected ? 'bg-green-100 dark:bg-green-900' : ''}" data-id="${route.id}" title="${isSelected ? 'Deselect this route (show all)' : 'Show only this route on the map'}" aria-label="${isSelected ? 'Deselect this route' : 'Show only this route on the map'}">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path>
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
-                            </svg>
-                        </button>
-                        <button class="route-export-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded" data-id="${route.id}" title="Export this route as a GPX file" aria-label="Export this route as a GPX file">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
-                            </svg>
-                        </button>
-                        <button class="route-delete-btn p-1 hover:bg-red-200 dark:hover:bg-red-800 rounded" data-id="${route.id}" title="Delete this route" aria-label="Delete this route">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-            `;
-            list.appendChild(routeEl);
+        const details = await this.showWaypointDialog(waypoint, { title: 'Edit Waypoint', allowDelete: true });
+        if (!details) {
+            return;
+        }
 
-            // Add event listeners
-            routeEl.querySelector('.route-view-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.viewRoute(route.id);
+        if (details.delete) {
+            await this.deleteWaypoint(waypointId);
+            this.showToast('Waypoint deleted', 'success');
+        } else {
+            await this.saveWaypoint({ ...waypoint, ...details });
+            this.renderWaypoints();
+            this.showToast('Waypoint updated', 'success');
+        }
+        this.renderRoutesList();
+    }
+
+    // Resolves with { name, type, routeId }, { delete: true }, or null when cancelled
+    async showWaypointDialog(waypoint, options = {}) {
+        const { title = 'Waypoint', allowDelete = false } = options;
+
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('waypoint-dialog-overlay');
+            const titleEl = document.getElementById('waypoint-dialog-title');
+            const nameInput = document.getElementById('waypoint-name-input');
+            const typeSelect = document.getElementById('waypoint-type-select');
+            const routeSelect = document.getElementById('waypoint-route-select');
+            const confirmBtn = document.getElementById('waypoint-dialog-confirm');
+            const cancelBtn = document.getElementById('waypoint-dialog-cancel');
+            const deleteBtn = document.getElementById('waypoint-dialog-delete');
+
+            if (!overlay) {
+                resolve(null);
+                return;
+            }
+
+            titleEl.textContent = title;
+            nameInput.value = waypoint.name || '';
+            typeSelect.innerHTML = '';
+            Object.entries(TrailTrack.WAYPOINT_TYPES).forEach(([value, { label, icon }]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `${icon} ${label}`;
+                typeSelect.appendChild(option);
             });
-            routeEl.querySelector('.route-export-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.exportGPX(route.id);
+            typeSelect.value = TrailTrack.WAYPOINT_TYPES[waypoint.type] ? waypoint.type : 'generic';
+            routeSelect.innerHTML = '<option value="">None (standalone)</option>';
+            this.routes.forEach(route => {
+                const option = document.createElement('option');
+                option.value = route.id;
+                option.textContent = route.name;
+                routeSelect.appendChild(option);
             });
-            routeEl.querySelector('.route-delete-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.deleteRoute(route.id);
+            routeSelect.value = waypoint.routeId || '';
+            deleteBtn.classList.toggle('hidden', !allowDelete);
+
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                nameInput.focus();
             });
+
+            const handleConfirm = () => {
+                const result = {
+                    name: nameInput.value.trim() || TrailTrack.getWaypointType(typeSelect.value).label,
+                    type: typeSelect.value,
+                    routeId: routeSelect.value || null
+                };
+                cleanup();
+                resolve(result);
+            };
+
+            const handleDelete = () => {
+                cleanup();
+                resolve({ delete: true });
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                } else if (e.key === 'Enter' && e.target === nameInput) {
+                    handleConfirm();
+                }
+            };
+
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                deleteBtn.removeEventListener('click', handleDelete);
+                document.removeEventListener('keydown', handleKeydown);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            deleteBtn.addEventListener('click', handleDelete);
+            document.addEventListener('keydown', handleKeydown);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
+    }
+
+    // Show confirmation dialog
+    async showConfirmDialog(message, title = 'Confirm Action') {
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('confirm-dialog-overlay');
+            const messageEl = document.getElementById('confirm-dialog-message');
+            const titleEl = document.getElementById('confirm-dialog-title');
+            const confirmBtn = document.getElementById('confirm-dialog-confirm');
+            const cancelBtn = document.getElementById('confirm-dialog-cancel');
+
+            // Set content
+            titleEl.textContent = title;
+            messageEl.textContent = message;
+
+            // Show dialog - remove aria-hidden attribute entirely when visible
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
             
-            // Make the route item clickable to select/deselect
-            routeEl.querySelector('[data-route-id]').addEventListener('click', () => {
-                this.viewRoute(route.id);
+            // Focus after DOM update to avoid aria-hidden conflict
+            requestAnimationFrame(() => {
+                confirmBtn.focus();
             });
+
+            // Handle confirm
+            const handleConfirm = () => {
+                cleanup();
+                resolve(true);
+            };
+
+            // Handle cancel
+            const handleCancel = () => {
+                cleanup();
+                resolve(false);
+            };
+
+            // Handle escape key
+            const handleEscape = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                }
+            };
+
+            // Cleanup function
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                // Remove focus from button before hiding
+                confirmBtn.blur();
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                document.removeEventListener('keydown', handleEscape);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            // Handle overlay click (close on backdrop)
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            document.addEventListener('keydown', handleEscape);
+            overlay.addEventListener('click', handleOverlayClick);
         });
     }
 
-    getFilteredRoutes() {
-        const query = (this.routeSearchQuery || '').trim().toLowerCase();
-        if (!query) {
-            return [...this.routes];
+    // Delete route
+    async deleteRoute(routeId) {
+        const confirmed = await this.showConfirmDialog('Are you sure you want to delete this route?', 'Delete Route');
+        if (!confirmed) return;
+
+        const route = this.routes.find(r => r.id === routeId);
+        if (route && route.polyline) {
+            this.map.removeLayer(route.polyline);
         }
 
-        return this.routes.filter(route => {
-            const name = (route.name || '').toString().toLowerCase();
-            return name.includes(query);
-        });
+        if (this.routeEdit && this.routeEdit.route.id === routeId) {
+            this.cancelRouteEdit();
+        }
+
+        // If deleting the selected route, clear selection
+        if (this.selectedRouteId === routeId) {
+            this.selectedRouteId = null;
+            this.hideElevationProfile();
+            this.stopNavigation();
+        }
+
+        this.routes = this.routes.filter(r => r.id !== routeId);
+        await this.db.delete('routes', routeId);
+        await this.db.delete('originals', routeId);
+        this.setRouteLastViewed(routeId, null);
+
+        const attachedWaypoints = this.getRouteWaypoints(routeId);
+        this.waypoints = this.waypoints.filter(waypoint => !attachedWaypoints.includes(waypoint));
+        await Promise.all(attachedWaypoints.map(waypoint => this.db.delete('waypoints', waypoint.id)));
+        const photos = await this.getRoutePhotos(routeId);
+        await Promise.all(photos.map(photo => this.db.delete('photos', photo.id)));
+        this.renderWaypoints();
+        
+        // If we had a route selected and deleted it, show all remaining routes
+        if (this.selectedRouteId === null && this.routes.length > 0) {
+            this.showAllRoutes();
+        }
+        
+        this.renderRoutesList();
+        this.showToast('Route deleted', 'success');
     }
 
-    // View route on map - toggle selection
-    viewRoute(routeId) {
-        const route = this.routes.find(r => r.id === routeId);
-        if (!route) return;
+    // Import one or more GPX, KML, KMZ, GeoJSON, TCX or FIT files; every track becomes its own route
+    async importFiles(files) {
+        const fileList = files && typeof files.length === 'number' ? Array.from(files) : [files].filter(Boolean);
+        if (fileList.length === 0) return;
+
+        const tracks = [];
+        const waypointsByFile = [];
+        const unreadableFiles = [];
+        for (const [fileIndex, file] of fileList.entries()) {
+            try {
+                const parsed = await this.parseRouteFile(file);
+                parsed.tracks.forEach(track => tracks.push({ ...track, fileIndex, fileName: file.name }));
+                waypointsByFile[fileIndex] = parsed.waypoints;
+            } catch (error) {
+                console.error(`Import error (${file.name}):`, error);
+                unreadableFiles.push(file.name);
+                waypointsByFile[fileIndex] = [];
+            }
+        }
+
+        const waypointCount = waypointsByFile.reduce((count, waypoints) => count + waypoints.length, 0);
+        if (tracks.length === 0 && waypointCount === 0) {
+            this.showToast(
+                unreadableFiles.length === fileList.length ? 'Error importing file' : 'No route data found in file',
+                'error'
+            );
+            return;
+        }
+
+        // Let the user pick which tracks to keep when there is more than one
+        let selectedTracks = tracks;
+        if (tracks.length > 1) {
+            selectedTracks = await this.showImportDialog(tracks, fileList.length);
+            if (!selectedTracks) {
+                return;
+            }
+        }
+
+        try {
+            const importedRoutes = [];
+            for (const track of selectedTracks) {
+                const route = {
+                    id: this.generateRouteId(),
+                    name: track.name,
+                    description: track.description,
+                    notes: track.notes,
+                    color: track.color,
+                    type: track.isActivity ? 'activity' : 'planned',
+                    activityType: track.activityType || null,
+                    points: track.points,
+                    fixes: track.isActivity ? track.fixes : [],
+                    created: new Date().toISOString()
+                };
+
+                // Dense tracks (e.g. from a watch) make the map sluggish; offer to thin them
+                if (route.points.length >= TrailTrack.SIMPLIFY_PROMPT_POINTS) {
+                    const choice = await this.showSimplifyDialog(route, {
+                        title: `Simplify "${route.name}"`,
+                        cancelLabel: 'Keep All Points'
+                    });
+                    if (choice && choice.tolerance > 0) {
+                        this.applySimplification(route, route, choice);
+                    }
+                }
+
+                const elevationStats = TrailTrack.calculateElevationStats(route.points);
+                route.distance = this.calculateDistance(route.points);
+                route.elevationGain = elevationStats.gain;
+                route.elevationLoss = elevationStats.loss;
+                route.stats = track.isActivity ? TrailTrack.calculateActivityStats(route.points, route.fixes) : null;
+
+                await this.saveRoute(route);
+                this.routes.push(route);
+                importedRoutes.push({ route, fileIndex: track.fileIndex });
+            }
+
+            // A file's waypoints belong to its track when exactly one was kept
+            for (const [fileIndex, waypoints] of waypointsByFile.entries()) {
+                const fileRoutes = importedRoutes.filter(imported => imported.fileIndex === fileIndex);
+                await this.importWaypoints(waypoints, fileRoutes.length === 1 ? fileRoutes[0].route.id : null);
+            }
+
+            // Clear any route selection and show all routes (including the new ones)
+            this.selectedRouteId = null;
+            this.showAllRoutes();
+
+            // Fit bounds to the newly imported routes
+            const importedPolylines = importedRoutes.map(({ route }) => route.polyline).filter(Boolean);
+            if (importedPolylines.length > 0) {
+                this.map.fitBounds(L.featureGroup(importedPolylines).getBounds());
+            }
+
+            this.renderRoutesList();
+
+            const summary = [];
+            if (importedRoutes.length > 0) {
+                summary.push(`${importedRoutes.length} route${importedRoutes.length === 1 ? '' : 's'}`);
+            }
+            if (waypointCount > 0) {
+                summary.push(`${waypointCount} waypoint${waypointCount === 1 ? '' : 's'}`);
+            }
+            const skipped = unreadableFiles.length > 0 ? ` (could not read ${unreadableFiles.join(', ')})` : '';
+            this.showToast(`Imported ${summary.join(' and ')}${skipped}`, unreadableFiles.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast('Error importing file', 'error');
+        }
+    }
+
+    // Tracks and waypoints from a .gpx, .kml, .kmz, .geojson, .tcx or .fit file
+    async parseRouteFile(file) {
+        const extension = (file.name.match(/\.([^.]+)$/) || [])[1];
+        const format = (extension || '').toLowerCase();
+        const fallbackName = file.name.replace(/\.(gpx|kml|kmz|geojson|json|tcx|fit)$/i, '') || 'Imported Route';
+
+        if (format === 'fit') {
+            return {
+                tracks: TrailTrack.parseFit(await this.readFileAsArrayBuffer(file), fallbackName),
+                waypoints: []
+            };
+        }
+
+        if (format === 'geojson' || format === 'json') {
+            const geojson = TrailTrack.toFeatureCollection(JSON.parse(await this.readFileAsText(file)));
+            return {
+                tracks: TrailTrack.parseGeoJSONTracks(geojson, fallbackName),
+                waypoints: TrailTrack.parseGeoJSONWaypoints(geojson)
+            };
+        }
 
-        // If clicking the same route, deselect it (show all routes)
-        if (this.selectedRouteId === routeId) {
-            this.selectedRouteId = null;
-            this.showAllRoutes();
-            this.renderRoutesList();
-            return;
+        const text = format === 'kmz' ? await this.readKmzText(file) : await this.readFileAsText(file);
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('File is not valid XML');
         }
 
-        // Set selected route
-        this.selectedRouteId = routeId;
+        // Content decides the format, so a KML or TCX saved as .xml still imports
+        const rootName = doc.documentElement.localName;
+        if (rootName === 'TrainingCenterDatabase') {
+            return {
+                tracks: TrailTrack.parseTcx(doc, fallbackName),
+                waypoints: []
+            };
+        }
+        if (rootName.toLowerCase() === 'kml') {
+            const geojson = toGeoJSON.kml(doc);
+            return {
+                tracks: TrailTrack.parseGeoJSONTracks(geojson, fallbackName),
+                waypoints: TrailTrack.parseGeoJSONWaypoints(geojson)
+            };
+        }
 
-        // Hide all routes first
-        this.routes.forEach(r => {
-            if (r.polyline) {
-                this.map.removeLayer(r.polyline);
-            }
-        });
+        return {
+            tracks: TrailTrack.parseGeoJSONTracks(toGeoJSON.gpx(doc), fallbackName),
+            waypoints: TrailTrack.parseGpxWaypoints(doc)
+        };
+    }
 
-        // Show only the selected route
-        if (route.points && route.points.length > 0) {
-            // Recreate polyline if needed or if it was removed
-            if (!route.polyline || !this.map.hasLayer(route.polyline)) {
-                route.polyline = L.polyline(route.points, {
-                    color: '#facc15', // Bright yellow for selected route
-                    weight: 6,
-                    opacity: 1
-                }).addTo(this.map);
-            } else {
-                // Update style if polyline exists
-                route.polyline.setStyle({ color: '#facc15', opacity: 1, weight: 6 });
-            }
-            this.map.fitBounds(route.polyline.getBounds());
+    // KMZ is a zip archive holding doc.kml (or another .kml) plus assets
+    async readKmzText(file) {
+        const zip = await JSZip.loadAsync(file);
+        const kmlFiles = zip.file(/\.kml$/i);
+        if (kmlFiles.length === 0) {
+            throw new Error('KMZ archive contains no KML document');
         }
+        const kmlFile = kmlFiles.find(entry => entry.name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+        return kmlFile.async('string');
+    }
 
-        this.renderRoutesList();
-        document.getElementById('sidebar').classList.add('-translate-x-full');
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
     }
 
-    // Show all routes on map
-    showAllRoutes() {
-        // Remove all routes from map first
-        this.routes.forEach(r => {
-            if (r.polyline) {
-                this.map.removeLayer(r.polyline);
-            }
+    readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
         });
+    }
 
-        // Add all routes back to map
-        this.routes.forEach(route => {
-            if (route.points && route.points.length > 0) {
-                if (!route.polyline) {
-                    route.polyline = L.polyline(route.points, {
-                        color: '#eab308', // Yellow color
-                        weight: 5,
-                        opacity: 0.9
-                    }).addTo(this.map);
-                } else {
-                    route.polyline.setStyle({ color: '#eab308', opacity: 0.9, weight: 5 });
-                    route.polyline.addTo(this.map);
-                }
-            }
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
         });
     }
 
-    // Show confirmation dialog
-    async showConfirmDialog(message, title = 'Confirm Action') {
+    // Resolves with the tracks the user chose to keep, or null when cancelled
+    async showImportDialog(tracks, fileCount = 1) {
         return new Promise((resolve) => {
-            const overlay = document.getElementById('confirm-dialog-overlay');
-            const messageEl = document.getElementById('confirm-dialog-message');
-            const titleEl = document.getElementById('confirm-dialog-title');
-            const confirmBtn = document.getElementById('confirm-dialog-confirm');
-            const cancelBtn = document.getElementById('confirm-dialog-cancel');
+            const overlay = document.getElementById('import-dialog-overlay');
+            const titleEl = document.getElementById('import-dialog-title');
+            const listEl = document.getElementById('import-dialog-list');
+            const toggleAllBtn = document.getElementById('import-dialog-toggle-all');
+            const confirmBtn = document.getElementById('import-dialog-confirm');
+            const cancelBtn = document.getElementById('import-dialog-cancel');
+
+            if (!overlay) {
+                resolve(tracks);
+                return;
+            }
 
-            // Set content
-            titleEl.textContent = title;
-            messageEl.textContent = message;
+            titleEl.textContent = `Import ${tracks.length} tracks${fileCount > 1 ? ` from ${fileCount} files` : ''}`;
+            listEl.innerHTML = '';
+            tracks.forEach((track, index) => {
+                const row = document.createElement('label');
+                row.className = 'flex items-start gap-3 p-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer';
+                row.innerHTML = `
+                    <input type="checkbox" data-index="${index}" checked class="mt-1 w-4 h-4 text-green-600 bg-gray-100 border-gray-300 rounded focus:ring-green-500 dark:focus:ring-green-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600">
+                    <span class="flex-1 min-w-0">
+                        <span class="block font-medium text-sm text-gray-900 dark:text-white truncate"></span>
+                        <span class="block text-xs text-gray-500 dark:text-gray-400">
+                            ${track.isActivity ? 'Recorded' : 'Planned'} · ${TrailTrack.formatDistance(this.calculateDistance(track.points))} · ${track.points.length.toLocaleString()} points${fileCount > 1 ? ' · ' : ''}<span class="import-file-name"></span>
+                        </span>
+                    </span>
+                `;
+                // Names come from the file, so set them as text
+                row.querySelector('.font-medium').textContent = track.name;
+                if (fileCount > 1) {
+                    row.querySelector('.import-file-name').textContent = track.fileName;
+                }
+                listEl.appendChild(row);
+            });
+
+            const getCheckboxes = () => Array.from(listEl.querySelectorAll('input[type="checkbox"]'));
+            const updateButtons = () => {
+                const checkedCount = getCheckboxes().filter(checkbox => checkbox.checked).length;
+                confirmBtn.textContent = `Import ${checkedCount}`;
+                confirmBtn.disabled = checkedCount === 0;
+                toggleAllBtn.textContent = checkedCount === tracks.length ? 'Select none' : 'Select all';
+            };
+            updateButtons();
 
-            // Show dialog - remove aria-hidden attribute entirely when visible
             overlay.classList.remove('hidden');
             overlay.removeAttribute('aria-hidden');
-            
-            // Focus after DOM update to avoid aria-hidden conflict
+
             requestAnimationFrame(() => {
                 confirmBtn.focus();
             });
 
-            // Handle confirm
+            const handleToggleAll = () => {
+                const checkboxes = getCheckboxes();
+                const selectAll = checkboxes.some(checkbox => !checkbox.checked);
+                checkboxes.forEach(checkbox => {
+                    checkbox.checked = selectAll;
+                });
+                updateButtons();
+            };
+
             const handleConfirm = () => {
+                const selected = getCheckboxes()
+                    .filter(checkbox => checkbox.checked)
+                    .map(checkbox => tracks[Number(checkbox.dataset.index)]);
                 cleanup();
-                resolve(true);
+                resolve(selected);
             };
 
-            // Handle cancel
             const handleCancel = () => {
                 cleanup();
-                resolve(false);
+                resolve(null);
             };
 
-            // Handle escape key
             const handleEscape = (e) => {
                 if (e.key === 'Escape') {
                     handleCancel();
                 }
             };
 
-            // Cleanup function
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
             const cleanup = () => {
                 overlay.classList.add('hidden');
                 overlay.setAttribute('aria-hidden', 'true');
-                // Remove focus from button before hiding
                 confirmBtn.blur();
+                listEl.removeEventListener('change', updateButtons);
+                toggleAllBtn.removeEventListener('click', handleToggleAll);
                 confirmBtn.removeEventListener('click', handleConfirm);
                 cancelBtn.removeEventListener('click', handleCancel);
                 document.removeEventListener('keydown', handleEscape);
                 overlay.removeEventListener('click', handleOverlayClick);
             };
 
-            // Handle overlay click (close on backdrop)
-            const handleOverlayClick = (e) => {
-                if (e.target === overlay) {
-                    handleCancel();
-                }
-            };
-
+            listEl.addEventListener('change', updateButtons);
+            toggleAllBtn.addEventListener('click', handleToggleAll);
             confirmBtn.addEventListener('click', handleConfirm);
             cancelBtn.addEventListener('click', handleCancel);
             document.addEventListener('keydown', handleEscape);
@@ -1488,145 +6818,489 @@ class TrailTrack {
         });
     }
 
-    // Delete route
-    async deleteRoute(routeId) {
-        const confirmed = await this.showConfirmDialog('Are you sure you want to delete this route?', 'Delete Route');
-        if (!confirmed) return;
+    // Export GPX
+    exportGPX(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || route.points.length === 0) {
+            this.showToast('Route has no points', 'error');
+            return;
+        }
+
+        // Convert route points to GeoJSON; togpx only needs the name, description and times
+        const feature = TrailTrack.routeToFeature(route);
+        const { name, description, coordTimes } = feature.properties;
+        feature.properties = coordTimes ? { name, desc: description, coordTimes } : { name, desc: description };
+        const geojson = {
+            type: 'FeatureCollection',
+            features: [feature]
+        };
+
+        // Convert GeoJSON to GPX with the description as <desc> (togpx would otherwise
+        // dump every property there), then add the notes as <cmt> and waypoints as <wpt>
+        const track = toGPX(geojson, { featureDescription: properties => properties.desc || '' });
+        const gpx = TrailTrack.addWaypointsToGpx(
+            TrailTrack.addTrackCommentToGpx(track, route.notes),
+            this.getRouteWaypoints(route.id)
+        );
+
+        this.downloadFile(gpx, `${route.name.replace(/\s+/g, '_')}.gpx`, 'application/gpx+xml');
+        this.showToast('GPX exported successfully', 'success');
+    }
 
+    // Export one route and its waypoints as a GeoJSON FeatureCollection
+    exportGeoJSON(routeId) {
         const route = this.routes.find(r => r.id === routeId);
-        if (route && route.polyline) {
-            this.map.removeLayer(route.polyline);
+        if (!route || route.points.length === 0) {
+            this.showToast('Route has no points', 'error');
+            return;
         }
 
-        // If deleting the selected route, clear selection
-        if (this.selectedRouteId === routeId) {
-            this.selectedRouteId = null;
+        const geojson = TrailTrack.buildFeatureCollection([route], this.getRouteWaypoints(route.id));
+        this.downloadFile(
+            JSON.stringify(geojson, null, 2),
+            `${route.name.replace(/\s+/g, '_')}.geojson`,
+            'application/geo+json'
+        );
+        this.showToast('GeoJSON exported successfully', 'success');
+    }
+
+    // Export every route and waypoint as one GeoJSON FeatureCollection
+    exportLibraryGeoJSON() {
+        const routes = this.routes.filter(route => Array.isArray(route.points) && route.points.length > 0);
+        if (routes.length === 0 && this.waypoints.length === 0) {
+            this.showToast('No routes to export', 'error');
+            return;
         }
 
-        this.routes = this.routes.filter(r => r.id !== routeId);
-        await this.db.delete('routes', routeId);
-        
-        // If we had a route selected and deleted it, show all remaining routes
-        if (this.selectedRouteId === null && this.routes.length > 0) {
-            this.showAllRoutes();
+        const geojson = TrailTrack.buildFeatureCollection(routes, this.waypoints);
+        this.downloadFile(JSON.stringify(geojson, null, 2), 'trailtrack-library.geojson', 'application/geo+json');
+        this.showToast(`Exported ${routes.length} route${routes.length === 1 ? '' : 's'} as GeoJSON`, 'success');
+    }
+
+    // Current values of the settings carried in library backups
+    readSettings() {
+        const settings = {};
+        TrailTrack.SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                settings[key] = value;
+            }
+        });
+        return settings;
+    }
+
+    // Download routes, waypoints and settings as one versioned backup file
+    async exportLibraryBackup() {
+        // Originals of simplified routes are only loaded for the backup
+        const routes = [];
+        try {
+            for (const route of this.routes) {
+                routes.push({ ...route, original: await this.loadRouteOriginal(route) });
+            }
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.showToast('Error reading routes for the backup', 'error');
+            return;
         }
-        
-        this.renderRoutesList();
-        this.showToast('Route deleted', 'success');
+        const { photos, ...library } = TrailTrack.buildBackup(routes, this.waypoints, this.readSettings());
+
+        // Photos can be several MB each, so they are encoded one at a time and
+        // added as Blob parts rather than building the backup as one string
+        const parts = [`${JSON.stringify(library).slice(0, -1)},"photos":[`];
+        try {
+            const photoIds = await this.db.getAllKeys('photos');
+            for (const [index, id] of photoIds.entries()) {
+                const photo = await this.db.get('photos', id);
+                const data = await this.readFileAsDataUrl(photo.blob);
+                const json = JSON.stringify(TrailTrack.normalizeBackupPhoto({ ...photo, data }));
+                parts.push(new Blob([index > 0 ? `,${json}` : json]));
+            }
+        } catch (error) {
+            console.error('Backup error:', error);
+            this.showToast('Error reading photos for the backup', 'error');
+            return;
+        }
+        parts.push(']}');
+
+        const date = library.exportedAt.slice(0, 10);
+        this.downloadFile(new Blob(parts), `trailtrack-backup-${date}.json`, 'application/json');
+        this.showToast(`Backed up ${library.routes.length} route${library.routes.length === 1 ? '' : 's'} and ${library.waypoints.length} waypoint${library.waypoints.length === 1 ? '' : 's'}`, 'success');
     }
 
-    // Import GPX
-    async importGPX(file) {
+    async restoreLibrary(file) {
         if (!file) return;
 
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const gpxContent = e.target.result;
-                const parser = new DOMParser();
-                const gpxDoc = parser.parseFromString(gpxContent, 'text/xml');
-                
-                // Convert GPX to GeoJSON using toGeoJSON
-                const geojson = toGeoJSON.gpx(gpxDoc);
-                
-                if (!geojson.features || geojson.features.length === 0) {
-                    this.showToast('No route data found in GPX file', 'error');
-                    return;
+        let backup;
+        try {
+            backup = TrailTrack.parseBackup(await this.readFileAsText(file));
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showToast('Not a valid TrailTrack backup file', 'error');
+            return;
+        }
+
+        const localPhotoIds = await this.db.getAllKeys('photos');
+        const plan = await this.showRestoreDialog(backup, localPhotoIds);
+        if (!plan) return;
+
+        try {
+            await this.applyRestore(plan);
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showToast('Error restoring library', 'error');
+            return;
+        }
+
+        const settingsChanged = Object.keys(plan.settingsToSet).length + plan.settingsToRemove.length > 0;
+        this.showToast(
+            settingsChanged ? 'Library restored. Reload the page to apply restored settings.' : 'Library restored',
+            'success'
+        );
+    }
+
+    // Work out what restoring a parsed backup would change, without writing anything.
+    // mode: 'merge' keeps local items, 'replace' makes the library match the backup.
+    // duplicates (merge only): what to do when an id exists locally with different
+    // contents - 'skip', 'overwrite' or 'keep-both' (the backup copy gets a new id).
+    // Photos are only known by id here, since their images stay in IndexedDB.
+    planRestore(backup, { mode = 'merge', duplicates = 'skip' } = {}, localPhotoIds = []) {
+        const replace = mode === 'replace';
+        const plan = {
+            mode: replace ? 'replace' : 'merge',
+            duplicates,
+            routesToSave: [],
+            routeIdsToDelete: [],
+            waypointsToSave: [],
+            waypointIdsToDelete: [],
+            photosToSave: [],
+            photoIdsToDelete: [],
+            settingsToSet: {},
+            settingsToRemove: [],
+            summary: {
+                routesAdded: 0,
+                routesUpdated: 0,
+                routesCopied: 0,
+                routesUnchanged: 0,
+                routesSkipped: 0,
+                routesDeleted: 0,
+                waypointsAdded: 0,
+                waypointsUpdated: 0,
+                waypointsSkipped: 0,
+                waypointsDeleted: 0,
+                photosAdded: 0,
+                photosDeleted: 0,
+                settingsChanged: 0
+            }
+        };
+
+        const takenIds = new Set([
+            ...this.routes.map(route => route.id),
+            ...backup.routes.map(route => route.id),
+            ...this.waypoints.map(waypoint => waypoint.id),
+            ...backup.waypoints.map(waypoint => waypoint.id),
+            ...localPhotoIds,
+            ...backup.photos.map(photo => photo.id)
+        ]);
+        const freshId = (prefix) => {
+            const base = `${prefix}${Date.now()}`;
+            let id = base;
+            let suffix = 1;
+            while (takenIds.has(id)) {
+                id = `${base}-${suffix++}`;
+            }
+            takenIds.add(id);
+            return id;
+        };
+
+        // Returns 'add', 'unchanged', 'update', 'skip' or 'copy' for one backup item
+        const resolve = (local, incoming, serialize) => {
+            if (!local) return 'add';
+            if (JSON.stringify(serialize(local)) === JSON.stringify(serialize(incoming))) return 'unchanged';
+            if (replace || duplicates === 'overwrite') return 'update';
+            return duplicates === 'keep-both' ? 'copy' : 'skip';
+        };
+
+        const routeIdMap = new Map();
+        backup.routes.forEach(route => {
+            const action = resolve(this.routes.find(r => r.id === route.id), route, TrailTrack.serializeRoute);
+            if (action === 'add' || action === 'update') {
+                plan.routesToSave.push(route);
+                plan.summary[action === 'add' ? 'routesAdded' : 'routesUpdated']++;
+            } else if (action === 'copy') {
+                const copy = { ...route, id: freshId('') };
+                routeIdMap.set(route.id, copy.id);
+                plan.routesToSave.push(copy);
+                plan.summary.routesCopied++;
+            } else {
+                plan.summary[action === 'unchanged' ? 'routesUnchanged' : 'routesSkipped']++;
+            }
+        });
+
+        // Waypoints follow a copied route to its new id
+        backup.waypoints.forEach(original => {
+            const waypoint = routeIdMap.has(original.routeId)
+                ? { ...original, routeId: routeIdMap.get(original.routeId) }
+                : original;
+            const action = resolve(this.waypoints.find(w => w.id === waypoint.id), waypoint, TrailTrack.serializeWaypoint);
+            if (action === 'add' || action === 'update') {
+                plan.waypointsToSave.push(waypoint);
+                plan.summary[action === 'add' ? 'waypointsAdded' : 'waypointsUpdated']++;
+            } else if (action === 'copy') {
+                plan.waypointsToSave.push({ ...waypoint, id: freshId('wpt-') });
+                plan.summary.waypointsAdded++;
+            } else if (action === 'skip') {
+                plan.summary.waypointsSkipped++;
+            }
+        });
+
+        // Photos never change once attached: add the ones missing here, and give
+        // a copied route its own copies
+        const localPhotos = new Set(localPhotoIds);
+        backup.photos.forEach(photo => {
+            if (routeIdMap.has(photo.routeId)) {
+                plan.photosToSave.push({ ...photo, id: freshId('photo-'), routeId: routeIdMap.get(photo.routeId) });
+            } else if (!localPhotos.has(photo.id)) {
+                plan.photosToSave.push(photo);
+            } else {
+                return;
+            }
+            plan.summary.photosAdded++;
+        });
+
+        const localSettings = this.readSettings();
+        if (replace) {
+            const backupRouteIds = new Set(backup.routes.map(route => route.id));
+            const backupWaypointIds = new Set(backup.waypoints.map(waypoint => waypoint.id));
+            plan.routeIdsToDelete = this.routes.map(route => route.id).filter(id => !backupRouteIds.has(id));
+            plan.waypointIdsToDelete = this.waypoints.map(waypoint => waypoint.id).filter(id => !backupWaypointIds.has(id));
+            plan.summary.routesDeleted = plan.routeIdsToDelete.length;
+            plan.summary.waypointsDeleted = plan.waypointIdsToDelete.length;
+            const backupPhotoIds = new Set(backup.photos.map(photo => photo.id));
+            plan.photoIdsToDelete = localPhotoIds.filter(id => !backupPhotoIds.has(id));
+            plan.summary.photosDeleted = plan.photoIdsToDelete.length;
+
+            Object.entries(backup.settings).forEach(([key, value]) => {
+                if (localSettings[key] !== value) {
+                    plan.settingsToSet[key] = value;
                 }
+            });
+            plan.settingsToRemove = Object.keys(localSettings).filter(key => !(key in backup.settings));
+        } else {
+            // Merging only fills in settings that haven't been set here
+            Object.entries(backup.settings).forEach(([key, value]) => {
+                if (!(key in localSettings)) {
+                    plan.settingsToSet[key] = value;
+                }
+            });
+        }
+        plan.summary.settingsChanged = Object.keys(plan.settingsToSet).length + plan.settingsToRemove.length;
 
-                // Extract coordinates from GeoJSON
-                const points = [];
-                geojson.features.forEach(feature => {
-                    if (feature.geometry.type === 'LineString') {
-                        feature.geometry.coordinates.forEach(coord => {
-                            points.push([coord[1], coord[0]]); // GeoJSON is [lng, lat], Leaflet uses [lat, lng]
-                        });
-                    }
+        return plan;
+    }
+
+    // Preview a restore; resolves with the chosen plan, or null when cancelled
+    async showRestoreDialog(backup, localPhotoIds = []) {
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('restore-dialog-overlay');
+            const sourceEl = document.getElementById('restore-dialog-source');
+            const modeSelect = document.getElementById('restore-mode-select');
+            const duplicatesSelect = document.getElementById('restore-duplicates-select');
+            const summaryEl = document.getElementById('restore-dialog-summary');
+            const confirmBtn = document.getElementById('restore-dialog-confirm');
+            const cancelBtn = document.getElementById('restore-dialog-cancel');
+
+            if (!overlay) {
+                resolve(this.planRestore(backup, {}, localPhotoIds));
+                return;
+            }
+
+            const exportedAt = backup.exportedAt ? new Date(backup.exportedAt) : null;
+            sourceEl.textContent = `${backup.routes.length} routes, ${backup.waypoints.length} waypoints, ${backup.photos.length} photos` +
+                (exportedAt && !Number.isNaN(exportedAt.getTime()) ? ` · saved ${exportedAt.toLocaleString()}` : '');
+            modeSelect.value = 'merge';
+            duplicatesSelect.value = 'skip';
+
+            let plan = null;
+            const updatePreview = () => {
+                duplicatesSelect.disabled = modeSelect.value === 'replace';
+                plan = this.planRestore(backup, { mode: modeSelect.value, duplicates: duplicatesSelect.value }, localPhotoIds);
+                const lines = TrailTrack.describeRestorePlan(plan.summary);
+                const hasChanges = plan.routesToSave.length + plan.routeIdsToDelete.length +
+                    plan.waypointsToSave.length + plan.waypointIdsToDelete.length +
+                    plan.photosToSave.length + plan.photoIdsToDelete.length + plan.summary.settingsChanged > 0;
+                summaryEl.innerHTML = '';
+                (lines.length > 0 ? lines : ['Nothing to change']).forEach(line => {
+                    const item = document.createElement('li');
+                    item.textContent = line;
+                    summaryEl.appendChild(item);
                 });
+                confirmBtn.disabled = !hasChanges;
+            };
+            updatePreview();
 
-                if (points.length === 0) {
-                    this.showToast('No valid route found in GPX file', 'error');
-                    return;
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                modeSelect.focus();
+            });
+
+            const handleConfirm = () => {
+                cleanup();
+                resolve(plan);
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleEscape = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
                 }
+            };
 
-                // Create route from GPX
-                const route = {
-                    id: Date.now().toString(),
-                    name: file.name.replace('.gpx', '') || 'Imported Route',
-                    points: points,
-                    distance: this.calculateDistance(points),
-                    created: new Date().toISOString()
-                };
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                modeSelect.removeEventListener('change', updatePreview);
+                duplicatesSelect.removeEventListener('change', updatePreview);
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                document.removeEventListener('keydown', handleEscape);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            modeSelect.addEventListener('change', updatePreview);
+            duplicatesSelect.addEventListener('change', updatePreview);
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            document.addEventListener('keydown', handleEscape);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
+    }
 
-                // Save route
-                await this.saveRoute(route);
-                this.routes.push(route);
-                
-                // Clear any route selection and show all routes (including the new one)
-                this.selectedRouteId = null;
-                this.showAllRoutes();
-                
-                // Fit bounds to the newly imported route
+    // Write a restore plan through saveRoute/saveWaypoint, then reload the library
+    async applyRestore(plan) {
+        // Nothing may keep pointing at routes that are about to change
+        this.stopNavigation();
+        if (this.routeEdit) {
+            this.cancelRouteEdit();
+        }
+        this.cancelRouteSplit();
+        if (this.waypointPlacement) {
+            this.toggleWaypointPlacement();
+        }
+        this.selectedRouteId = null;
+        this.hideElevationProfile();
+        if (this.map) {
+            this.routes.forEach(route => {
                 if (route.polyline) {
-                    this.map.fitBounds(route.polyline.getBounds());
+                    this.map.removeLayer(route.polyline);
                 }
-                
-                this.renderRoutesList();
-                
-                this.showToast('GPX imported successfully', 'success');
-            } catch (error) {
-                console.error('GPX import error:', error);
-                this.showToast('Error importing GPX file', 'error');
-            }
-        };
-        reader.readAsText(file);
+            });
+        }
+
+        try {
+            // Convert everything before writing, so a bad record can't stop the restore half-way
+            // A restored route keeps only the original that came with it in the backup
+            const routes = plan.routesToSave.map(route => TrailTrack.serializeRoute({ ...route, originalPointCount: null }));
+            const originals = plan.routesToSave
+                .filter(route => route.original && Array.isArray(route.original.points) && route.original.points.length > 0)
+                .map(route => ({ routeId: String(route.id), ...TrailTrack.serializeOriginal(route.original) }));
+            const waypoints = plan.waypointsToSave.map(waypoint => TrailTrack.serializeWaypoint(waypoint));
+            const photos = plan.photosToSave.map(({ data, ...photo }) => ({ ...photo, blob: TrailTrack.dataUrlToBlob(data) }));
+
+            // One transaction: if any write fails (e.g. storage quota) none of them apply
+            const tx = this.db.transaction(['routes', 'originals', 'waypoints', 'photos'], 'readwrite');
+            const routeStore = tx.objectStore('routes');
+            const originalStore = tx.objectStore('originals');
+            const waypointStore = tx.objectStore('waypoints');
+            const photoStore = tx.objectStore('photos');
+            await Promise.all([
+                ...plan.routeIdsToDelete.map(id => routeStore.delete(id)),
+                ...plan.routeIdsToDelete.map(id => originalStore.delete(id)),
+                ...routes.filter(route => !route.originalPointCount).map(route => originalStore.delete(route.id)),
+                ...plan.waypointIdsToDelete.map(id => waypointStore.delete(id)),
+                ...plan.photoIdsToDelete.map(id => photoStore.delete(id)),
+                ...routes.map(route => routeStore.put(route)),
+                ...originals.map(original => originalStore.put(original)),
+                ...waypoints.map(waypoint => waypointStore.put(waypoint)),
+                ...photos.map(photo => photoStore.put(photo)),
+                tx.done
+            ]);
+
+            Object.entries(plan.settingsToSet).forEach(([key, value]) => localStorage.setItem(key, value));
+            plan.settingsToRemove.forEach(key => localStorage.removeItem(key));
+        } finally {
+            // Show the library as stored, whether or not the restore went through
+            await this.loadRoutes();
+            await this.loadWaypoints();
+        }
     }
 
-    // Export GPX
-    exportGPX(routeId) {
+    // Export KML (for Google Earth), keeping the route's name and colour
+    exportKML(routeId) {
         const route = this.routes.find(r => r.id === routeId);
         if (!route || route.points.length === 0) {
             this.showToast('Route has no points', 'error');
             return;
         }
 
-        // Convert route points to GeoJSON
-        const geojson = {
-            type: 'FeatureCollection',
-            features: [{
-                type: 'Feature',
-                properties: {
-                    name: route.name
-                },
-                geometry: {
-                    type: 'LineString',
-                    coordinates: route.points.map(p => [p[1], p[0]]) // Leaflet [lat, lng] to GeoJSON [lng, lat]
-                }
-            }]
-        };
+        const kml = TrailTrack.buildKml(route, this.getRouteWaypoints(route.id));
+        this.downloadFile(kml, `${route.name.replace(/\s+/g, '_')}.kml`, 'application/vnd.google-earth.kml+xml');
+        this.showToast('KML exported successfully', 'success');
+    }
+
+    // Export waypoints that don't belong to a route as a waypoint-only GPX file
+    exportWaypointsGPX() {
+        const waypoints = this.getRouteWaypoints(null);
+        if (waypoints.length === 0) {
+            this.showToast('No standalone waypoints to export', 'error');
+            return;
+        }
+
+        const gpx = TrailTrack.addWaypointsToGpx(toGPX({ type: 'FeatureCollection', features: [] }), waypoints);
+        this.downloadFile(gpx, 'waypoints.gpx', 'application/gpx+xml');
+        this.showToast('Waypoints exported successfully', 'success');
+    }
 
-        // Convert GeoJSON to GPX
-        const gpx = toGPX(geojson);
+    async importWaypoints(waypoints, routeId) {
+        for (const waypoint of waypoints) {
+            await this.saveWaypoint({
+                ...waypoint,
+                id: this.generateWaypointId(),
+                routeId,
+                created: new Date().toISOString()
+            });
+        }
+    }
 
-        // Download file
-        const blob = new Blob([gpx], { type: 'application/gpx+xml' });
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${route.name.replace(/\s+/g, '_')}.gpx`;
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        this.showToast('GPX exported successfully', 'success');
     }
 
     // Cache individual tile
     async cacheTile(tileUrl) {
         if ('caches' in window) {
             try {
-                const cache = await caches.open('trailtrack-tiles-v1');
+                const cache = await caches.open(TrailTrack.TILE_CACHE_NAME);
                 const cached = await cache.match(tileUrl);
                 if (!cached) {
                     await cache.add(tileUrl).catch(() => {
@@ -1639,49 +7313,588 @@ class TrailTrack {
         }
     }
 
-    // Download area for offline use
+    // Every map tile (and terrain tile, for offline elevation) covering the bounds
+    getRegionTileUrls(bounds, minZoom, maxZoom) {
+        const tiles = TrailTrack.getTileUrlsForBounds(bounds, minZoom, maxZoom, TrailTrack.OFFLINE_TILE_URL);
+        if (this.elevationTileUrl) {
+            const elevationZoom = this.options.elevationTileZoom;
+            tiles.push(...TrailTrack.getTileUrlsForBounds(bounds, elevationZoom, elevationZoom, this.elevationTileUrl));
+        }
+        return tiles;
+    }
+
+    // Map (and terrain) tiles within bufferMeters of a route
+    getRouteCorridorTileUrls(points, bufferMeters, minZoom, maxZoom) {
+        const tiles = TrailTrack.getTileUrlsAlongRoute(points, bufferMeters, minZoom, maxZoom, TrailTrack.OFFLINE_TILE_URL);
+        if (this.elevationTileUrl) {
+            const elevationZoom = this.options.elevationTileZoom;
+            tiles.push(...TrailTrack.getTileUrlsAlongRoute(points, bufferMeters, elevationZoom, elevationZoom, this.elevationTileUrl));
+        }
+        return tiles;
+    }
+
+    // Average tile size of what has been downloaded so far, for size estimates
+    estimateTileBytes() {
+        const tileCount = this.regions.reduce((sum, region) => sum + region.tileCount, 0);
+        const bytes = this.regions.reduce((sum, region) => sum + region.bytes, 0);
+        return tileCount > 0 ? bytes / tileCount : TrailTrack.ESTIMATED_TILE_BYTES;
+    }
+
+    describeTileDownload(tiles, minZoom, maxZoom) {
+        const summary = `${tiles.length.toLocaleString()} tiles · about ${TrailTrack.formatBytes(Math.round(tiles.length * this.estimateTileBytes()))} · zoom ${minZoom}–${maxZoom}`;
+        const [limitIssue] = TrailTrack.getTileServerLimitIssues(tiles);
+        return limitIssue ? `${summary}. ${limitIssue}` : summary;
+    }
+
+    // Download area for offline use: name the current view and save it as a region
     async downloadAreaForOffline() {
         if (!navigator.onLine) {
             this.showToast('You are offline. Cannot download tiles.', 'error');
             return;
         }
 
-        const bounds = this.map.getBounds();
+        const mapBounds = this.map.getBounds();
+        const bounds = {
+            south: mapBounds.getSouth(),
+            west: mapBounds.getWest(),
+            north: mapBounds.getNorth(),
+            east: mapBounds.getEast()
+        };
         const zoom = this.map.getZoom();
         const minZoom = Math.max(zoom - 2, 10); // Download from 2 zoom levels below
         const maxZoom = Math.min(zoom + 2, 18); // Up to 2 zoom levels above
+        const tiles = this.getRegionTileUrls(bounds, minZoom, maxZoom);
 
-        this.showToast('Downloading map tiles for offline use...', 'info');
+        const choice = await this.showRegionDialog({
+            name: `Area ${this.regions.length + 1}`,
+            describe: () => this.describeTileDownload(tiles, minZoom, maxZoom)
+        });
+        if (!choice) return;
 
-        const tiles = [];
-        const tilePromises = [];
+        await this.downloadRegion({ name: choice.name, bounds, minZoom, maxZoom, tiles });
+    }
 
-        // Calculate tile coordinates for all zoom levels
-        for (let z = minZoom; z <= maxZoom; z++) {
-            const nw = this.map.project(bounds.getNorthWest(), z);
-            const se = this.map.project(bounds.getSouthEast(), z);
-            
-            const minX = Math.floor(Math.min(nw.x, se.x) / 256);
-            const maxX = Math.ceil(Math.max(nw.x, se.x) / 256);
-            const minY = Math.floor(Math.min(nw.y, se.y) / 256);
-            const maxY = Math.ceil(Math.max(nw.y, se.y) / 256);
+    // Make a route available offline: the tiles in a buffer along its line
+    async downloadRouteForOffline(routeId) {
+        const route = this.routes.find(r => r.id === routeId);
+        if (!route || !route.points || route.points.length === 0) {
+            return;
+        }
+        if (!navigator.onLine) {
+            this.showToast('You are offline. Cannot download tiles.', 'error');
+            return;
+        }
+
+        // The tile list for each buffer and zoom range is worked out once, for both
+        // the dialog's summary and the download
+        const corridorTiles = new Map();
+        const getTiles = ({ bufferMeters, minZoom, maxZoom }) => {
+            const key = `${bufferMeters}/${minZoom}/${maxZoom}`;
+            if (!corridorTiles.has(key)) {
+                corridorTiles.set(key, this.getRouteCorridorTileUrls(route.points, bufferMeters, minZoom, maxZoom));
+            }
+            return corridorTiles.get(key);
+        };
+
+        const savedBuffer = parseInt(localStorage.getItem('offlineCorridorBuffer'), 10);
+        const choice = await this.showRegionDialog({
+            name: route.name,
+            corridor: {
+                bufferMeters: Number.isFinite(savedBuffer) ? savedBuffer : TrailTrack.DEFAULT_CORRIDOR_BUFFER,
+                minZoom: 12,
+                maxZoom: 16
+            },
+            describe: (settings) => this.describeTileDownload(getTiles(settings), settings.minZoom, settings.maxZoom)
+        });
+        if (!choice) return;
+
+        const { name, bufferMeters, minZoom, maxZoom } = choice;
+        localStorage.setItem('offlineCorridorBuffer', bufferMeters);
+        await this.downloadRegion({
+            name,
+            bounds: TrailTrack.bufferedBounds(route.points, bufferMeters),
+            minZoom,
+            maxZoom,
+            tiles: getTiles({ bufferMeters, minZoom, maxZoom }),
+            routeId: route.id
+        });
+    }
+
+    // Cache one tile for an offline region, retrying with exponential backoff on
+    // network errors and server overload. Resolves with { status, bytes } where
+    // status is 'succeeded', 'skipped' (already cached) or 'failed'
+    async fetchTileWithRetry(cache, tileUrl, download) {
+        const cached = await cache.match(tileUrl);
+        if (cached) {
+            return { status: 'skipped', bytes: (await cached.blob()).size };
+        }
 
-            for (let x = minX; x <= maxX; x++) {
-                for (let y = minY; y <= maxY; y++) {
-                    // OpenStreetMap tile URL
-                    const tileUrl = `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
-                    tiles.push(tileUrl);
-                    tilePromises.push(this.cacheTile(tileUrl));
+        const { maxRetries, retryBaseDelay } = TrailTrack.TILE_DOWNLOAD;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetch(tileUrl, { mode: 'cors' });
+                if (response.ok) {
+                    await cache.put(tileUrl, response.clone());
+                    return { status: 'succeeded', bytes: (await response.blob()).size };
                 }
+                if (!TrailTrack.isRetryableTileStatus(response.status)) {
+                    return { status: 'failed', bytes: 0 };
+                }
+            } catch (error) {
+                // Network error; retried below
             }
+
+            if (attempt >= maxRetries || download.cancelled) {
+                return { status: 'failed', bytes: 0 };
+            }
+            // Back off, but give up at once when the download is cancelled and
+            // hold the retry while it is paused
+            await Promise.race([
+                new Promise(resolve => setTimeout(resolve, retryBaseDelay * Math.pow(2, attempt))),
+                download.stopped
+            ]);
+            while (download.paused && !download.cancelled) {
+                await download.resumed;
+            }
+            if (download.cancelled) {
+                return { status: 'failed', bytes: 0 };
+            }
+        }
+    }
+
+    // Work through the tiles a few at a time per server, honouring pause and cancel
+    // on this.tileDownload between tiles. onResult is awaited as each tile finishes.
+    // Resolves with a Map of tile URL to result
+    async runTileDownloadQueue(tiles, onResult = null) {
+        const download = this.tileDownload;
+        const cache = await caches.open(TrailTrack.TILE_CACHE_NAME);
+        const results = new Map();
+
+        const servers = Object.entries(TrailTrack.groupTilesByHost(tiles));
+        await Promise.all(servers.map(([host, urls]) => {
+            const { maxConcurrent } = TrailTrack.getTileServerLimit(host);
+            let next = 0;
+            const worker = async () => {
+                while (next < urls.length) {
+                    while (download.paused && !download.cancelled) {
+                        await download.resumed;
+                    }
+                    if (download.cancelled) return;
+
+                    const tileUrl = urls[next++];
+                    const result = await this.fetchTileWithRetry(cache, tileUrl, download);
+                    results.set(tileUrl, result);
+                    if (onResult) {
+                        await onResult(tileUrl, result);
+                    }
+                    download[result.status]++;
+                    this.renderTileDownloadProgress();
+                }
+            };
+            return Promise.all(Array.from({ length: Math.min(maxConcurrent, urls.length) }, worker));
+        }));
+
+        return results;
+    }
+
+    pauseTileDownload() {
+        const download = this.tileDownload;
+        if (!download || download.paused || download.cancelled) return;
+        download.paused = true;
+        download.resumed = new Promise(resolve => {
+            download.resume = resolve;
+        });
+        this.renderTileDownloadProgress();
+    }
+
+    resumeTileDownload() {
+        const download = this.tileDownload;
+        if (!download || !download.paused) return;
+        download.paused = false;
+        download.resume();
+        this.renderTileDownloadProgress();
+    }
+
+    cancelTileDownload() {
+        const download = this.tileDownload;
+        if (!download || download.cancelled) return;
+        download.cancelled = true;
+        download.stop();
+        if (download.paused) {
+            download.paused = false;
+            download.resume();
+        }
+        this.renderTileDownloadProgress();
+    }
+
+    renderTileDownloadProgress() {
+        const panel = document.getElementById('tile-download-panel');
+        if (!panel) return;
+
+        const download = this.tileDownload;
+        panel.classList.toggle('hidden', !download);
+        if (!download) return;
+
+        const done = download.succeeded + download.failed + download.skipped;
+        const percent = download.total > 0 ? Math.round((done / download.total) * 100) : 0;
+        document.getElementById('tile-download-title').textContent = download.cancelled
+            ? 'Cancelling…'
+            : `${download.paused ? 'Paused' : 'Downloading'} "${download.name}"`;
+        document.getElementById('tile-download-bar').style.width = `${percent}%`;
+        document.getElementById('tile-download-progress').setAttribute('aria-valuenow', percent);
+        document.getElementById('tile-download-status').textContent =
+            `${done.toLocaleString()} / ${download.total.toLocaleString()} tiles · ${download.succeeded} downloaded · ${download.skipped} already cached · ${download.failed} failed`;
+
+        const pauseBtn = document.getElementById('tile-download-pause');
+        pauseBtn.textContent = download.paused ? 'Resume' : 'Pause';
+        pauseBtn.disabled = download.cancelled;
+        document.getElementById('tile-download-cancel').disabled = download.cancelled;
+    }
+
+    // Download a region's tiles and record it, with which tiles it owns, in IndexedDB.
+    // Tiles default to everything inside the bounds; route corridors pass their own.
+    // The region is stored before the first tile and owns each tile as it arrives, so
+    // a cancelled, failed or interrupted download can always be cleaned up
+    async downloadRegion({ name, bounds, minZoom, maxZoom, tiles = this.getRegionTileUrls(bounds, minZoom, maxZoom), routeId = null }) {
+        if (this.tileDownload) {
+            this.showToast('Another offline download is still running', 'warning');
+            return null;
+        }
+        const [limitIssue] = TrailTrack.getTileServerLimitIssues(tiles);
+        if (limitIssue) {
+            this.showToast(limitIssue, 'error');
+            return null;
         }
 
+        const region = {
+            id: `region-${Date.now()}`,
+            name,
+            bounds,
+            minZoom,
+            maxZoom,
+            tileCount: 0,
+            bytes: 0,
+            created: new Date().toISOString(),
+            ...(routeId ? { routeId } : {})
+        };
+
+        const download = {
+            name,
+            tiles: new Set(tiles),
+            total: tiles.length,
+            succeeded: 0,
+            failed: 0,
+            skipped: 0,
+            paused: false,
+            cancelled: false,
+            resumed: Promise.resolve(),
+            resume: null,
+            stop: null
+        };
+        download.stopped = new Promise(resolve => {
+            download.stop = resolve;
+        });
+        await this.db.put('regions', region);
+        this.tileDownload = download;
+        this.renderTileDownloadProgress();
+
+        let error = null;
         try {
-            await Promise.allSettled(tilePromises);
-            this.showToast(`Downloaded ${tiles.length} tiles for offline use`, 'success');
-        } catch (error) {
-            this.showToast('Error downloading tiles', 'error');
+            // Tiles are shared between overlapping regions; each records its owners
+            await this.runTileDownloadQueue(tiles, async (tileUrl, { status, bytes }) => {
+                if (status === 'failed') return;
+
+                await this.addTileOwner(tileUrl, bytes, region.id);
+                region.tileCount++;
+                region.bytes += bytes;
+            });
+        } catch (downloadError) {
+            console.error('Offline download error:', downloadError);
+            error = downloadError;
+        } finally {
+            this.tileDownload = null;
+            this.renderTileDownloadProgress();
+        }
+
+        if (error || download.cancelled || region.tileCount === 0) {
+            await this.removeRegionTiles(region.id);
+            await this.db.delete('regions', region.id);
+            if (error) {
+                this.showToast('Error downloading tiles', 'error');
+            } else if (download.cancelled) {
+                this.showToast('Offline download cancelled', 'info');
+            } else {
+                this.showToast('Could not download any tiles', 'error');
+            }
+            return null;
+        }
+
+        await this.db.put('regions', region);
+        this.regions.push(region);
+        this.renderRegionsList();
+
+        this.showToast(
+            `Saved "${region.name}": ${region.tileCount} tiles (${TrailTrack.formatBytes(region.bytes)}) · ${download.succeeded} downloaded, ${download.skipped} already cached${download.failed > 0 ? `, ${download.failed} failed` : ''}`,
+            download.failed > 0 ? 'warning' : 'success'
+        );
+        return region;
+    }
+
+    // Drop a region's ownership of its tiles and remove the cached tiles no other region uses
+    async removeRegionTiles(regionId) {
+        const cache = 'caches' in window ? await caches.open(TrailTrack.TILE_CACHE_NAME) : null;
+        const tiles = await this.db.getAllFromIndex('tiles', 'regions', regionId);
+        for (const tile of tiles) {
+            const unused = await this.removeTileOwner(tile.key, regionId);
+            // A running download may have counted this tile as already cached
+            // and not recorded itself as an owner yet
+            if (unused && cache && !(this.tileDownload && this.tileDownload.tiles.has(tile.key))) {
+                await cache.delete(tile.key);
+            }
+        }
+    }
+
+    // Record a region as an owner of a cached tile. The read and write share one
+    // transaction so concurrent updates from a download and a delete can't interleave
+    async addTileOwner(tileUrl, bytes, regionId) {
+        const tx = this.db.transaction('tiles', 'readwrite');
+        const store = tx.objectStore('tiles');
+        const existing = await store.get(tileUrl);
+        const regions = existing ? existing.regions.filter(id => id !== regionId) : [];
+        await store.put({ key: tileUrl, bytes, regions: [...regions, regionId] });
+        await tx.done;
+    }
+
+    // Remove a region from a tile's owners, dropping the record once no region
+    // owns it. Resolves true when the cached tile is no longer needed
+    async removeTileOwner(tileUrl, regionId) {
+        const tx = this.db.transaction('tiles', 'readwrite');
+        const store = tx.objectStore('tiles');
+        const existing = await store.get(tileUrl);
+        const regions = existing ? existing.regions.filter(id => id !== regionId) : [];
+        if (regions.length > 0) {
+            await store.put({ ...existing, regions });
+        } else if (existing) {
+            await store.delete(tileUrl);
+        }
+        await tx.done;
+        return regions.length === 0;
+    }
+
+    async loadRegions() {
+        this.regions = await this.db.getAll('regions');
+        this.renderRegionsList();
+    }
+
+    // Delete a region and the cached tiles that no other region still needs
+    async deleteRegion(regionId) {
+        const region = this.regions.find(r => r.id === regionId);
+        if (!region) return;
+
+        const confirmed = await this.showConfirmDialog(
+            `Delete the offline region "${region.name}"? Tiles shared with other regions are kept.`,
+            'Delete Region'
+        );
+        if (!confirmed) return;
+
+        await this.removeRegionTiles(regionId);
+        await this.db.delete('regions', regionId);
+        this.regions = this.regions.filter(r => r.id !== regionId);
+        if (this.shownRegionId === regionId) {
+            this.toggleRegionOutline(regionId);
+        }
+        this.renderRegionsList();
+        this.showToast('Offline region deleted', 'success');
+    }
+
+    // Outline a region on the map and zoom to it; calling again hides it
+    toggleRegionOutline(regionId) {
+        if (this.regionOutline && this.map) {
+            this.map.removeLayer(this.regionOutline);
+        }
+        this.regionOutline = null;
+
+        if (this.shownRegionId === regionId) {
+            this.shownRegionId = null;
+            this.renderRegionsList();
+            return;
+        }
+
+        const region = this.regions.find(r => r.id === regionId);
+        this.shownRegionId = region ? regionId : null;
+        if (region && this.map) {
+            const { south, west, north, east } = region.bounds;
+            this.regionOutline = L.rectangle([[south, west], [north, east]], {
+                color: '#2563eb',
+                weight: 2,
+                dashArray: '6 4',
+                fill: true,
+                fillOpacity: 0.05
+            }).addTo(this.map);
+            this.map.fitBounds(this.regionOutline.getBounds());
+        }
+        this.renderRegionsList();
+    }
+
+    renderRegionsList() {
+        const list = document.getElementById('regions-list');
+        if (!list) {
+            return;
+        }
+        list.innerHTML = '';
+
+        if (this.regions.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 dark:text-gray-400 text-sm">No offline regions yet. Use the download button on the map to save the current area.</p>';
+            return;
         }
+
+        [...this.regions]
+            .sort((a, b) => new Date(b.created) - new Date(a.created))
+            .forEach(region => {
+                const isShown = this.shownRegionId === region.id;
+                const regionEl = document.createElement('div');
+                regionEl.className = `bg-gray-50 dark:bg-gray-700 p-3 rounded-lg flex items-start justify-between gap-2 ${isShown ? 'ring-2 ring-blue-500 dark:ring-blue-400' : ''}`;
+                regionEl.innerHTML = `
+                    <div class="flex-1 min-w-0">
+                        <h4 class="region-name font-semibold text-sm dark:text-white truncate"></h4>
+                        <p class="text-xs text-gray-600 dark:text-gray-300">
+                            ${region.tileCount.toLocaleString()} tiles · ${TrailTrack.formatBytes(region.bytes)} · zoom ${region.minZoom}–${region.maxZoom}
+                        </p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">${new Date(region.created).toLocaleDateString()}</p>
+                    </div>
+                    <div class="flex gap-1">
+                        <button class="region-show-btn p-1 hover:bg-gray-200 dark:hover:bg-gray-500 rounded ${isShown ? 'bg-blue-100 dark:bg-blue-900' : ''}" title="${isShown ? 'Hide outline' : 'Show this region on the map'}" aria-label="${isShown ? 'Hide region outline' : 'Show region on the map'}">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7"></path>
+                            </svg>
+                        </button>
+                        <button class="region-delete-btn p-1 hover:bg-red-200 dark:hover:bg-red-800 rounded" title="Delete this region's tiles" aria-label="Delete offline region">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                            </svg>
+                        </button>
+                    </div>
+                `;
+                // Region names are typed by the user, so set them as text
+                regionEl.querySelector('.region-name').textContent = region.name;
+                regionEl.querySelector('.region-show-btn').addEventListener('click', () => {
+                    this.toggleRegionOutline(region.id);
+                });
+                regionEl.querySelector('.region-delete-btn').addEventListener('click', () => {
+                    this.deleteRegion(region.id);
+                });
+                list.appendChild(regionEl);
+            });
+    }
+
+    // Ask for a region name (and, for a route, its corridor buffer and zoom range);
+    // resolves with { name, bufferMeters, minZoom, maxZoom }, or null when cancelled
+    async showRegionDialog({ name, corridor = null, describe }) {
+        return new Promise((resolve) => {
+            const overlay = document.getElementById('region-dialog-overlay');
+            const nameInput = document.getElementById('region-name-input');
+            const summaryEl = document.getElementById('region-dialog-summary');
+            const corridorFields = document.getElementById('region-corridor-fields');
+            const bufferInput = document.getElementById('region-buffer-input');
+            const minZoomInput = document.getElementById('region-min-zoom-input');
+            const maxZoomInput = document.getElementById('region-max-zoom-input');
+            const confirmBtn = document.getElementById('region-dialog-confirm');
+            const cancelBtn = document.getElementById('region-dialog-cancel');
+
+            if (!overlay) {
+                resolve({ name, ...corridor });
+                return;
+            }
+
+            const readCorridor = () => {
+                if (!corridor) return {};
+                const clampZoom = (value, fallback) => {
+                    const zoom = parseInt(value, 10);
+                    return Number.isFinite(zoom) ? Math.min(Math.max(zoom, 10), 18) : fallback;
+                };
+                const buffer = parseInt(bufferInput.value, 10);
+                const minZoom = clampZoom(minZoomInput.value, corridor.minZoom);
+                return {
+                    bufferMeters: Number.isFinite(buffer)
+                        ? Math.min(Math.max(buffer, TrailTrack.CORRIDOR_BUFFER_RANGE.min), TrailTrack.CORRIDOR_BUFFER_RANGE.max)
+                        : corridor.bufferMeters,
+                    minZoom,
+                    maxZoom: Math.max(clampZoom(maxZoomInput.value, corridor.maxZoom), minZoom)
+                };
+            };
+
+            const updateSummary = () => {
+                summaryEl.textContent = describe(readCorridor());
+            };
+
+            // Counting a corridor's tiles takes a moment, so wait for typing to pause
+            let summaryTimer = null;
+            const scheduleSummary = () => {
+                clearTimeout(summaryTimer);
+                summaryTimer = setTimeout(updateSummary, TrailTrack.REGION_SUMMARY_DELAY);
+            };
+
+            corridorFields.classList.toggle('hidden', !corridor);
+            if (corridor) {
+                bufferInput.value = corridor.bufferMeters;
+                minZoomInput.value = corridor.minZoom;
+                maxZoomInput.value = corridor.maxZoom;
+            }
+            nameInput.value = name;
+            updateSummary();
+
+            overlay.classList.remove('hidden');
+            overlay.removeAttribute('aria-hidden');
+
+            requestAnimationFrame(() => {
+                nameInput.focus();
+                nameInput.select();
+            });
+
+            const handleConfirm = () => {
+                const choice = { name: nameInput.value.trim() || name, ...readCorridor() };
+                cleanup();
+                resolve(choice);
+            };
+
+            const handleCancel = () => {
+                cleanup();
+                resolve(null);
+            };
+
+            const handleKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                } else if (e.key === 'Enter' && e.target.tagName === 'INPUT' && overlay.contains(e.target)) {
+                    e.preventDefault();
+                    handleConfirm();
+                }
+            };
+
+            const handleOverlayClick = (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            };
+
+            const cleanup = () => {
+                overlay.classList.add('hidden');
+                overlay.setAttribute('aria-hidden', 'true');
+                confirmBtn.blur();
+                confirmBtn.removeEventListener('click', handleConfirm);
+                cancelBtn.removeEventListener('click', handleCancel);
+                clearTimeout(summaryTimer);
+                corridorFields.removeEventListener('input', scheduleSummary);
+                document.removeEventListener('keydown', handleKeydown);
+                overlay.removeEventListener('click', handleOverlayClick);
+            };
+
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            corridorFields.addEventListener('input', scheduleSummary);
+            document.addEventListener('keydown', handleKeydown);
+            overlay.addEventListener('click', handleOverlayClick);
+        });
     }
 
     // Check online status
@@ -1822,9 +8035,11 @@ class TrailTrack {
         
         toast.innerHTML = `
             <div class="flex items-center gap-2">
-                <span class="dark:text-white">${message}</span>
+                <span class="dark:text-white"></span>
             </div>
         `;
+        // Messages often include route and waypoint names, so set them as text
+        toast.querySelector('span').textContent = message;
 
         document.getElementById('toast-container').appendChild(toast);
 
@@ -1835,6 +8050,319 @@ class TrailTrack {
     }
 }
 
+TrailTrack.CUE_INSTRUCTIONS = {
+    continue: 'Continue straight',
+    'bear-left': 'Bear left',
+    'bear-right': 'Bear right',
+    'turn-left': 'Turn left',
+    'turn-right': 'Turn right',
+    'sharp-left': 'Sharp left',
+    'sharp-right': 'Sharp right',
+    'u-turn': 'Make a U-turn',
+    arrive: 'Arrive at destination'
+};
+
+// Waypoint kinds; gpxSymbols[0] is written as <sym> on export (Garmin names),
+// the rest are also recognised on import
+TrailTrack.WAYPOINT_TYPES = {
+    generic: { label: 'Waypoint', icon: '📍', gpxSymbols: ['Flag, Blue', 'Waypoint', 'Flag'] },
+    water: { label: 'Water', icon: '💧', gpxSymbols: ['Drinking Water', 'Water Source', 'Spring'] },
+    camp: { label: 'Camp', icon: '⛺', gpxSymbols: ['Campground', 'Camping', 'Shelter'] },
+    viewpoint: { label: 'Viewpoint', icon: '🔭', gpxSymbols: ['Scenic Area', 'Scenic Viewpoint', 'Summit'] }
+};
+
+// Activity types a route can be tagged with; sports are the lower-cased
+// TCX/FIT sport names that map onto each type on import
+TrailTrack.ACTIVITY_TYPES = {
+    hike: { label: 'Hike', icon: '🥾', sports: ['hiking', 'walking'] },
+    run: { label: 'Run', icon: '🏃', sports: ['running', 'trail running'] },
+    'road-bike': { label: 'Road Bike', icon: '🚴', sports: ['biking', 'cycling', 'road cycling'] },
+    mtb: { label: 'MTB', icon: '🚵', sports: ['mountain biking', 'mtb'] }
+};
+
+// Routes list sort orders (comparators), selectable in the sidebar
+TrailTrack.ROUTE_SORTS = {
+    'created-desc': (a, b) => new Date(b.created) - new Date(a.created),
+    'created-asc': (a, b) => new Date(a.created) - new Date(b.created),
+    name: (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base', numeric: true }),
+    'distance-desc': (a, b) => (Number(b.distance) || 0) - (Number(a.distance) || 0),
+    'distance-asc': (a, b) => (Number(a.distance) || 0) - (Number(b.distance) || 0),
+    // Never-viewed routes go last, newest first
+    'last-viewed': (a, b, lastViewed = {}) => (lastViewed[b.id] || '').localeCompare(lastViewed[a.id] || '') ||
+        TrailTrack.ROUTE_SORTS['created-desc'](a, b)
+};
+
+// Movement (meters) before the "near me" routes list is refreshed
+TrailTrack.NEAR_ME_REFRESH_DISTANCE = 200;
+
+// FIT session sport enum values we name in descriptions
+TrailTrack.FIT_SPORTS = {
+    0: 'Generic',
+    1: 'Running',
+    2: 'Cycling',
+    11: 'Walking',
+    17: 'Hiking'
+};
+
+// Colour for routes that don't bring their own (e.g. from KML styles)
+TrailTrack.DEFAULT_ROUTE_COLOR = '#eab308';
+
+// Per-session route properties (map layers, derived data) that are never stored
+TrailTrack.RUNTIME_ROUTE_FIELDS = ['polyline', 'markers', 'kmMarkers', 'cumulativeDistances'];
+
+// Undo steps kept while drawing, editing or recording
+TrailTrack.MAX_HISTORY = 200;
+
+// IndexedDB schema history. Each step runs once, in order, when an older
+// database is opened. Append new steps; never change one that has shipped.
+TrailTrack.DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Routes and cached tiles',
+        migrate(db) {
+            if (!db.objectStoreNames.contains('routes')) {
+                db.createObjectStore('routes', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('tiles')) {
+                db.createObjectStore('tiles', { keyPath: 'key' });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Waypoints, attached to a route via routeId or standalone',
+        migrate(db) {
+            if (!db.objectStoreNames.contains('waypoints')) {
+                db.createObjectStore('waypoints', { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Route indexes for sorting and filtering; waypoints by route',
+        async migrate(db, transaction) {
+            const routes = transaction.objectStore('routes');
+            ['created', 'distance', 'type'].forEach(field => {
+                if (!routes.indexNames.contains(field)) {
+                    routes.createIndex(field, field);
+                }
+            });
+
+            const waypoints = transaction.objectStore('waypoints');
+            if (!waypoints.indexNames.contains('routeId')) {
+                waypoints.createIndex('routeId', 'routeId');
+            }
+
+            // Routes saved by early versions may lack a type or have string
+            // numbers; normalise them so every route appears in the indexes.
+            // Kept inline, as the route format at this version, so later
+            // changes to serializeRoute() can't change what this step does
+            const existing = await routes.getAll();
+            for (const route of existing) {
+                await routes.put({
+                    ...route,
+                    id: String(route.id),
+                    name: String(route.name || 'Unnamed Route'),
+                    type: route.type === 'activity' ? 'activity' : 'planned',
+                    distance: Number(route.distance || 0),
+                    elevationGain: Number(route.elevationGain || 0),
+                    elevationLoss: Number(route.elevationLoss || 0),
+                    created: typeof route.created === 'string' ? route.created : new Date().toISOString()
+                });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Drafts of unsaved routes and downloaded offline regions',
+        migrate(db) {
+            if (!db.objectStoreNames.contains('drafts')) {
+                db.createObjectStore('drafts', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('regions')) {
+                db.createObjectStore('regions', { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Route indexes on activity type and tags',
+        migrate(db, transaction) {
+            const routes = transaction.objectStore('routes');
+            if (!routes.indexNames.contains('activityType')) {
+                routes.createIndex('activityType', 'activityType');
+            }
+            if (!routes.indexNames.contains('tags')) {
+                routes.createIndex('tags', 'tags', { multiEntry: true });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Route photo attachments, stored as Blobs',
+        migrate(db) {
+            if (!db.objectStoreNames.contains('photos')) {
+                const photos = db.createObjectStore('photos', { keyPath: 'id' });
+                photos.createIndex('routeId', 'routeId');
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Offline region ownership of cached tiles ({ key, bytes, regions })',
+        migrate(db, transaction) {
+            const tiles = transaction.objectStore('tiles');
+            if (!tiles.indexNames.contains('regions')) {
+                tiles.createIndex('regions', 'regions', { multiEntry: true });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Full-resolution originals of simplified routes, kept out of the routes store',
+        async migrate(db, transaction) {
+            if (!db.objectStoreNames.contains('originals')) {
+                db.createObjectStore('originals', { keyPath: 'routeId' });
+            }
+
+            // Move originals stored inline on routes (by version 7) to their own store
+            const routes = transaction.objectStore('routes');
+            const originals = transaction.objectStore('originals');
+            for (const route of await routes.getAll()) {
+                if (!('original' in route)) continue;
+                const { original, ...rest } = route;
+                if (original && Array.isArray(original.points) && original.points.length > 0) {
+                    await originals.put({ ...original, routeId: route.id });
+                    rest.originalPointCount = original.points.length;
+                }
+                await routes.put(rest);
+            }
+        }
+    }
+];
+TrailTrack.DB_VERSION = TrailTrack.DB_MIGRATIONS[TrailTrack.DB_MIGRATIONS.length - 1].version;
+
+// Library backup archive identifier and the newest version we read and write
+TrailTrack.BACKUP_FORMAT = 'trailtrack-backup';
+TrailTrack.BACKUP_VERSION = 2;
+
+// localStorage keys carried in library backups (debug flags are left out)
+TrailTrack.SETTINGS_KEYS = [
+    'theme',
+    'batterySaveMode',
+    'gpsCheckInterval',
+    'offRouteThreshold',
+    'filterMaxAccuracy',
+    'filterMinDistance',
+    'filterMaxSpeed',
+    'filterSmoothing',
+    'elevationTileUrl',
+    'elevationTileEncoding',
+    'routingEngine',
+    'routingBaseUrl',
+    'routingProfile',
+    'followPaths',
+    'simplifyTolerance',
+    'simplifyKeepOriginal',
+    'routeSort',
+    'nearMeRadius',
+    'offlineCorridorBuffer'
+];
+
+// Cache shared with the service worker for map and terrain tiles
+TrailTrack.TILE_CACHE_NAME = 'trailtrack-tiles-v1';
+
+// Terrain tile requests give up after this many milliseconds
+TrailTrack.ELEVATION_TILE_TIMEOUT = 10000;
+
+// Map tiles, shown on the map and saved for offline regions
+TrailTrack.OFFLINE_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Used for download size estimates until some tiles have been downloaded
+TrailTrack.ESTIMATED_TILE_BYTES = 20 * 1024;
+
+// Distance either side of a route covered by "Make available offline", in meters
+TrailTrack.DEFAULT_CORRIDOR_BUFFER = 500;
+TrailTrack.CORRIDOR_BUFFER_RANGE = { min: 50, max: 5000 };
+
+// Delay after the last change in the region dialog before its tile summary updates, in ms
+TrailTrack.REGION_SUMMARY_DELAY = 300;
+
+// Offline tile download queue: parallel requests per server and retry backoff
+TrailTrack.TILE_DOWNLOAD = {
+    concurrency: 4,
+    maxRetries: 3,
+    retryBaseDelay: 500
+};
+
+// Per-server limits that override TILE_DOWNLOAD. The OpenStreetMap tile usage
+// policy discourages bulk downloading, so keep downloads from it small and gentle
+TrailTrack.TILE_SERVER_LIMITS = {
+    'tile.openstreetmap.org': { maxConcurrent: 2, maxTiles: 2500 }
+};
+
+// Largest image accepted as a route photo
+TrailTrack.MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+// Imports with at least this many points offer simplification
+TrailTrack.SIMPLIFY_PROMPT_POINTS = 1000;
+
+// Routes with more points than this must be simplified before editing on the map
+TrailTrack.MAX_EDITABLE_POINTS = 2000;
+
+// Routing engines for "follow paths" drawing. Each adapter builds a request
+// URL for a start/end pair and parses the response into [lat, lng(, ele)] points.
+TrailTrack.ROUTING_ADAPTERS = {
+    osrm: {
+        name: 'OSRM',
+        defaultBaseUrl: 'https://router.project-osrm.org',
+        note: 'The public OSRM demo server only routes by car. Hiking and cycling need a self-hosted server with foot and bike profiles.',
+        profiles: { hiking: 'foot', cycling: 'bike' },
+        buildUrl(baseUrl, profile, start, end) {
+            const coordinates = `${start.lng},${start.lat};${end.lng},${end.lat}`;
+            return `${baseUrl}/route/v1/${this.profiles[profile] || this.profiles.hiking}/${coordinates}?overview=full&geometries=geojson`;
+        },
+        parse(response) {
+            const route = response && response.routes && response.routes[0];
+            return route ? route.geometry.coordinates.map(coord => [coord[1], coord[0]]) : [];
+        }
+    },
+    graphhopper: {
+        name: 'GraphHopper',
+        defaultBaseUrl: 'https://graphhopper.com/api/1',
+        requiresApiKey: true,
+        note: 'GraphHopper needs an API key from graphhopper.com. Its free plan includes the hike and bike profiles.',
+        profiles: { hiking: 'hike', cycling: 'bike' },
+        buildUrl(baseUrl, profile, start, end, apiKey) {
+            const points = `point=${start.lat},${start.lng}&point=${end.lat},${end.lng}`;
+            const key = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+            return `${baseUrl}/route?${points}&profile=${this.profiles[profile] || this.profiles.hiking}&points_encoded=false&elevation=true${key}`;
+        },
+        parse(response) {
+            const path = response && response.paths && response.paths[0];
+            return path
+                ? path.points.coordinates.map(coord => (coord.length > 2 ? [coord[1], coord[0], coord[2]] : [coord[1], coord[0]]))
+                : [];
+        }
+    },
+    brouter: {
+        name: 'BRouter',
+        defaultBaseUrl: 'https://brouter.de',
+        note: 'The public BRouter server has hiking and cycling profiles and needs no key.',
+        profiles: { hiking: 'hiking-mountain', cycling: 'trekking' },
+        buildUrl(baseUrl, profile, start, end) {
+            const lonlats = `${start.lng},${start.lat}|${end.lng},${end.lat}`;
+            return `${baseUrl}/brouter?lonlats=${lonlats}&profile=${this.profiles[profile] || this.profiles.hiking}&alternativeidx=0&format=geojson`;
+        },
+        parse(response) {
+            const feature = response && response.features && response.features[0];
+            return feature
+                ? feature.geometry.coordinates.map(coord => (coord.length > 2 ? [coord[1], coord[0], coord[2]] : [coord[1], coord[0]]))
+                : [];
+        }
+    }
+};
+
 if (typeof window !== 'undefined') {
     window.TrailTrack = TrailTrack;
 }
@@ -1,6 +1,6 @@
 // TrailTrack Service Worker for Offline Support
 
-const CACHE_NAME = 'trailtrack-v2';
+const CACHE_NAME = 'trailtrack-v3';
 const TILE_CACHE_NAME = 'trailtrack-tiles-v1';
 
 // Assets to cache on install
@@ -19,6 +19,7 @@ const STATIC_ASSETS = [
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
     'https://unpkg.com/@mapbox/togeojson@0.16.0/togeojson.js',
     'https://unpkg.com/togpx@0.5.0/togpx.js',
+    'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
     'https://unpkg.com/idb@7/build/umd.js'
 ];
 